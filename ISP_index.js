@@ -5,145 +5,21 @@
 // by standardizing browser identification through user agent and other browser properties.
 //
 // Key improvements:
-// - Standardized User-Agent for consistent browser identification
-// - Browser fingerprint normalization
+// - The session's fingerprint profile (set at launch) re-applied around navigations
 // - Improved navigation retry logic with multiple strategies
 // - Enhanced error diagnostics with location awareness
 
 require('dotenv').config(); // Still needed if bookingService uses env vars? Review dependencies.
 const { bookMeeting } = require('./services/bookingService');
 // Import activeSessions map from sessionManager to find and delete sessions
-const { activeSessions } = require('./sessionManager');
-// Import devices for browser emulation
-const { devices } = require('playwright');
-
-/**
- * Standardizes the browser profile to ensure consistent Calendly access
- * @param {Page} page - Playwright page object
- * @param {string} sessionId - Session ID for logging
- * @param {Function} logCapture - Logging function
- */
-async function standardizeBrowserProfile(page, sessionId, logCapture) {
-    logCapture(`[${sessionId}] Standardizing browser profile to always appear as from Los Angeles (LA)...`);
-    
-    try {
-        // 1. Use a consistent user agent (Chrome on Mac - widely accepted)
-        const standardUserAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
-        
-        // Get the browser context from the page
-        const context = page.context();
-        
-        // Use context.setExtraHTTPHeaders instead of page.setUserAgent
-        await context.setExtraHTTPHeaders({
-            'User-Agent': standardUserAgent,
-            // Adding common headers for LA location
-            'X-Forwarded-For': '128.97.27.37', // UCLA IP address (Los Angeles)
-            'Accept-Language': 'en-US,en;q=0.9'
-        });
-        
-        logCapture(`[${sessionId}] Set User-Agent and location headers`);
-        
-        // 2. Set standard viewport dimensions
-        await page.setViewportSize({ width: 1280, height: 800 });
-        
-        // 3. Set timezone to US/Pacific (LA) regardless of actual location
-        await page.evaluate(() => {
-            Object.defineProperty(Intl, 'DateTimeFormat', {
-                writable: true,
-                configurable: true
-            });
-            const originalDateTimeFormat = Intl.DateTimeFormat;
-            Intl.DateTimeFormat = function(...args) {
-                if (args.length > 0 && args[1] && args[1].timeZone) {
-                    args[1].timeZone = 'America/Los_Angeles';
-                }
-                return new originalDateTimeFormat(...args);
-            };
-            Intl.DateTimeFormat.prototype = originalDateTimeFormat.prototype;
-        });
-        
-        // 4. Set standard language
-        await page.evaluate(() => {
-            Object.defineProperty(navigator, 'language', {
-                get: function() { return 'en-US'; }
-            });
-            Object.defineProperty(navigator, 'languages', {
-                get: function() { return ['en-US', 'en']; }
-            });
-        });
-        
-        // 5. Also override navigator.userAgent in the page context
-        await page.evaluate((ua) => {
-            Object.defineProperty(navigator, 'userAgent', {
-                get: function() { return ua; }
-            });
-        }, standardUserAgent);
-        
-        // 6. Add comprehensive LA location overrides
-        await page.evaluate(() => {
-            // Override geolocation API to return LA coordinates
-            const fakeGeolocation = {
-                latitude: 34.052235,  // LA coordinates
-                longitude: -118.243683,
-                accuracy: 100
-            };
-            
-            // Mock the geolocation API
-            if (navigator.geolocation) {
-                navigator.geolocation.getCurrentPosition = function(success) {
-                    success({ 
-                        coords: fakeGeolocation,
-                        timestamp: Date.now()
-                    });
-                };
-            }
-            
-            // Override any IP detection APIs (for basic JS checks)
-            if (!window._la_location_applied) {
-                window._la_location_data = {
-                    city: "Los Angeles",
-                    region: "California", 
-                    country: "US",
-                    loc: "34.052235,-118.243683",
-                    postal: "90012",
-                    timezone: "America/Los_Angeles"
-                };
-                
-                // Flag to prevent re-application
-                window._la_location_applied = true;
-            }
-            
-            // Override any Date methods to ensure LA timezone
-            const originalDate = Date;
-            Date = function(...args) {
-                const date = new originalDate(...args);
-                const hackedDate = new originalDate(date.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-                return hackedDate;
-            };
-            Date.prototype = originalDate.prototype;
-            Date.now = originalDate.now;
-            Date.parse = originalDate.parse;
-            Date.UTC = originalDate.UTC;
-        });
-        
-        // 7. Log the standardized profile
-        const currentUserAgent = await page.evaluate(() => navigator.userAgent);
-        logCapture(`[${sessionId}] Browser profile standardized to:`);
-        logCapture(`[${sessionId}] - User-Agent: ${currentUserAgent}`);
-        logCapture(`[${sessionId}] - Viewport: 1280x800`);
-        logCapture(`[${sessionId}] - Timezone: America/Los_Angeles (LA)`);
-        logCapture(`[${sessionId}] - Language: en-US`);
-        logCapture(`[${sessionId}] - Geolocation: Los Angeles coordinates (34.052235, -118.243683)`);
-        
-        return true;
-    } catch (error) {
-        logCapture(`[${sessionId}] ⚠️ Error standardizing browser profile: ${error.message}`);
-        return false;
-    }
-}
+const { activeSessions, releaseSession } = require('./sessionManager');
+const sessionRegistry = require('./services/sessionRegistry');
+const { bookingFailure, codedError, errorFields } = require('./utils/bookingErrors');
+// Re-applies the session's fingerprint profile (utils/fingerprintProfiles.js)
+const { standardizeBrowserProfile } = require('./utils/browserUtils');
 
 // --- Step 2: Book Session Function ---
-async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCapture) {
+async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCapture, options = {}) {
     // Retrieve the session object WHICH MIGHT CONTAIN ITS OWN logCapture, but we prioritize the passed one
     const session = activeSessions[sessionId];
 
@@ -173,18 +49,20 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
         logCapture(`[${sessionId}] ❌ ERROR: Session validation failed. ${errorMsg}`);
         if (activeSessions[sessionId]) {
             logCapture(`[${sessionId}] Removing potentially invalid session remnant from active map.`);
-            delete activeSessions[sessionId];
+            await releaseSession(sessionId);
         }
         // Ensure return value includes session ID even on early failure
-        return { success: false, error: errorMsg, duration: 0, sessionId: sessionId };
+        return bookingFailure('SESSION_NOT_FOUND', errorMsg, { duration: 0, sessionId: sessionId });
     }
     logCapture(`[${sessionId}] Session validated successfully. Page and browser objects exist.`);
+    session.lastActiveTime = Date.now();
+    await sessionRegistry.markSessionState(sessionId, 'booking');
 
-    const { page, browser } = session;
+    const { page, browser, fingerprint } = session;
 
     try {
         // Apply browser profile standardization
-        await standardizeBrowserProfile(page, sessionId, logCapture);
+        await standardizeBrowserProfile(page, sessionId, logCapture, fingerprint);
         
         // 2. Navigation using existing page with retry logic
         const navigationStartTime = Date.now();
@@ -223,9 +101,9 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
                 // Since navigation succeeded, double-check the user agent is still set correctly
                 // Sometimes navigation can reset browser properties
                 const currentUserAgent = await page.evaluate(() => navigator.userAgent);
-                if (!currentUserAgent.includes('Mac OS X 10_15')) {
+                if (fingerprint && currentUserAgent !== fingerprint.userAgent) {
                     logCapture(`[${sessionId}] ⚠️ User-Agent changed after navigation. Re-standardizing browser profile...`);
-                    await standardizeBrowserProfile(page, sessionId, logCapture);
+                    await standardizeBrowserProfile(page, sessionId, logCapture, fingerprint);
                 }
                 
                 break;
@@ -241,23 +119,23 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
                     
                     // Re-standardize browser profile before next attempt
                     logCapture(`[${sessionId}] Re-standardizing browser profile before next attempt...`);
-                    await standardizeBrowserProfile(page, sessionId, logCapture);
+                    await standardizeBrowserProfile(page, sessionId, logCapture, fingerprint);
                 }
             }
         }
         
         // If all navigation attempts failed, perform diagnostics and throw error
         if (!navigationSucceeded) {
-            logCapture(`[${sessionId}] All ${maxRetries} navigation attempts failed. Performing one final attempt with enhanced LA profile...`);
+            logCapture(`[${sessionId}] All ${maxRetries} navigation attempts failed. Performing one final attempt after re-applying the profile...`);
             
             // Final attempt to re-standardize browser profile 
             try {
                 // Re-apply the standardization with a longer wait time after
-                await standardizeBrowserProfile(page, sessionId, logCapture);
+                await standardizeBrowserProfile(page, sessionId, logCapture, fingerprint);
                 await page.waitForTimeout(2000); // Longer wait to ensure settings take effect
                 
                 // Make one final attempt with increased timeout
-                logCapture(`[${sessionId}] Making final navigation attempt with enhanced LA profile...`);
+                logCapture(`[${sessionId}] Making final navigation attempt...`);
                 await page.goto(fullBookingUrl, {
                     waitUntil: 'networkidle', // Most thorough strategy
                     timeout: 60000 // Full minute timeout
@@ -271,7 +149,7 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
                 logCapture(`[${sessionId}] ❌ Final navigation attempt also failed: ${finalError.message}`);
                 
                 // Throw a generic navigation error - no location checking
-                throw new Error(`All navigation attempts failed. Try using a different connection or time. Last error: ${finalError.message}`);
+                throw codedError('NAVIGATION_FAILED', `All navigation attempts failed. Try using a different connection or time. Last error: ${finalError.message}`);
             }
         }
         
@@ -288,7 +166,7 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
             // 3. Hand off to Booking Service
             logCapture(`[${sessionId}] Preparing to hand off to bookingService...`);
             const bookingStartTime = Date.now();
-            bookingServiceResult = await bookMeeting(page, name, email, phone);
+            bookingServiceResult = await bookMeeting(page, name, email, phone, { answers: options.answers, guests: options.guests, notes: options.notes });
             bookingServiceDuration = (Date.now() - bookingStartTime) / 1000;
             logCapture(`[${sessionId}] bookingService call completed in ${bookingServiceDuration.toFixed(2)}s.`);
 
@@ -314,7 +192,7 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
         logCapture(`[${sessionId}] Error stack trace: ${error.stack}`); // Log stack trace
         stepSuccess = false;
         // Ensure bookingServiceResult has an error representation if the error happened before/during its call
-        if (!bookingServiceResult) { bookingServiceResult = { error: `Caught error: ${error.message}` }; }
+        if (!bookingServiceResult) { bookingServiceResult = { error: `Caught error: ${error.message}`, errorCode: errorFields(error).errorCode }; }
         if (page && !page.isClosed()) {
             logCapture(`[${sessionId}] Attempting screenshot on caught error: session_book_error_${sessionId}.png`);
             await page.screenshot({ path: `session_book_error_${sessionId}.png` }).catch(e => logCapture(`[${sessionId}] ERROR: Error screenshot failed: ${e.message}`));
@@ -339,7 +217,7 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
             // Always remove from active sessions map
             if (activeSessions[sessionId]) {
                 logCapture(`[${sessionId}] Removing session from active map.`);
-                delete activeSessions[sessionId];
+                await releaseSession(sessionId);
                 logCapture(`[${sessionId}] Session removed from active map.`);
             } else {
                 logCapture(`[${sessionId}] Session already removed from active map or never added correctly.`);
@@ -366,6 +244,12 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
                 formTime: parseFloat(bookingServiceDuration.toFixed(2)) // Map bookingServiceDuration to formTime
             },
             error: stepSuccess ? undefined : (bookingServiceResult?.error || "Booking step failed in ISP_index"),
+            ...(stepSuccess ? {} : errorFields(bookingServiceResult || {})), // errorCode / retryable (see utils/bookingErrors.js)
+            phone: bookingServiceResult?.phone || null, // What the phone field was set to (null if the form had none)
+            guests: bookingServiceResult?.guests || null, // Guests shown on the form before submit
+            questions: bookingServiceResult?.questions || null, // Custom questions answered / left unanswered
+            links: bookingServiceResult?.links || null, // Reschedule / cancel links from the confirmation page
+            confirmation: bookingServiceResult?.confirmation || null, // Confirmed time, host, event, location, event URI
             // Keep logs at the top level as server.js expects it there to merge
             // logs: logCapture.getLogs ? logCapture.getLogs() : [] // Only if logCapture had a method to retrieve logs
         };
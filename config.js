@@ -7,10 +7,34 @@ require('dotenv').config(); // Load environment variables from .env file
 
 module.exports = {
   POOL_SIZE: parseInt(process.env.POOL_SIZE || '3', 10), // Default to 1 browser in the pool
-  PROXY_PROVIDER: process.env.PROXY_PROVIDER || 'oxylabs',
-  PROXY_URL: process.env.PROXY_URL, // The proxy server URL
+  POOL_BASE_URLS: (process.env.POOL_BASE_URLS || '').split(',').map(url => url.trim()).filter(Boolean), // Base URLs to warm at startup
+  POOL_RECYCLE_MS: parseInt(process.env.POOL_RECYCLE_MS || String(30 * 60 * 1000), 10), // Recycle idle pool browsers after 30 minutes
+  POOL_AUTO_REGISTER: process.env.POOL_AUTO_REGISTER === 'true', // Start pooling any base URL passed to startSession (opt-in)
+  POOL_MAX_URLS: parseInt(process.env.POOL_MAX_URLS || '5', 10), // Most base URLs pooled before auto-registration stops
+  POOL_IDLE_MS: parseInt(process.env.POOL_IDLE_MS || String(2 * 60 * 60 * 1000), 10), // Drop auto-registered pools unused for 2 hours
+  POOL_MAX_FAILURES: parseInt(process.env.POOL_MAX_FAILURES || '5', 10), // Failed warm-ups in a row before an auto-registered pool is dropped
+  POOL_STARTUP_ATTEMPTS: parseInt(process.env.POOL_STARTUP_ATTEMPTS || '2', 10), // Concurrent launches per pool member
+  // Proxies (see services/proxyManager.js)
+  PROXY_PROVIDER: process.env.PROXY_PROVIDER || 'oxylabs', // 'oxylabs', 'gateway', 'static', 'generic' or 'none'
+  PROXY_URL: process.env.PROXY_URL, // The proxy server URL (gateway for oxylabs/gateway, the proxy for generic)
   PROXY_USERNAME: process.env.PROXY_USERNAME, // Proxy authentication
   PROXY_PASSWORD: process.env.PROXY_PASSWORD, // Proxy authentication
+  PROXY_PORTS: process.env.PROXY_PORTS, // Sticky gateway ports, one exit IP each, e.g. '8001-8010'
+  PROXY_LIST: (process.env.PROXY_LIST || '').split(',').map(url => url.trim()).filter(Boolean), // Proxy URLs for 'static'
+  PROXY_QUARANTINE_AFTER: parseInt(process.env.PROXY_QUARANTINE_AFTER || '3', 10), // Proxy failures in a row before quarantine
+  PROXY_QUARANTINE_MS: parseInt(process.env.PROXY_QUARANTINE_MS || String(30 * 60 * 1000), 10), // Quarantine for 30 minutes
+  // Browser fingerprints (see utils/fingerprintProfiles.js)
+  FINGERPRINT_PROFILE: process.env.FINGERPRINT_PROFILE, // Pin every session to one profile, e.g. 'mac-chrome-macbook-pro'
+  FINGERPRINT_PROFILES: (process.env.FINGERPRINT_PROFILES || '').split(',').map(name => name.trim()).filter(Boolean), // Profiles to pick from (default: all)
+  // Browser location from the exit IP (see services/geoLocation.js)
+  GEOIP_DATABASE: process.env.GEOIP_DATABASE || 'GeoLite2-City.mmdb', // MaxMind-format City database; falls back to ipinfo.io if missing
+  LOCATION_PIN_TIMEZONE: process.env.LOCATION_PIN_TIMEZONE, // Pin every session's timezone, e.g. 'America/New_York'
+  LOCATION_PIN_LOCALE: process.env.LOCATION_PIN_LOCALE, // Pin every session's locale, e.g. 'en-US'
+  LOCATION_PIN_COORDS: process.env.LOCATION_PIN_COORDS, // Pin every session's geolocation, as 'latitude,longitude'
+  // Exit IP reputation (see services/ipReputation.js)
+  IP_REPUTATION_FILE: process.env.IP_REPUTATION_FILE || '.ip-reputation.json',
+  IP_REPUTATION_BAD_SCORE: parseFloat(process.env.IP_REPUTATION_BAD_SCORE || '3'), // Penalty at which an IP is rejected (a block scores this at once)
+  IP_REPUTATION_HALF_LIFE_MS: parseInt(process.env.IP_REPUTATION_HALF_LIFE_MS || String(6 * 60 * 60 * 1000), 10), // Penalties halve every 6 hours
   SCREENSHOT_MODE: process.env.SCREENSHOT === 'true',
   DEFAULT_NAME: process.env.NAME || 'Julian Bot',
   DEFAULT_EMAIL: process.env.EMAIL || 'julian@example.com',
@@ -21,4 +45,34 @@ module.exports = {
   BLOCK_FONTS: process.env.BLOCK_FONTS !== 'false', // Block fonts by default
   BLOCK_ANALYTICS: process.env.BLOCK_ANALYTICS !== 'false', // Block analytics by default
   HEADLESS: process.env.HEADLESS !== 'true', // Run in headless mode by default
-}; 
\ No newline at end of file
+  // Scheduling API booking mode (talks to Calendly's booking endpoints over HTTP)
+  CALENDLY_API_BASE: process.env.CALENDLY_API_BASE || 'https://calendly.com', // Point at the mock server for offline testing
+  CALENDLY_API_USE_PROXY: process.env.CALENDLY_API_USE_PROXY !== 'false', // Use the same ISP proxy as the browsers
+  CALENDLY_API_TIMEOUT_MS: parseInt(process.env.CALENDLY_API_TIMEOUT_MS || '15000', 10),
+  // API authentication
+  API_AUTH_ENABLED: process.env.API_AUTH !== 'false', // Require an API key on every /api route
+  API_KEYS_FILE: process.env.API_KEYS_FILE || 'api-keys.json', // Keys managed by hand or via /api/admin/keys
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY, // Bootstrap key with every scope (not stored in the file)
+  API_DEFAULT_RATE_LIMIT_PER_MINUTE: parseInt(process.env.API_DEFAULT_RATE_LIMIT_PER_MINUTE || '60', 10),
+  API_DEFAULT_MAX_CONCURRENT_LAUNCHES: parseInt(process.env.API_DEFAULT_MAX_CONCURRENT_LAUNCHES || '2', 10),
+  // Background jobs (async booking endpoints)
+  JOB_RETENTION_MS: parseInt(process.env.JOB_RETENTION_MS || String(60 * 60 * 1000), 10), // Keep finished jobs pollable for 1 hour
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET, // HMAC key for job webhooks; callbackUrl is rejected without it
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '3', 10),
+  // Session registry (shared session metadata across restarts and replicas)
+  SESSION_REGISTRY: process.env.SESSION_REGISTRY || 'memory', // 'memory', 'file' or 'redis'
+  SESSION_REGISTRY_FILE: process.env.SESSION_REGISTRY_FILE || '.sessions.json',
+  JOB_REGISTRY_FILE: process.env.JOB_REGISTRY_FILE || '.jobs.json', // Job owners, for SESSION_REGISTRY=file
+  SESSION_REGISTRY_HEARTBEAT_MS: parseInt(process.env.SESSION_REGISTRY_HEARTBEAT_MS || '60000', 10),
+  REDIS_URL: process.env.REDIS_URL, // e.g. redis://localhost:6379
+  INSTANCE_ID: process.env.INSTANCE_ID, // Stable replica name, defaults to hostname:port
+  INSTANCE_URL: process.env.INSTANCE_URL, // URL other replicas use to reach this one, e.g. http://10.0.0.5:3000
+  SESSION_FORWARDING: process.env.SESSION_FORWARDING !== 'false', // Forward requests to the owning replica by default
+  // Booking ledger (every booking call, plus Idempotency-Key replays)
+  BOOKING_LEDGER: process.env.BOOKING_LEDGER || 'sqlite', // 'sqlite' or 'memory'
+  BOOKING_LEDGER_FILE: process.env.BOOKING_LEDGER_FILE || 'bookings.db',
+  // Predictive booking (one prepared browser per candidate slot)
+  PREDICTIVE_MAX_OPTIONS: parseInt(process.env.PREDICTIVE_MAX_OPTIONS || '5', 10), // Most candidate slots per predictive session
+  PREDICTIVE_MAX_CONCURRENT: parseInt(process.env.PREDICTIVE_MAX_CONCURRENT || '3', 10), // Option browsers started at once
+  PREDICTIVE_KEEPALIVE_MS: parseInt(process.env.PREDICTIVE_KEEPALIVE_MS || '60000', 10), // Re-check prepared forms every minute (0 disables)
+};
\ No newline at end of file
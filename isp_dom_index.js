@@ -1,11 +1,15 @@
 require('dotenv').config(); // Still needed if bookingService uses env vars? Review dependencies.
 const { bookMeeting } = require('./services/bookingService');
 // Import activeSessions map from sessionManager to find and delete sessions
-const { activeSessions } = require('./sessionManager');
+const { activeSessions, releaseSession } = require('./sessionManager');
+const sessionRegistry = require('./services/sessionRegistry');
 // Import devices for browser emulation
 const { devices } = require('playwright');
-// Import standardizeBrowserProfile from browserUtils
+// Re-applies the session's fingerprint profile (utils/fingerprintProfiles.js)
 const { standardizeBrowserProfile } = require('./utils/browserUtils');
+const { bookingFailure, codedError, errorFields } = require('./utils/bookingErrors');
+const { slotStart, rankFallbackSlots, describeSlot } = require('./services/slotFallback');
+const { selectWidgetTimezone } = require('./services/widgetTimezone');
 // Remove date-fns imports
 // const { format, getYear, getMonth, getDate, getHours, getMinutes, parseISO } = require('date-fns');
 // const dateFnsTz = require('date-fns-tz');
@@ -13,12 +17,13 @@ const { standardizeBrowserProfile } = require('./utils/browserUtils');
 const { DateTime } = require('luxon');
 
 /**
- * Parses a Calendly URL, extracts the date/time, converts it to Pacific Time using Luxon.
+ * Parses a Calendly URL, extracts the date/time, converts it to the timezone the widget shows using Luxon.
+ * The conversion goes through the URL's instant, so the zone's DST offset on that date is applied.
  * @param {string} url - The full Calendly booking URL.
+ * @param {string} [targetTimeZone='America/Los_Angeles'] - Timezone the widget renders times in (the invitee's, or else the browser's)
  * @returns {object|null} An object with { year, month, day, timeString, timezone } or null on error.
  */
-function parseCalendlyUrl(url) {
-    const targetTimeZone = 'America/Los_Angeles'; // Always convert to Pacific Time
+function parseCalendlyUrl(url, targetTimeZone = 'America/Los_Angeles') {
 
     try {
         // --- Revised Date/Time String Extraction --- 
@@ -59,16 +64,16 @@ function parseCalendlyUrl(url) {
         }
         console.log(`[parseCalendlyUrl] Successfully parsed ISO string with Luxon.`);
 
-        // Convert to the target Pacific Time zone
+        // Convert to the timezone the widget shows
         const datePacific = dtOriginal.setZone(targetTimeZone);
         console.log(`[parseCalendlyUrl] Result of Luxon.setZone('${targetTimeZone}'): ${datePacific.toISO()}, Valid: ${datePacific.isValid}`);
         if (!datePacific.isValid) {
             console.error(`[parseCalendlyUrl] ERROR: Luxon setZone resulted in Invalid DateTime. Original Input: ${dtOriginal.toISO()}, TimeZone: ${targetTimeZone}`);
             throw new Error(`Luxon setZone resulted in Invalid DateTime.`);
         }
-        console.log(`[parseCalendlyUrl] Successfully converted to Pacific Time with Luxon.`);
+        console.log(`[parseCalendlyUrl] Successfully converted to ${targetTimeZone} with Luxon.`);
 
-        // Extract components based on Pacific Time using Luxon getters
+        // Extract components in that timezone using Luxon getters
         const year = datePacific.year;
         const month = datePacific.month - 1; // Adjust Luxon's 1-indexed month to 0-indexed for compatibility
         const day = datePacific.day;
@@ -101,8 +106,33 @@ function parseCalendlyUrl(url) {
     }
 }
 
+/**
+ * Picks the time to click when the requested one is not on the page, following the
+ * request's fallback policy. Only the selected day's times are considered.
+ * @param {import('playwright').Page} page - Page showing the day's time buttons
+ * @param {Object} targetDate - Result of parseCalendlyUrl
+ * @param {string} fullBookingUrl - Requested slot's booking URL (its offset decides "same day")
+ * @param {Object} fallback - Result of parseFallback (services/slotFallback.js)
+ * @returns {Promise<{time: string, requested: DateTime, booked: DateTime, reason: string}|null>}
+ */
+async function _pickFallbackTime(page, targetDate, fullBookingUrl, fallback, sessionId, logCapture) {
+    const times = await page.$$eval('button[data-container="time-button"]', buttons =>
+        buttons.map(button => button.getAttribute('data-start-time')).filter(Boolean));
+    const onDay = time => DateTime.fromFormat(`${targetDate.year}-${targetDate.month + 1}-${targetDate.day} ${time.toUpperCase()}`, 'yyyy-M-d h:mma', { zone: targetDate.timezone });
+    const requested = slotStart(fullBookingUrl) || onDay(targetDate.timeString);
+    const slots = times.map(time => ({ time, start: onDay(time).toISO() })).filter(slot => slot.start);
+
+    const [choice] = rankFallbackSlots(requested, slots, fallback);
+    if (!choice) {
+        logCapture(`[${sessionId}] No time on the page matches the '${fallback.policy}' fallback (open: ${times.join(', ') || 'none'}).`);
+        return null;
+    }
+    logCapture(`[${sessionId}] ⚠️ Target time ${targetDate.timeString} is gone. Fallback '${fallback.policy}' picked ${choice.time} (${choice.reason}).`);
+    return { time: choice.time, requested, booked: DateTime.fromISO(choice.start).setZone(requested.zone), reason: choice.reason };
+}
+
 // --- Step 2: Book Session Function (DOM Navigation - Calculated Month Clicks) ---
-async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCapture) {
+async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCapture, options = {}) {
     const session = activeSessions[sessionId]; // Re-enable this line to get the session object
     // Remove the internal logCapture definition, use the passed-in one.
     // const logCapture = session?.logCapture || console.log;
@@ -116,30 +146,38 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
     let stepSuccess = false;
     let error = null; // To store error from catch block
     let bookingServiceResult = null; // To store booking result
+    const fallback = options.fallback || { policy: 'fail' }; // What to do if the time is gone (services/slotFallback.js)
+    const inviteeTimezone = options.timezone || null; // Set on the page's timezone selector when given
+    let slot = null; // Set when a fallback time was clicked instead of the requested one
+    let domNavigationTime = 0; // Time to reach the form page, in seconds
 
     // 1. Validate Session
     if (!session || !session.page || !session.browser) {
         const errorMsg = `Session ID ${sessionId} not found or session expired/invalid.`;
         logCapture(`[${sessionId}] ❌ ERROR: ${errorMsg}`);
-        if (activeSessions[sessionId]) delete activeSessions[sessionId];
-        return { success: false, error: errorMsg, duration: 0, sessionId: sessionId };
+        if (activeSessions[sessionId]) await releaseSession(sessionId);
+        return bookingFailure('SESSION_NOT_FOUND', errorMsg, { duration: 0, sessionId: sessionId });
     }
-    const { page, browser } = session;
+    const { page, browser, fingerprint } = session;
+    session.lastActiveTime = Date.now();
+    await sessionRegistry.markSessionState(sessionId, 'booking');
 
     // Apply browser profile standardization - ONLY if the page is not already navigating to a calendar
     logCapture(`[${sessionId}] Ensuring browser standardization is consistent...`);
-    await standardizeBrowserProfile(page, sessionId, logCapture);
+    await standardizeBrowserProfile(page, sessionId, logCapture, fingerprint);
 
     // 2. Parse Target Date/Time
-    const targetDate = parseCalendlyUrl(fullBookingUrl);
+    // The widget shows times in the invitee's timezone once its selector is set, otherwise in the
+    // browser's (which follows the session's exit IP)
+    let targetDate = parseCalendlyUrl(fullBookingUrl, inviteeTimezone || fingerprint?.timezone);
     if (!targetDate) {
         const errorMsg = `Could not parse date/time from booking URL: ${fullBookingUrl}`;
         logCapture(`[${sessionId}] ❌ ERROR: ${errorMsg}`);
         // Don't close browser here, let finally block handle it
-        return { success: false, error: errorMsg, duration: 0, sessionId: sessionId };
+        return bookingFailure('VALIDATION_ERROR', errorMsg, { duration: 0, sessionId: sessionId });
     }
     
-    logCapture(`[${sessionId}] Target parsed: Month=${targetDate.month}, Day=${targetDate.day}, Year=${targetDate.year}, Time=${targetDate.timeString}`);
+    logCapture(`[${sessionId}] Target parsed: Month=${targetDate.month}, Day=${targetDate.day}, Year=${targetDate.year}, Time=${targetDate.timeString} (${targetDate.timezone})`);
 
     // *** MOVED: Robust Cookie Check happens early ***
     try {
@@ -166,10 +204,26 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
         // --- DOM Navigation Steps ---
         const navigationStartTime = Date.now(); // Timer for DOM nav part
 
+        // 2b. Show times in the invitee's timezone (before picking a month: the zone can move the slot to another day)
+        if (inviteeTimezone) {
+            const browserTimezone = fingerprint?.timezone || 'America/Los_Angeles';
+            const zone = await selectWidgetTimezone(page, inviteeTimezone, { browserTimezone, slot: slotStart(fullBookingUrl), log: message => logCapture(`[${sessionId}] ${message}`) });
+            if (zone.changed && !zone.selected) {
+                // The page shows some other zone; clicking a time now could book the wrong hour
+                throw codedError('NAVIGATION_FAILED', `Could not set the timezone selector to ${inviteeTimezone}: ${zone.error}`);
+            }
+            if (zone.timezone !== targetDate.timezone) {
+                logCapture(`[${sessionId}] ⚠️ Matching times in ${zone.timezone} instead of ${inviteeTimezone}.`);
+                targetDate = parseCalendlyUrl(fullBookingUrl, zone.timezone);
+                logCapture(`[${sessionId}] Target re-parsed: Month=${targetDate.month}, Day=${targetDate.day}, Year=${targetDate.year}, Time=${targetDate.timeString} (${targetDate.timezone})`);
+            }
+        }
+
         // 3. Calculate Month Difference and Navigate
-        const now = new Date();
-        const currentMonth = now.getMonth(); // 0-indexed
-        const currentYear = now.getFullYear();
+        // The calendar opens on the current month in the timezone it shows
+        const now = DateTime.now().setZone(targetDate.timezone);
+        const currentMonth = now.month - 1; // 0-indexed
+        const currentYear = now.year;
 
         const monthDifference = (targetDate.year - currentYear) * 12 + (targetDate.month - currentMonth);
 
@@ -178,7 +232,7 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
         if (monthDifference < 0) {
             // Target month is in the past relative to the current real month
             logCapture(`[${sessionId}] ❌ ERROR: Target date (${targetDate.month + 1}/${targetDate.year}) is in the past relative to the current date (${currentMonth + 1}/${currentYear}). Cannot navigate backwards.`);
-            throw new Error("Target date is in the past.");
+            throw codedError('VALIDATION_ERROR', "Target date is in the past.");
         } else if (monthDifference === 0) {
             // Target month is the current month
             logCapture(`[${sessionId}] Target month is the current month. No month navigation needed.`);
@@ -197,16 +251,16 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
                     logCapture(`[${sessionId}] ❌ ERROR clicking next month button on click #${i + 1}: ${e.message}`);
                     // On failure, check if browser standardization is still intact
                     const currentUserAgent = await page.evaluate(() => navigator.userAgent).catch(() => 'unknown');
-                    if (!currentUserAgent.includes('Mac OS X 10_15')) {
+                    if (fingerprint && currentUserAgent !== fingerprint.userAgent) {
                         logCapture(`[${sessionId}] User agent has changed, re-standardizing before retry...`);
-                        await standardizeBrowserProfile(page, sessionId, logCapture);
+                        await standardizeBrowserProfile(page, sessionId, logCapture, fingerprint);
                         await page.waitForTimeout(1000); // Extra wait for standardization to take effect
                         // Try again after standardization
                         await page.waitForSelector(nextMonthButtonSelector, { timeout: 5000, state: 'visible' });
                         await page.click(nextMonthButtonSelector);
                         logCapture(`[${sessionId}] Retry succeeded after re-standardization.`);
                     } else {
-                        throw new Error(`Failed during month navigation on click ${i + 1}.`);
+                        throw codedError('NAVIGATION_FAILED', `Failed during month navigation on click ${i + 1}.`);
                     }
                 }
             }
@@ -265,7 +319,7 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
             const isDisabled = await dayButton.isDisabled();
             if (isDisabled) {
                 logCapture(`[${sessionId}] ❌ ERROR: Day ${targetDate.day} (${monthNames[targetDate.month]}) button found but is disabled (unavailable).`);
-                throw new Error(`Day ${targetDate.day} (${monthNames[targetDate.month]}) is unavailable.`);
+                throw codedError('DAY_UNAVAILABLE', `Day ${targetDate.day} (${monthNames[targetDate.month]}) is unavailable.`);
             }
 
             // If not disabled, proceed to click
@@ -281,7 +335,8 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
             if (page && !page.isClosed()) {
                 await page.screenshot({ path: `session_day_click_error_${sessionId}.png` });
             }
-            throw new Error(`Error with day button: ${e.message}`);
+            // A day button that isn't there at all also means the day has no availability
+            throw codedError(e.code || 'DAY_UNAVAILABLE', `Error with day button: ${e.message}`);
         }
 
         // 5. Select Time
@@ -321,15 +376,11 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
             `button[data-container="time-button"][data-start-time="${targetDate.timeString}"]`,
             
             // Alternative selector using text content
-            `button[data-container="time-button"]:has-text("${targetDate.timeString}")`,
-            
-            // Fallback to any time button if specific time not found
-            `button[data-container="time-button"]`
+            `button[data-container="time-button"]:has-text("${targetDate.timeString}")`
         ];
         
         let timeButton = null;
         let usedTimeSelector = '';
-        let usedFallbackTime = false;
         
         for (let i = 0; i < timeSelectors.length; i++) {
             try {
@@ -338,14 +389,6 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
                 
                 if (timeButton) {
                     usedTimeSelector = timeSelectors[i];
-                    
-                    // Check if we're using the fallback (any time) selector
-                    if (i === 2) {
-                        const fallbackTime = await timeButton.getAttribute('data-start-time');
-                        logCapture(`[${sessionId}] ⚠️ Using fallback time: ${fallbackTime} instead of target: ${targetDate.timeString}`);
-                        usedFallbackTime = true;
-                    }
-                    
                     logCapture(`[${sessionId}] ✅ Found time using selector strategy ${i+1}`);
                     break;
                 }
@@ -354,17 +397,27 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
             }
         }
         
+        // The requested time is gone: only book another one if the request's fallback policy allows it
+        if (!timeButton && fallback.policy !== 'fail') {
+            const fallbackTime = await _pickFallbackTime(page, targetDate, fullBookingUrl, fallback, sessionId, logCapture);
+            if (fallbackTime) {
+                timeButton = await page.$(`button[data-container="time-button"][data-start-time="${fallbackTime.time}"]`);
+                slot = describeSlot(fallback.policy, fallbackTime.requested, fallbackTime.booked, null,
+                    `Requested time is no longer available; fell back to the ${fallbackTime.reason}.`);
+            }
+        }
+
         if (!timeButton) {
             await page.screenshot({ path: `session_time_not_found_${sessionId}.png` });
             logCapture(`[${sessionId}] ❌ ERROR: Could not find time ${targetDate.timeString} with any selector strategy`);
-            throw new Error(`Time ${targetDate.timeString} not found with any selector strategy`);
+            throw codedError('SLOT_TAKEN', `Time ${targetDate.timeString} not found with any selector strategy${fallback.policy !== 'fail' ? ` and no open time matches the '${fallback.policy}' fallback` : ''}`);
         }
         
         // Click the time button
         try {
             await timeButton.click();
-            if (usedFallbackTime) {
-                logCapture(`[${sessionId}] Clicked fallback time instead of ${targetDate.timeString}.`);
+            if (slot) {
+                logCapture(`[${sessionId}] Clicked fallback time ${slot.bookedStart} instead of ${targetDate.timeString}.`);
             } else {
                 logCapture(`[${sessionId}] Clicked time ${targetDate.timeString}.`);
             }
@@ -373,7 +426,7 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
         } catch (e) {
             logCapture(`[${sessionId}] ❌ ERROR clicking time button: ${e.message}`);
             await page.screenshot({ path: `session_time_click_error_${sessionId}.png` });
-            throw new Error(`Failed to click time button: ${e.message}`);
+            throw codedError('NAVIGATION_FAILED', `Failed to click time button: ${e.message}`);
         }
 
         // 6. Click Next Button
@@ -388,10 +441,10 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
         } catch (e) {
             logCapture(`[${sessionId}] ❌ ERROR clicking 'Next' button or waiting for form page: ${e.message}`);
             await page.screenshot({ path: `session_next_click_error_${sessionId}.png` }).catch(err => logCapture(`[${sessionId}] ERROR: Next click error screenshot failed: ${err.message}`));
-            throw new Error("Failed to click 'Next' or load form page.");
+            throw codedError('FORM_NOT_FOUND', "Failed to click 'Next' or load form page.");
         }
 
-        const domNavigationTime = (Date.now() - navigationStartTime) / 1000;
+        domNavigationTime = (Date.now() - navigationStartTime) / 1000;
         logCapture(`[${sessionId}] DOM Navigation to form page completed in ${domNavigationTime.toFixed(2)}s`);
 
         // At the end before the booking service handoff - no need to re-standardize
@@ -401,7 +454,7 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
         // --- Hand off to Booking Service ---
         logCapture(`[${sessionId}] Handing off to bookingService...`);
         const bookingStartTime = Date.now();
-        bookingServiceResult = await bookMeeting(page, name, email, phone, logCapture);
+        bookingServiceResult = await bookMeeting(page, name, email, phone, { answers: options.answers, guests: options.guests, notes: options.notes, timezone: targetDate.timezone });
         bookingServiceDuration = (Date.now() - bookingStartTime) / 1000;
 
         if (bookingServiceResult.success) {
@@ -415,7 +468,14 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
                 duration: parseFloat(overallDuration.toFixed(2)), 
                 formDuration: parseFloat(bookingServiceDuration.toFixed(2)),
                 domNavigationTime: parseFloat(domNavigationTime.toFixed(2)),
-                sessionId: sessionId 
+                sessionId: sessionId,
+                phone: bookingServiceResult.phone || null,
+                guests: bookingServiceResult.guests || null,
+                questions: bookingServiceResult.questions || null,
+                links: bookingServiceResult.links || null,
+                confirmation: bookingServiceResult.confirmation || null,
+                timezone: targetDate.timezone,
+                slot
             };
         } else {
             logCapture(`[${sessionId}] ❌ bookingService reported FAILURE in ${bookingServiceDuration.toFixed(2)}s. Error: ${bookingServiceResult.error}`);
@@ -460,7 +520,7 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
 
             // Always remove session from active map
             if (activeSessions[sessionId]) {
-                delete activeSessions[sessionId];
+                await releaseSession(sessionId);
                 logCapture(`[${sessionId}] Session removed from active map.`);
             }
         } catch (finallyError) {
@@ -481,7 +541,15 @@ async function bookSession(sessionId, fullBookingUrl, name, email, phone, logCap
         duration: parseFloat(overallDuration.toFixed(2)),
         bookingServiceDuration: parseFloat(bookingServiceDuration.toFixed(2)),
         domNavigationTime: parseFloat(domNavigationTime.toFixed(2)),
-        error: finalError
+        error: finalError,
+        ...(stepSuccess ? {} : errorFields(error || bookingServiceResult || {})), // errorCode / retryable (see utils/bookingErrors.js)
+        phone: bookingServiceResult?.phone || null,
+        guests: bookingServiceResult?.guests || null,
+        questions: bookingServiceResult?.questions || null,
+        links: bookingServiceResult?.links || null,
+        confirmation: bookingServiceResult?.confirmation || null,
+        timezone: targetDate.timezone,
+        slot
     };
 }
 
@@ -0,0 +1,187 @@
+// mock/calendlyMockServer.js
+//
+// Local stand-in for Calendly's public scheduling endpoints, so the API booking mode
+// can be exercised offline. Run it with `npm run mock:calendly`, then start the app with
+// CALENDLY_API_BASE=http://localhost:4010 and CALENDLY_API_USE_PROXY=false.
+
+const express = require('express');
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+
+const DEFAULT_EVENT_TYPES = [
+    {
+        profileSlug: 'mock-host',
+        eventTypeSlug: '30min',
+        name: '30 Minute Meeting',
+        durationMinutes: 30,
+        hostTimezone: 'America/Los_Angeles',
+        locations: [{ kind: 'google_conference' }],
+        custom_fields: [{ name: 'Please share anything that will help prepare for our meeting.', format: 'text', required: false, enabled: true }]
+    },
+    {
+        profileSlug: 'mock-host',
+        eventTypeSlug: 'phone-call',
+        name: 'Phone Call',
+        durationMinutes: 15,
+        hostTimezone: 'America/New_York',
+        locations: [{ kind: 'outbound_call' }],
+        custom_fields: []
+    },
+    {
+        profileSlug: 'mock-host',
+        eventTypeSlug: 'discovery',
+        name: 'Discovery Call',
+        durationMinutes: 45,
+        hostTimezone: 'America/Los_Angeles',
+        locations: [{ kind: 'zoom_conference' }],
+        custom_fields: [{ name: 'Company name', format: 'text', required: true, enabled: true }]
+    }
+];
+
+/**
+ * Builds the mock server.
+ * @param {Object} [options]
+ * @param {Object[]} [options.eventTypes] - Event types to serve (see DEFAULT_EVENT_TYPES)
+ * @param {number} [options.workdayStartHour=9] - First bookable hour in the host's timezone
+ * @param {number} [options.workdayEndHour=17] - Hour after the last bookable slot
+ * @returns {import('express').Express} Express app, plus `bookings` for inspection
+ */
+function createMockCalendlyServer({ eventTypes = DEFAULT_EVENT_TYPES, workdayStartHour = 9, workdayEndHour = 17 } = {}) {
+    const app = express();
+    app.use(express.json());
+
+    const types = eventTypes.map(type => ({
+        ...type,
+        uuid: type.uuid || crypto.randomUUID(),
+        scheduling_link: { uid: crypto.randomUUID() }
+    }));
+    const bookings = []; // { uuid, eventTypeUuid, startTime, invitee }
+    const bookedStarts = new Set(); // `${eventTypeUuid}|${epochMillis}`
+
+    const findByUuid = (uuid) => types.find(type => type.uuid === uuid);
+    const toPublic = ({ profileSlug, eventTypeSlug, hostTimezone, durationMinutes, ...rest }) => ({
+        ...rest,
+        slug: eventTypeSlug,
+        profile: { slug: profileSlug, name: 'Mock Host', timezone: hostTimezone },
+        duration: durationMinutes
+    });
+
+    // Weekday slots every `durationMinutes` inside working hours, in the host's timezone
+    const spotsForDay = (type, date) => {
+        const dayStart = DateTime.fromISO(date, { zone: type.hostTimezone });
+        if (!dayStart.isValid || dayStart.weekday > 5) return [];
+        const spots = [];
+        let slot = dayStart.set({ hour: workdayStartHour });
+        const end = dayStart.set({ hour: workdayEndHour });
+        const now = DateTime.now();
+        while (slot < end) {
+            const taken = bookedStarts.has(`${type.uuid}|${slot.toMillis()}`);
+            if (slot > now) {
+                spots.push({ status: taken ? 'unavailable' : 'available', start_time: slot, invitees_remaining: taken ? 0 : 1 });
+            }
+            slot = slot.plus({ minutes: type.durationMinutes });
+        }
+        return spots;
+    };
+
+    app.get('/api/booking/event_types/lookup', (req, res) => {
+        const { profile_slug: profileSlug, event_type_slug: eventTypeSlug } = req.query;
+        const type = types.find(t => t.profileSlug === profileSlug && t.eventTypeSlug === eventTypeSlug);
+        if (!type) {
+            return res.status(404).json({ title: 'Resource Not Found', message: `No event type ${profileSlug}/${eventTypeSlug}` });
+        }
+        res.json(toPublic(type));
+    });
+
+    app.get('/api/booking/event_types/:uuid/calendar/range', (req, res) => {
+        const type = findByUuid(req.params.uuid);
+        if (!type) return res.status(404).json({ title: 'Resource Not Found', message: 'Unknown event type' });
+
+        const timezone = req.query.timezone || type.hostTimezone;
+        const rangeStart = DateTime.fromISO(req.query.range_start || '', { zone: timezone });
+        const rangeEnd = DateTime.fromISO(req.query.range_end || '', { zone: timezone });
+        if (!rangeStart.isValid || !rangeEnd.isValid || rangeEnd < rangeStart) {
+            return res.status(400).json({ title: 'Invalid Argument', message: 'range_start and range_end must be yyyy-MM-dd' });
+        }
+
+        const days = [];
+        for (let day = rangeStart; day <= rangeEnd; day = day.plus({ days: 1 })) {
+            const date = day.toISODate();
+            // Collect host-side spots that fall on this calendar day in the requested timezone
+            const spots = [day.minus({ days: 1 }), day, day.plus({ days: 1 })]
+                .flatMap(hostDay => spotsForDay(type, hostDay.toISODate()))
+                .map(spot => ({ ...spot, start_time: spot.start_time.setZone(timezone) }))
+                .filter(spot => spot.start_time.toISODate() === date)
+                .map(spot => ({ ...spot, start_time: spot.start_time.toISO({ suppressMilliseconds: true }) }));
+            days.push({
+                date,
+                status: spots.some(spot => spot.status === 'available') ? 'available' : 'unavailable',
+                spots
+            });
+        }
+        res.json({ invitee_publisher_error: false, today: DateTime.now().setZone(timezone).toISODate(), availability_timezone: timezone, days });
+    });
+
+    app.post('/api/booking/invitees', (req, res) => {
+        const { event_type_uuid: eventTypeUuid, event = {}, invitee = {} } = req.body || {};
+        const type = findByUuid(eventTypeUuid);
+        if (!type) return res.status(404).json({ title: 'Resource Not Found', message: 'Unknown event type' });
+        if (!invitee.full_name || !invitee.email || !event.start_time) {
+            return res.status(400).json({ title: 'Invalid Argument', message: 'full_name, email and start_time are required' });
+        }
+
+        const start = DateTime.fromISO(event.start_time).setZone(type.hostTimezone);
+        const offered = spotsForDay(type, start.toISODate()).some(spot => spot.start_time.toMillis() === start.toMillis());
+        const key = `${type.uuid}|${start.toMillis()}`;
+        if (!offered || bookedStarts.has(key)) {
+            return res.status(400).json({ title: 'Invalid Argument', message: 'Sorry, that time is no longer available.' });
+        }
+        const missing = (type.custom_fields || []).filter(field => field.required && !(req.body.event_fields || []).some(answer => answer.name === field.name));
+        if (missing.length > 0) {
+            return res.status(400).json({ title: 'Invalid Argument', message: `Missing answers: ${missing.map(f => f.name).join(', ')}` });
+        }
+
+        bookedStarts.add(key);
+        const eventUuid = crypto.randomUUID();
+        const kind = (type.locations[0] || {}).kind;
+        const booking = {
+            uuid: crypto.randomUUID(),
+            event: {
+                uuid: eventUuid,
+                name: type.name,
+                start_time: start.toUTC().toISO(),
+                end_time: start.plus({ minutes: type.durationMinutes }).toUTC().toISO(),
+                location: kind && kind.endsWith('_conference')
+                    ? { kind, join_url: `https://mock.zoom.us/j/${eventUuid.slice(0, 8)}` }
+                    : { kind, ...event.location_configuration },
+                event_memberships: [{ user_name: 'Mock Host' }],
+                guests: Object.values(event.guests || {})
+            },
+            answers: req.body.event_fields || [],
+            email: invitee.email,
+            name: invitee.full_name,
+            timezone: invitee.timezone,
+            event_type_uuid: type.uuid
+        };
+        bookings.push(booking);
+        console.log(`[MockCalendly] Booked ${type.profileSlug}/${type.eventTypeSlug} at ${booking.event.start_time} for ${booking.email}`);
+        res.status(201).json(booking);
+    });
+
+    // Inspection helper, not part of Calendly's API
+    app.get('/mock/bookings', (req, res) => res.json(bookings));
+
+    app.bookings = bookings;
+    app.eventTypes = types;
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.MOCK_CALENDLY_PORT || 4010;
+    createMockCalendlyServer().listen(port, () => {
+        console.log(`[MockCalendly] Mock scheduling API running on http://localhost:${port}`);
+        console.log('[MockCalendly] Booking URLs keep their usual form, e.g. https://calendly.com/mock-host/30min/<ISO start time>');
+    });
+}
+
+module.exports = { createMockCalendlyServer, DEFAULT_EVENT_TYPES };
@@ -1,11 +1,49 @@
 const express = require('express');
 const path = require('path');
 // Import startSession from sessionManager (no init needed)
-const { startSession, startPredictiveSession, activeSessions } = require('./sessionManager');
+const { startSession, startPredictiveSession, getPredictiveGroup, findPredictiveOption, describePredictiveOption, describePredictiveGroup, cancelPredictiveSession, addPredictiveOption, repointPredictiveOption, dropPredictiveOption, closeSession, activeSessions, registerPoolUrl, unregisterPoolUrl, getPoolStatus } = require('./sessionManager');
 // Import bookSession from ISP_index instead of isp_dom_index
 const { bookSession } = require('./ISP_index');
 // Import bookSession from isp_dom_index AS bookSessionDom
 const { bookSession: bookSessionDom } = require('./isp_dom_index');
+// Routes session-bound requests to the replica that owns the browser
+const { routeToSessionOwner, routeToJobOwner } = require('./utils/sessionRouting');
+// Direct booking through Calendly's scheduling endpoints (no browser)
+const { bookViaApi } = require('./services/apiBookingService');
+const { parseEventUrl } = require('./services/schedulingApiClient');
+// Bookings we made, and the cancel / reschedule flows that act on them
+const { recordBooking, getBooking, updateBooking, describeBooking } = require('./services/bookingStore');
+const { cancelBooking, rescheduleBooking } = require('./services/bookingChangeService');
+// Ledger of every booking call, and Idempotency-Key replays
+const { getAttempt, listAttempts } = require('./services/bookingLedger');
+const { bookingAttempt, finishJobAttempt } = require('./utils/idempotency');
+// Error codes, HTTP statuses and retryable flags for every failure response
+const { sendError, sendFailure, failureResponse, errorBody } = require('./utils/bookingErrors');
+// Caller phone numbers are normalised to E.164 before they reach any booking path
+const { normalizePhone } = require('./utils/phoneUtils');
+const { MAX_GUESTS } = require('./services/formGuests');
+// Open slot lookup (warm browser or scheduling API)
+const { getAvailability } = require('./services/availabilityService');
+// What to book when the requested time is gone (per-request fallback policy)
+const { parseFallback, resolveBookingSlot, bookedSlot } = require('./services/slotFallback');
+// Read-only session views for the admin routes
+const { describeSession, listSessionSummaries, snapshotSession } = require('./services/sessionInspector');
+// Keeps prepared predictive forms fresh in the background
+const { checkPredictiveGroup } = require('./services/predictiveKeepAlive');
+// Proxy endpoints and exit IPs with their scores
+const { getProxyStatus } = require('./services/proxyManager');
+const { listIps, getIp, validateIpInput, updateIp, deleteIp } = require('./services/ipReputation');
+const { IANAZone, DateTime } = require('luxon');
+// Booking form field discovery (JSON schema for callers)
+const { describeEventForm } = require('./services/eventFormService');
+// Background jobs for the long-running endpoints
+const { createJob, getJob, describeJob, runJob } = require('./services/jobManager');
+const sessionRegistry = require('./services/sessionRegistry');
+const { INSTANCE_URL } = sessionRegistry;
+const config = require('./config');
+// API keys, scopes and per-key limits
+const { authenticate, requireScope, acquireLaunchSlot, getKeyUsage } = require('./utils/apiAuth');
+const { listKeys, validateKeyInput, createKey, updateKey, deleteKey } = require('./services/apiKeyStore');
 
 // Create Express app
 const app = express();
@@ -14,9 +52,236 @@ const PORT = process.env.PORT || 3000;
 // Environment detection
 // const isProduction = process.env.NODE_ENV === 'production'; // Keep if needed
 
+const BOOKING_MODES = ['browser', 'api'];
+
+/**
+ * Runs the scheduling API booking when a session-based request asks for bookingMode 'api'.
+ * On success the warm browser is no longer needed and is closed.
+ * @param {string} sessionId - Session that would be used for the browser path
+ * @param {Object} body - Request body (fullBookingUrl, name, email, phone in E.164, answers, guests, notes, timezone, bookingMode, fallbackToBrowser)
+ * @param {Function} logCapture - Logging function
+ * @param {Function} [step] - Job step callback (see respondOrQueue)
+ * @returns {Promise<{finished: boolean, result?: Object, fallbackReason?: string}>} finished is false when the browser path should run
+ */
+async function tryApiBooking(sessionId, body, logCapture, step = () => {}) {
+    const { fullBookingUrl, name, email, phone, answers, bookingMode = 'browser', fallbackToBrowser = true } = body;
+    if (bookingMode !== 'api') return { finished: false };
+    if (hasAnswers(answers)) {
+        // The scheduling API client only sends name, email and phone
+        const reason = 'Custom question answers require the browser path';
+        logCapture(`[${sessionId}] ${reason}. Skipping the scheduling API.`);
+        return { finished: false, fallbackReason: reason };
+    }
+
+    step('api-booking');
+    logCapture(`[${sessionId}] Booking mode 'api' requested. Trying scheduling API first...`);
+    const apiResult = await bookViaApi(fullBookingUrl, name, email, phone, logCapture, { ...guestAndNoteOptions(body), timezone: body.timezone, sessionId });
+
+    if (apiResult.success) {
+        logCapture(`[${sessionId}] Booked via scheduling API in ${apiResult.duration}s. Closing unused browser session...`);
+        await closeSession(sessionId);
+        return { finished: true, result: { ...apiResult, sessionId } };
+    }
+    if (fallbackToBrowser === false) {
+        logCapture(`[${sessionId}] Scheduling API booking failed and fallback is disabled.`);
+        return { finished: true, result: { ...apiResult, sessionId } };
+    }
+    if (apiResult.inviteeSent) {
+        // The invitee may exist; submitting the form as well could book the lead twice
+        logCapture(`[${sessionId}] Scheduling API booking failed after the invitee was sent. Not falling back to the browser.`);
+        return { finished: true, result: { ...apiResult, sessionId } };
+    }
+    logCapture(`[${sessionId}] Scheduling API booking failed (${apiResult.error}). Falling back to browser booking...`);
+    return { finished: false, fallbackReason: apiResult.error };
+}
+
+/**
+ * Whether the caller asked for a background job instead of holding the request open:
+ * `"async": true`, a `callbackUrl`, or a `Prefer: respond-async` header.
+ */
+function wantsAsync(req) {
+    return req.body.async === true || Boolean(req.body.callbackUrl) || /respond-async/i.test(req.get('Prefer') || '');
+}
+
+/**
+ * Runs an operation and responds with its result, or, when the caller asked for async
+ * handling, queues it as a job and responds 202 with the job ID straight away.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} job
+ * @param {string} job.type - Job type, e.g. 'book-session'
+ * @param {string} [job.sessionId] - Session the operation works on
+ * @param {string[]} job.logs - The request's log array (becomes the job's logs)
+ * @param {Function} [job.onDone] - Called once the operation has finished, or immediately if it never starts
+ * @param {(step: Function) => Promise<{status: number, body: Object}>} work - The operation; call step(name) as it moves between phases
+ */
+async function respondOrQueue(req, res, { type, sessionId = null, logs, onDone = () => {} }, work) {
+    if (!wantsAsync(req)) {
+        try {
+            const { status, body } = await work(() => {});
+            return res.status(status).json({ ...body, logs: logs });
+        } finally {
+            onDone();
+        }
+    }
+
+    const { callbackUrl } = req.body;
+    if (callbackUrl) {
+        if (!/^https?:\/\//i.test(callbackUrl)) {
+            onDone();
+            return sendError(res, 'VALIDATION_ERROR', 'callbackUrl must be an http(s) URL.', { logs: logs });
+        }
+        if (!config.WEBHOOK_SECRET) {
+            onDone();
+            return sendError(res, 'VALIDATION_ERROR', 'callbackUrl requires WEBHOOK_SECRET to be configured on the server.', { logs: logs });
+        }
+    }
+
+    const job = createJob(type, { sessionId, callbackUrl, logs, apiKeyId: req.apiKey?.id });
+    logs.push(`Queued as job ${job.id}.`);
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        state: job.state,
+        statusUrl: `${INSTANCE_URL || ''}/api/jobs/${job.id}`,
+        sessionId: sessionId || undefined,
+        logs: logs
+    });
+    runJob(job, async (step) => {
+        try {
+            const outcome = await work(step);
+            finishJobAttempt(req, outcome.status, { ...outcome.body, jobId: job.id, logs: logs });
+            return outcome;
+        } catch (error) {
+            finishJobAttempt(req, 500, errorBody('INTERNAL_ERROR', `Unexpected error: ${error.message || error}`, { jobId: job.id, logs: logs }));
+            throw error;
+        } finally {
+            onDone();
+        }
+    });
+}
+
+/**
+ * Reserves a browser launch slot for the caller's API key, or responds 429.
+ * @returns {Function|null} Release function, or null if the response was already sent
+ */
+function reserveLaunchSlot(req, res, logCapture, logs) {
+    const release = acquireLaunchSlot(req);
+    if (!release) {
+        const message = `API key "${req.apiKey.name}" already has ${req.apiKey.maxConcurrentLaunches} browser launch(es) in progress.`;
+        logCapture(`ERROR: ${message}`);
+        sendError(res, 'RATE_LIMITED', message, { logs: logs });
+    }
+    return release;
+}
+
+/**
+ * Phone details for booking responses: the normalised number plus what the form's
+ * phone field ended up showing (field is null when the form had no phone field or
+ * the booking didn't use the browser).
+ * @param {Object} normalizedPhone - Result of normalizePhone
+ * @param {Object|null} fieldReport - Result of fillPhoneField
+ */
+function describePhone(normalizedPhone, fieldReport) {
+    return {
+        input: normalizedPhone.input,
+        e164: normalizedPhone.e164,
+        country: normalizedPhone.country,
+        countryCallingCode: normalizedPhone.countryCallingCode,
+        field: fieldReport || null
+    };
+}
+
+/**
+ * Checks the shape of the optional custom question answers:
+ * { "<label or 1-based position>": "value" | ["value", ...] }.
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAnswers(answers) {
+    if (answers === undefined) return null;
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        return 'answers must be an object keyed by question label or position.';
+    }
+    for (const [key, value] of Object.entries(answers)) {
+        const valid = typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+        if (!valid) return `Answer for "${key}" must be a string or an array of strings.`;
+    }
+    return null;
+}
+
+/**
+ * Records a successful booking so it can be rescheduled or cancelled later.
+ * @param {Object} req - Express request (for the API key)
+ * @param {string} type - Operation that booked it, e.g. 'book-session'
+ * @param {Object} details - { sessionId, fullBookingUrl, name, email, phone, guests }
+ * @param {Object} result - Booking result (links, confirmation, and startTime for the API path)
+ * @returns {{bookingId: string, links: Object|null, confirmation: Object|null}} Fields to add to the response body
+ */
+function rememberBooking(req, type, { sessionId = null, fullBookingUrl, name, email, phone, guests = [] }, result) {
+    const parsed = parseEventUrl(fullBookingUrl);
+    const record = recordBooking({
+        type,
+        sessionId,
+        baseUrl: parsed ? `${new URL(fullBookingUrl).origin}/${parsed.profileSlug}/${parsed.eventTypeSlug}` : null,
+        bookingUrl: fullBookingUrl,
+        startTime: result.confirmation?.startTime || result.startTime || (parsed && parsed.startTime) || null,
+        invitee: { name, email, phone },
+        guests,
+        links: result.links || {},
+        confirmation: result.confirmation || null,
+        apiKeyId: req.apiKey?.id
+    });
+    return { bookingId: record.id, links: result.links || null, confirmation: result.confirmation || null };
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NOTES_LENGTH = 10000;
+
+/**
+ * Checks the optional guest emails and invitee notes.
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateGuestsAndNotes({ guests, notes }) {
+    if (guests !== undefined) {
+        if (!Array.isArray(guests)) return 'guests must be an array of email addresses.';
+        if (guests.length > MAX_GUESTS) return `At most ${MAX_GUESTS} guests can be added.`;
+        const invalid = guests.filter(guest => typeof guest !== 'string' || !EMAIL_PATTERN.test(guest.trim()));
+        if (invalid.length) return `Invalid guest email(s): ${invalid.join(', ')}.`;
+        if (new Set(guests.map(guest => guest.trim().toLowerCase())).size !== guests.length) return 'guests contains duplicate emails.';
+    }
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+        return `notes must be a string of at most ${MAX_NOTES_LENGTH} characters.`;
+    }
+    return null;
+}
+
+/**
+ * Checks the optional invitee timezone.
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTimezone(timezone) {
+    if (timezone !== undefined && (typeof timezone !== 'string' || !IANAZone.isValidZone(timezone))) {
+        return `Invalid timezone "${timezone}" (expected an IANA name like America/New_York).`;
+    }
+    return null;
+}
+
+/**
+ * Guest and notes options for the booking paths, from a validated request body.
+ */
+function guestAndNoteOptions({ guests = [], notes }) {
+    return { guests: guests.map(guest => guest.trim()), notes: notes || undefined };
+}
+
+function hasAnswers(answers) {
+    return Boolean(answers) && Object.keys(answers).length > 0;
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+// Every /api route needs an API key (API_AUTH=false turns this off for local development)
+app.use('/api', authenticate);
 
 // Health check endpoint for Render
 app.get('/health', (req, res) => {
@@ -29,7 +294,7 @@ app.get('/', (req, res) => {
 });
 
 // --- Endpoint for Starting a Session ---
-app.post('/api/start-session', async (req, res) => {
+app.post('/api/start-session', requireScope('start'), async (req, res) => {
     const logs = [];
     const logCapture = (message) => {
       console.log(message); // Keep console logging for server visibility
@@ -40,24 +305,26 @@ app.post('/api/start-session', async (req, res) => {
         const { baseUrl } = req.body;
         if (!baseUrl) {
              logCapture('ERROR: Missing baseUrl for start-session.');
-             return res.status(400).json({ success: false, message: 'Missing required field: baseUrl', logs: logs });
+             return sendError(res, 'VALIDATION_ERROR', 'Missing required field: baseUrl', { logs: logs });
         }
         logCapture(`Received startSession request (forced ZD proxy): BaseURL=${baseUrl}`);
-        const result = await startSession(baseUrl, logCapture);
+        const releaseLaunchSlot = reserveLaunchSlot(req, res, logCapture, logs);
+        if (!releaseLaunchSlot) return;
+        const result = await startSession(baseUrl, logCapture).finally(releaseLaunchSlot);
 
         if (result.success) {
-            logCapture(`Session ${result.sessionId} started successfully in ${result.duration}s.`);
+            logCapture(`Session ${result.sessionId} started successfully in ${result.duration}s${result.fromPool ? ' (warm pool)' : ''}.`);
             res.json({
                 success: true,
                 sessionId: result.sessionId,
                 duration: result.duration,
+                fromPool: result.fromPool,
                 message: `Session ${result.sessionId} started successfully.`,
                 logs: logs
             });
         } else {
             logCapture(`Failed to start session. Error: ${result.error}. Duration: ${result.duration}s.`);
-            res.status(500).json({
-                success: false,
+            sendFailure(res, result, {
                 message: `Failed to start session: ${result.error || 'Unknown error'}`,
                 duration: result.duration,
                 logs: logs
@@ -67,12 +334,39 @@ app.post('/api/start-session', async (req, res) => {
         const errorMessage = `Unexpected server error during session start: ${error.message || error}`;
         logCapture(`FATAL ERROR in /api/start-session: ${errorMessage}`);
         console.error('Error in /api/start-session endpoint:', error);
-        res.status(500).json({ success: false, message: 'An unexpected server error occurred during session start.', logs: logs });
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred during session start.', { logs: logs });
+    }
+});
+
+// --- Warm Pool Endpoints ---
+app.get('/api/pool', requireScope('admin'), (req, res) => {
+    res.json({ success: true, pools: getPoolStatus() });
+});
+
+app.post('/api/pool', requireScope('admin'), (req, res) => {
+    const { baseUrl, size } = req.body;
+    const poolSize = size === undefined ? undefined : parseInt(size, 10);
+    if (!baseUrl || (poolSize !== undefined && (isNaN(poolSize) || poolSize < 0))) {
+        return sendError(res, 'VALIDATION_ERROR', 'Required: baseUrl, and optionally a non-negative size.');
+    }
+    console.log(`Registering warm pool for ${baseUrl} (size: ${poolSize ?? 'default'})`);
+    res.json({ success: true, pool: registerPoolUrl(baseUrl, poolSize) });
+});
+
+app.delete('/api/pool', requireScope('admin'), async (req, res) => {
+    const baseUrl = req.query.baseUrl || req.body?.baseUrl;
+    if (!baseUrl) {
+        return sendError(res, 'VALIDATION_ERROR', 'Missing required field: baseUrl');
+    }
+    const removed = await unregisterPoolUrl(baseUrl);
+    if (!removed) {
+        return sendError(res, 'NOT_FOUND', `No warm pool registered for ${baseUrl}.`);
     }
+    res.json({ success: true, message: `Warm pool for ${baseUrl} removed.` });
 });
 
 // --- Endpoint for Booking using a Session ---
-app.post('/api/book-session', async (req, res) => {
+app.post('/api/book-session', requireScope('book'), bookingAttempt('book-session'), async (req, res) => {
     console.log(`Received /api/book-session request for Session ID: ${req.body.sessionId}`);
     const logs = []; // Create a log collector for this request
     const logCapture = (message) => {
@@ -84,57 +378,86 @@ app.post('/api/book-session', async (req, res) => {
         const { sessionId, fullBookingUrl, name, email, phone } = req.body;
 
         // --- ADD SERVER-SIDE VALIDATION ---
-        const phoneRegex = /^\+\d{1,4}\s\d{7,}$/; // Same regex as frontend (or stricter)
-        if (!sessionId || !fullBookingUrl || !name || !email || !phone || !phoneRegex.test(phone)) {
+        const normalizedPhone = normalizePhone(phone, req.body.phoneCountry);
+        if (!sessionId || !fullBookingUrl || !name || !email || !phone || !normalizedPhone.valid) {
             let missingFields = [];
             if (!sessionId) missingFields.push('sessionId');
             if (!fullBookingUrl) missingFields.push('fullBookingUrl');
             if (!name) missingFields.push('name');
             if (!email) missingFields.push('email');
-            if (!phone) missingFields.push('phone');
+            if (!phone || !normalizedPhone.valid) missingFields.push('phone');
             let message = `Missing or invalid required fields: ${missingFields.join(', ')}.`;
-            if (phone && !phoneRegex.test(phone)) {
-                message += ' Phone format invalid (Expected: +1 123...).';
+            if (phone && !normalizedPhone.valid) {
+                message += ` ${normalizedPhone.error}`;
             }
 
             logCapture(`ERROR: Missing/Invalid required fields for book-session. Provided: ${JSON.stringify(req.body)}`);
-            return res.status(400).json({
-                success: false,
-                message: message,
-                logs: logs
-            });
+            return sendError(res, 'VALIDATION_ERROR', message, { logs: logs });
+        }
+        if (req.body.bookingMode && !BOOKING_MODES.includes(req.body.bookingMode)) {
+            logCapture(`ERROR: Invalid bookingMode '${req.body.bookingMode}'.`);
+            return sendError(res, 'VALIDATION_ERROR', `Invalid bookingMode. Expected one of: ${BOOKING_MODES.join(', ')}.`, { logs: logs });
+        }
+        const formError = validateAnswers(req.body.answers) || validateGuestsAndNotes(req.body) || validateTimezone(req.body.timezone);
+        if (formError) {
+            logCapture(`ERROR: ${formError}`);
+            return sendError(res, 'VALIDATION_ERROR', formError, { logs: logs });
+        }
+        const fallback = parseFallback(req.body.fallback);
+        if (fallback.error) {
+            logCapture(`ERROR: ${fallback.error}`);
+            return sendError(res, 'VALIDATION_ERROR', fallback.error, { logs: logs });
         }
         // --- END VALIDATION ---
 
-        // Pass the validated data to bookSession
-        const result = await bookSession(sessionId, fullBookingUrl, name, email, phone, logCapture);
+        // Hand off to the owning replica if the session doesn't live in this process
+        if (await routeToSessionOwner(req, res, sessionId, logCapture, logs)) return;
 
-        // We now have the logs collected in the `logs` array.
-        // Include these logs in the response.
-        if (result.success) {
-             logCapture(`[${sessionId}] API reports booking successful in ${result.duration}s.`);
-             res.json({ ...result, logs: logs }); // Add logs to successful response
-        } else {
-             logCapture(`[${sessionId}] API reports booking failed. Error: ${result.error}. Duration: ${result.duration}s.`);
-             res.status(500).json({ ...result, logs: logs }); // Add logs to failure response
-        }
+        await respondOrQueue(req, res, { type: 'book-session', sessionId, logs }, async (step) => {
+            // Check the slot is still open; the fallback policy may swap in another one
+            step('slot-check');
+            const resolved = await resolveBookingSlot(fullBookingUrl, fallback, logCapture, { timezone: req.body.timezone || activeSessions[sessionId]?.fingerprint?.timezone });
+            if (!resolved.success) return failureResponse(resolved);
+            const bookingUrl = resolved.bookingUrl;
+
+            // Scheduling API first if requested (falls through to the browser path on failure)
+            const apiAttempt = await tryApiBooking(sessionId, { ...req.body, fullBookingUrl: bookingUrl, phone: normalizedPhone.e164 }, logCapture, step);
+            const bookingDetails = { sessionId, fullBookingUrl: bookingUrl, name, email, phone: normalizedPhone.e164, guests: guestAndNoteOptions(req.body).guests };
+            if (apiAttempt.finished) {
+                const body = { ...apiAttempt.result, phone: describePhone(normalizedPhone, null), slot: bookedSlot(resolved, apiAttempt.result) };
+                if (apiAttempt.result.success) Object.assign(body, rememberBooking(req, 'book-session', bookingDetails, apiAttempt.result));
+                return apiAttempt.result.success ? { status: 200, body } : failureResponse(body);
+            }
+            const bookingModeInfo = { bookingMode: 'browser', apiFallbackReason: apiAttempt.fallbackReason };
+
+            // Pass the validated data to bookSession
+            step('browser-booking');
+            const result = await bookSession(sessionId, bookingUrl, name, email, normalizedPhone.e164, logCapture, { answers: req.body.answers, ...guestAndNoteOptions(req.body) });
+            const slot = bookedSlot(resolved, result);
+
+            // The logs collected in the `logs` array are added to the response by respondOrQueue
+            if (result.success) {
+                 logCapture(`[${sessionId}] API reports booking successful in ${result.duration}s.`);
+                 return { status: 200, body: { ...result, ...bookingModeInfo, phone: describePhone(normalizedPhone, result.phone), slot, ...rememberBooking(req, 'book-session', bookingDetails, result) } };
+            }
+            logCapture(`[${sessionId}] API reports booking failed. Error: ${result.error}. Duration: ${result.duration}s.`);
+            return failureResponse(result, { ...bookingModeInfo, phone: describePhone(normalizedPhone, result.phone), slot });
+        });
 
     } catch (error) {
         // Catch totally unexpected errors in this endpoint handler
         const errorMessage = `Unexpected server error during session booking: ${error.message || error}`;
         logCapture(`FATAL ERROR in /api/book-session for session ${req.body.sessionId}: ${errorMessage}`); // Use logCapture
         console.error(`FATAL ERROR in /api/book-session for session ${req.body.sessionId}:`, error); // Keep console.error for critical issues
-        res.status(500).json({
-             success: false,
-             message: 'An unexpected server error occurred during session booking.',
-             sessionId: req.body.sessionId, // Include session ID if possible
-             logs: logs // Include logs even in fatal error response
-            });
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred during session booking.', {
+            sessionId: req.body.sessionId, // Include session ID if possible
+            logs: logs // Include logs even in fatal error response
+        });
     }
 });
 
 // --- Endpoint for Booking using a Session (DOM Version) ---
-app.post('/api/book-session-dom', async (req, res) => {
+app.post('/api/book-session-dom', requireScope('book'), bookingAttempt('book-session-dom'), async (req, res) => {
     console.log(`Received /api/book-session-dom request for Session ID: ${req.body.sessionId}`);
     const logs = []; // Create a log collector for this request
     const logCapture = (message) => {
@@ -146,58 +469,88 @@ app.post('/api/book-session-dom', async (req, res) => {
         const { sessionId, fullBookingUrl, name, email, phone } = req.body;
 
         // --- Re-use SERVER-SIDE VALIDATION ---
-        const phoneRegex = /^\+\d{1,4}\s\d{7,}$/;
-        if (!sessionId || !fullBookingUrl || !name || !email || !phone || !phoneRegex.test(phone)) {
+        const normalizedPhone = normalizePhone(phone, req.body.phoneCountry);
+        if (!sessionId || !fullBookingUrl || !name || !email || !phone || !normalizedPhone.valid) {
             let missingFields = [];
             if (!sessionId) missingFields.push('sessionId');
             if (!fullBookingUrl) missingFields.push('fullBookingUrl');
             if (!name) missingFields.push('name');
             if (!email) missingFields.push('email');
-            if (!phone) missingFields.push('phone');
+            if (!phone || !normalizedPhone.valid) missingFields.push('phone');
             let message = `Missing or invalid required fields: ${missingFields.join(', ')}.`;
-            if (phone && !phoneRegex.test(phone)) {
-                message += ' Phone format invalid (Expected: +1 123...).';
+            if (phone && !normalizedPhone.valid) {
+                message += ` ${normalizedPhone.error}`;
             }
 
             logCapture(`ERROR: Missing/Invalid required fields for book-session-dom. Provided: ${JSON.stringify(req.body)}`);
-            return res.status(400).json({
-                success: false,
-                message: message,
-                logs: logs
-            });
+            return sendError(res, 'VALIDATION_ERROR', message, { logs: logs });
+        }
+        if (req.body.bookingMode && !BOOKING_MODES.includes(req.body.bookingMode)) {
+            logCapture(`ERROR: Invalid bookingMode '${req.body.bookingMode}'.`);
+            return sendError(res, 'VALIDATION_ERROR', `Invalid bookingMode. Expected one of: ${BOOKING_MODES.join(', ')}.`, { logs: logs });
+        }
+        const formError = validateAnswers(req.body.answers) || validateGuestsAndNotes(req.body) || validateTimezone(req.body.timezone);
+        if (formError) {
+            logCapture(`ERROR: ${formError}`);
+            return sendError(res, 'VALIDATION_ERROR', formError, { logs: logs });
+        }
+        const fallback = parseFallback(req.body.fallback);
+        if (fallback.error) {
+            logCapture(`ERROR: ${fallback.error}`);
+            return sendError(res, 'VALIDATION_ERROR', fallback.error, { logs: logs });
         }
         // --- END VALIDATION ---
 
-        // Pass the validated data to bookSessionDom (from isp_dom_index.js)
-        const result = await bookSessionDom(sessionId, fullBookingUrl, name, email, phone, logCapture);
+        // Hand off to the owning replica if the session doesn't live in this process
+        if (await routeToSessionOwner(req, res, sessionId, logCapture, logs)) return;
 
-        // Include logs in the response.
-        if (result.success) {
-             logCapture(`[${sessionId}] API reports booking (DOM) successful in ${result.duration}s.`);
-             // Add potential new metrics like domNavigationTime if available
-             res.json({ ...result, logs: logs });
-        } else {
-             logCapture(`[${sessionId}] API reports booking (DOM) failed. Error: ${result.error}. Duration: ${result.duration}s.`);
-             res.status(500).json({ ...result, logs: logs });
-        }
+        await respondOrQueue(req, res, { type: 'book-session-dom', sessionId, logs }, async (step) => {
+            // Check the slot is still open; the fallback policy may swap in another one
+            step('slot-check');
+            const resolved = await resolveBookingSlot(fullBookingUrl, fallback, logCapture, { timezone: req.body.timezone || activeSessions[sessionId]?.fingerprint?.timezone });
+            if (!resolved.success) return failureResponse(resolved);
+            const bookingUrl = resolved.bookingUrl;
+
+            // Scheduling API first if requested (falls through to the browser path on failure)
+            const apiAttempt = await tryApiBooking(sessionId, { ...req.body, fullBookingUrl: bookingUrl, phone: normalizedPhone.e164 }, logCapture, step);
+            const bookingDetails = { sessionId, fullBookingUrl: bookingUrl, name, email, phone: normalizedPhone.e164, guests: guestAndNoteOptions(req.body).guests };
+            if (apiAttempt.finished) {
+                const body = { ...apiAttempt.result, phone: describePhone(normalizedPhone, null), slot: bookedSlot(resolved, apiAttempt.result) };
+                if (apiAttempt.result.success) Object.assign(body, rememberBooking(req, 'book-session-dom', bookingDetails, apiAttempt.result));
+                return apiAttempt.result.success ? { status: 200, body } : failureResponse(body);
+            }
+            const bookingModeInfo = { bookingMode: 'browser', apiFallbackReason: apiAttempt.fallbackReason };
+
+            // Pass the validated data to bookSessionDom (from isp_dom_index.js)
+            step('browser-booking');
+            const result = await bookSessionDom(sessionId, bookingUrl, name, email, normalizedPhone.e164, logCapture, { answers: req.body.answers, ...guestAndNoteOptions(req.body), fallback, timezone: req.body.timezone });
+            // The page can still fall back if the time went between the check and the click
+            const slot = bookedSlot(resolved, result);
+
+            if (result.success) {
+                 logCapture(`[${sessionId}] API reports booking (DOM) successful in ${result.duration}s.`);
+                 // Add potential new metrics like domNavigationTime if available
+                 return { status: 200, body: { ...result, ...bookingModeInfo, phone: describePhone(normalizedPhone, result.phone), slot, ...rememberBooking(req, 'book-session-dom', { ...bookingDetails, fullBookingUrl: slot.bookingUrl || bookingUrl }, result) } };
+            }
+            logCapture(`[${sessionId}] API reports booking (DOM) failed. Error: ${result.error}. Duration: ${result.duration}s.`);
+            return failureResponse(result, { ...bookingModeInfo, phone: describePhone(normalizedPhone, result.phone), slot });
+        });
 
     } catch (error) {
         // Catch totally unexpected errors in this endpoint handler
         const errorMessage = `Unexpected server error during session booking (DOM): ${error.message || error}`;
         logCapture(`FATAL ERROR in /api/book-session-dom for session ${req.body.sessionId}: ${errorMessage}`);
         console.error(`FATAL ERROR in /api/book-session-dom for session ${req.body.sessionId}:`, error);
-        res.status(500).json({
-             success: false,
-             message: 'An unexpected server error occurred during session booking (DOM).',
-             sessionId: req.body.sessionId,
-             logs: logs
-            });
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred during session booking (DOM).', {
+            sessionId: req.body.sessionId,
+            logs: logs
+        });
     }
 });
 
-// --- Endpoint for Starting a Predictive Session with Two Options ---
-app.post('/api/start-predictive-session', async (req, res) => {
-    console.log(`Received /api/start-predictive-session request`);
+// --- Endpoint for Booking directly through the Scheduling API (no session) ---
+app.post('/api/book-direct', requireScope('book'), bookingAttempt('book-direct'), async (req, res) => {
+    console.log(`Received /api/book-direct request`);
     const logs = [];
     const logCapture = (message) => {
       console.log(message);
@@ -205,85 +558,536 @@ app.post('/api/start-predictive-session', async (req, res) => {
     };
 
     try {
-        const { bookingUrl1, bookingUrl2, name, email, phone } = req.body;
+        const { fullBookingUrl, name, email, phone } = req.body;
 
-        // --- Validate Inputs ---
-        const phoneRegex = /^\+\d{1,4}\s\d{7,}$/;
-        if (!bookingUrl1 || !bookingUrl2 || !name || !email || !phone || !phoneRegex.test(phone)) {
+        const normalizedPhone = normalizePhone(phone, req.body.phoneCountry);
+        if (!fullBookingUrl || !name || !email || !phone || !normalizedPhone.valid) {
             let missingFields = [];
-            if (!bookingUrl1) missingFields.push('bookingUrl1');
-            if (!bookingUrl2) missingFields.push('bookingUrl2');
+            if (!fullBookingUrl) missingFields.push('fullBookingUrl');
             if (!name) missingFields.push('name');
             if (!email) missingFields.push('email');
-            if (!phone) missingFields.push('phone');
+            if (!phone || !normalizedPhone.valid) missingFields.push('phone');
             let message = `Missing or invalid required fields: ${missingFields.join(', ')}.`;
-            if (phone && !phoneRegex.test(phone)) {
-                message += ' Phone format invalid (Expected: +1 123...).';
+            if (phone && !normalizedPhone.valid) {
+                message += ` ${normalizedPhone.error}`;
             }
 
-            logCapture(`ERROR: Missing/Invalid required fields for predictive booking. Provided: ${JSON.stringify(req.body)}`);
-            return res.status(400).json({
-                success: false,
-                message: message,
-                logs: logs
-            });
+            logCapture(`ERROR: Missing/Invalid required fields for book-direct. Provided: ${JSON.stringify(req.body)}`);
+            return sendError(res, 'VALIDATION_ERROR', message, { logs: logs });
+        }
+        if (hasAnswers(req.body.answers)) {
+            const message = 'book-direct cannot answer custom questions. Use /api/book-session with a browser session instead.';
+            logCapture(`ERROR: ${message}`);
+            return sendError(res, 'VALIDATION_ERROR', message, { logs: logs });
+        }
+        const formError = validateGuestsAndNotes(req.body) || validateTimezone(req.body.timezone);
+        if (formError) {
+            logCapture(`ERROR: ${formError}`);
+            return sendError(res, 'VALIDATION_ERROR', formError, { logs: logs });
+        }
+        const fallback = parseFallback(req.body.fallback);
+        if (fallback.error) {
+            logCapture(`ERROR: ${fallback.error}`);
+            return sendError(res, 'VALIDATION_ERROR', fallback.error, { logs: logs });
         }
 
-        // Extract the base URL from the first booking URL
-        // This assumes booking URLs are in the format: https://calendly.com/username/30min/YYYY-MM-DDTHH:mm:ss
-        const baseUrlMatch = bookingUrl1.match(/(https:\/\/calendly\.com\/[^\/]+\/[^\/]+)\//);
-        const baseUrl = baseUrlMatch ? baseUrlMatch[1] : null;
-        
+        const resolved = await resolveBookingSlot(fullBookingUrl, fallback, logCapture, { timezone: req.body.timezone });
+        if (!resolved.success) {
+            return sendFailure(res, resolved, { logs: logs });
+        }
+        const result = await bookViaApi(resolved.bookingUrl, name, email, normalizedPhone.e164, logCapture, { ...guestAndNoteOptions(req.body), timezone: req.body.timezone });
+        const phoneInfo = describePhone(normalizedPhone, null);
+        if (result.success) {
+            logCapture(`API reports direct booking successful in ${result.duration}s.`);
+            const booking = rememberBooking(req, 'book-direct', { fullBookingUrl: resolved.bookingUrl, name, email, phone: normalizedPhone.e164, guests: guestAndNoteOptions(req.body).guests }, result);
+            res.json({ ...result, phone: phoneInfo, slot: bookedSlot(resolved, result), ...booking, logs: logs });
+        } else {
+            logCapture(`API reports direct booking failed. Error: ${result.error}. Duration: ${result.duration}s.`);
+            sendFailure(res, result, { phone: phoneInfo, slot: bookedSlot(resolved, result), logs: logs });
+        }
+    } catch (error) {
+        const errorMessage = `Unexpected server error during direct booking: ${error.message || error}`;
+        logCapture(`FATAL ERROR in /api/book-direct: ${errorMessage}`);
+        console.error('Error in /api/book-direct endpoint:', error);
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred during direct booking.', { logs: logs });
+    }
+});
+
+// --- API Key Management (admin) ---
+app.get('/api/admin/keys', requireScope('admin'), (req, res) => {
+    res.json({ success: true, keys: listKeys().map(key => ({ ...key, usage: getKeyUsage(key.id) })) });
+});
+
+app.post('/api/admin/keys', requireScope('admin'), (req, res) => {
+    const { name, scopes, rateLimitPerMinute, maxConcurrentLaunches } = req.body;
+    const error = !name || !scopes ? 'Required: name and scopes.' : validateKeyInput(req.body);
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+    const { key, record } = createKey({ name, scopes, rateLimitPerMinute, maxConcurrentLaunches });
+    console.log(`[ApiKeys] Created key ${record.id} (${record.name}) with scopes ${record.scopes.join(', ')}.`);
+    res.status(201).json({ success: true, key, record, message: 'Store this key now; it cannot be shown again.' });
+});
+
+app.patch('/api/admin/keys/:keyId', requireScope('admin'), (req, res) => {
+    const error = validateKeyInput(req.body);
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+    const record = updateKey(req.params.keyId, req.body);
+    if (!record) {
+        return sendError(res, 'NOT_FOUND', `Key ${req.params.keyId} not found or not editable.`);
+    }
+    console.log(`[ApiKeys] Updated key ${record.id} (${record.name}).`);
+    res.json({ success: true, record });
+});
+
+app.delete('/api/admin/keys/:keyId', requireScope('admin'), (req, res) => {
+    if (!deleteKey(req.params.keyId)) {
+        return sendError(res, 'NOT_FOUND', `Key ${req.params.keyId} not found or not deletable.`);
+    }
+    console.log(`[ApiKeys] Deleted key ${req.params.keyId}.`);
+    res.json({ success: true, message: `Key ${req.params.keyId} deleted.` });
+});
+
+// --- Booking Ledger (admin) ---
+app.get('/api/admin/booking-attempts', requireScope('admin'), (req, res) => {
+    const { apiKeyId, sessionId, status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    res.json({ success: true, attempts: listAttempts({ apiKeyId, sessionId, status, type, limit }) });
+});
+
+app.get('/api/admin/booking-attempts/:attemptId', requireScope('admin'), (req, res) => {
+    const attempt = getAttempt(req.params.attemptId);
+    if (!attempt) {
+        return sendError(res, 'NOT_FOUND', `Booking attempt ${req.params.attemptId} not found.`);
+    }
+    res.json({ success: true, attempt });
+});
+
+// --- Session Inspection (admin) ---
+// Sessions held by this replica; the per-session routes forward to the owning replica
+app.get('/api/admin/sessions', requireScope('admin'), (req, res) => {
+    const sessions = listSessionSummaries();
+    res.json({ success: true, instanceId: sessionRegistry.INSTANCE_ID, count: sessions.length, sessions });
+});
+
+app.get('/api/admin/sessions/:sessionId', requireScope('admin'), async (req, res) => {
+    const { sessionId } = req.params;
+    const logs = [];
+    if (await routeToSessionOwner(req, res, sessionId, message => logs.push(message), logs)) return;
+    const session = describeSession(sessionId);
+    if (!session) {
+        return sendError(res, 'SESSION_NOT_FOUND', `Session ${sessionId} not found or has expired.`);
+    }
+    res.json({ success: true, session, registry: await sessionRegistry.getSession(sessionId) });
+});
+
+app.get('/api/admin/sessions/:sessionId/screenshot', requireScope('admin'), async (req, res) => {
+    const { sessionId } = req.params;
+    const logs = [];
+    if (await routeToSessionOwner(req, res, sessionId, message => logs.push(message), logs)) return;
+    const snapshot = await snapshotSession(sessionId, { format: 'png', fullPage: req.query.fullPage === 'true' });
+    if (!snapshot.success) {
+        return sendFailure(res, snapshot);
+    }
+    console.log(`[Admin] Screenshot of session ${sessionId} (${snapshot.url}).`);
+    res.set({ 'Content-Type': 'image/png', 'X-Page-Url': snapshot.url, 'X-Captured-At': snapshot.capturedAt });
+    res.send(snapshot.png);
+});
+
+app.get('/api/admin/sessions/:sessionId/html', requireScope('admin'), async (req, res) => {
+    const { sessionId } = req.params;
+    const logs = [];
+    if (await routeToSessionOwner(req, res, sessionId, message => logs.push(message), logs)) return;
+    const snapshot = await snapshotSession(sessionId, { format: 'html' });
+    if (!snapshot.success) {
+        return sendFailure(res, snapshot);
+    }
+    console.log(`[Admin] HTML snapshot of session ${sessionId} (${snapshot.url}).`);
+    res.json({ success: true, sessionId, url: snapshot.url, capturedAt: snapshot.capturedAt, html: snapshot.html });
+});
+
+app.delete('/api/admin/sessions/:sessionId', requireScope('admin'), async (req, res) => {
+    const { sessionId } = req.params;
+    const logs = [];
+    const logCapture = (message) => {
+      console.log(message);
+      logs.push(message);
+    };
+    if (await routeToSessionOwner(req, res, sessionId, logCapture, logs)) return;
+    const session = describeSession(sessionId);
+    if (!session) {
+        return sendError(res, 'SESSION_NOT_FOUND', `Session ${sessionId} not found or has expired.`, { logs: logs });
+    }
+    logCapture(`[Admin] Force-closing session ${sessionId} (${session.pageUrl || session.baseUrl}).`);
+    const closed = await closeSession(sessionId);
+    res.json({ success: true, sessionId, closed, session, logs: logs });
+});
+
+// --- Proxies (admin) ---
+app.get('/api/admin/proxies', requireScope('admin'), (req, res) => {
+    res.json({ success: true, instanceId: sessionRegistry.INSTANCE_ID, ...getProxyStatus() });
+});
+
+// --- IP Reputation (admin) ---
+app.get('/api/admin/ip-reputation', requireScope('admin'), (req, res) => {
+    const ips = listIps({ badOnly: req.query.bad === 'true' });
+    res.json({ success: true, count: ips.length, ips });
+});
+
+app.get('/api/admin/ip-reputation/:ip', requireScope('admin'), (req, res) => {
+    const entry = getIp(req.params.ip);
+    if (!entry) {
+        return sendError(res, 'NOT_FOUND', `IP ${req.params.ip} is not tracked.`);
+    }
+    res.json({ success: true, entry });
+});
+
+// Pin an IP as blocked or allowed, hand it back to automatic tracking, or reset its penalty
+app.put('/api/admin/ip-reputation/:ip', requireScope('admin'), (req, res) => {
+    const { status, note, penalty } = req.body || {};
+    const error = validateIpInput(req.params.ip, { status, note, penalty });
+    if (error) {
+        return sendError(res, 'VALIDATION_ERROR', error);
+    }
+    const entry = updateIp(req.params.ip, { status, note, penalty });
+    console.log(`[IpReputation] Updated ${entry.ip}: status ${entry.status}, penalty ${entry.penalty}.`);
+    res.json({ success: true, entry });
+});
+
+app.delete('/api/admin/ip-reputation/:ip', requireScope('admin'), (req, res) => {
+    if (!deleteIp(req.params.ip)) {
+        return sendError(res, 'NOT_FOUND', `IP ${req.params.ip} is not tracked.`);
+    }
+    console.log(`[IpReputation] Forgot ${req.params.ip}.`);
+    res.json({ success: true, message: `IP ${req.params.ip} forgotten.` });
+});
+
+// --- Endpoint for Polling a Background Job ---
+app.get('/api/jobs/:jobId', async (req, res) => {
+    const job = getJob(req.params.jobId);
+    // Jobs run in the process that queued them; polls that land elsewhere are forwarded there
+    if (!job && await routeToJobOwner(req, res, req.params.jobId)) return;
+    // Jobs are only visible to the key that created them (and admins)
+    const canSee = job && (!config.API_AUTH_ENABLED || job.apiKeyId === req.apiKey.id || req.apiKey.scopes.includes('admin'));
+    if (!canSee) {
+        return sendError(res, 'NOT_FOUND', `Job ${req.params.jobId} not found or has expired.`);
+    }
+    res.json({ success: true, job: describeJob(job) });
+});
+
+// --- Bookings (reschedule / cancel) ---
+function findVisibleBooking(req) {
+    const booking = getBooking(req.params.bookingId);
+    // Bookings are only visible to the key that made them (and admins)
+    const canSee = booking && (!config.API_AUTH_ENABLED || booking.apiKeyId === req.apiKey.id || req.apiKey.scopes.includes('admin'));
+    return canSee ? booking : null;
+}
+
+app.get('/api/bookings/:bookingId', requireScope('book'), (req, res) => {
+    const booking = findVisibleBooking(req);
+    if (!booking) {
+        return sendError(res, 'NOT_FOUND', `Booking ${req.params.bookingId} not found.`);
+    }
+    res.json({ success: true, booking: describeBooking(booking) });
+});
+
+/**
+ * Cancels or reschedules a recorded booking through its Calendly link. The flow runs
+ * in a session started on the event's base URL (a warm pool browser when one is ready),
+ * which is closed afterwards.
+ * @param {string} action - 'cancel' or 'reschedule'
+ */
+async function handleBookingChange(req, res, action) {
+    console.log(`Received /api/bookings/${req.params.bookingId}/${action} request`);
+    const logs = [];
+    const logCapture = (message) => {
+      console.log(message);
+      logs.push(message);
+    };
+
+    try {
+        const booking = findVisibleBooking(req);
+        if (!booking) {
+            logCapture(`ERROR: Booking ${req.params.bookingId} not found.`);
+            return sendError(res, 'NOT_FOUND', `Booking ${req.params.bookingId} not found.`, { logs: logs });
+        }
+        if (booking.status === 'cancelled') {
+            logCapture(`ERROR: Booking ${booking.id} is already cancelled.`);
+            return sendError(res, 'BOOKING_STATE_CONFLICT', `Booking ${booking.id} is already cancelled.`, { logs: logs });
+        }
+        const link = action === 'cancel' ? booking.cancelUrl : booking.rescheduleUrl;
+        if (!link) {
+            const message = `Booking ${booking.id} has no ${action} link (none was found on its confirmation page).`;
+            logCapture(`ERROR: ${message}`);
+            return sendError(res, 'BOOKING_STATE_CONFLICT', message, { logs: logs });
+        }
+
+        const { startTime, reason } = req.body;
+        if (action === 'reschedule' && (!startTime || !DateTime.fromISO(startTime, { setZone: true }).isValid)) {
+            logCapture(`ERROR: Invalid startTime for reschedule: ${startTime}`);
+            return sendError(res, 'VALIDATION_ERROR', 'startTime is required and must be ISO 8601 with an offset (e.g. a slot start from /api/availability).', { logs: logs });
+        }
+
+        const releaseLaunchSlot = reserveLaunchSlot(req, res, logCapture, logs);
+        if (!releaseLaunchSlot) return;
+
+        await respondOrQueue(req, res, { type: `${action}-booking`, logs, onDone: releaseLaunchSlot }, async (step) => {
+            step('start-session');
+            const started = await startSession(booking.baseUrl, logCapture);
+            if (!started.success) {
+                return failureResponse({ ...started, error: `Could not start a session: ${started.error}` }, { bookingId: booking.id });
+            }
+
+            step(action);
+            const page = activeSessions[started.sessionId].page;
+            const previousStart = booking.startTime;
+            const result = action === 'cancel'
+                ? await cancelBooking(page, link, { reason }, logCapture)
+                : await rescheduleBooking(page, link, { startTime, reason }, logCapture);
+            // The page has left the base URL, so the session isn't reusable
+            await closeSession(started.sessionId);
+
+            if (!result.success) {
+                return failureResponse(result, { bookingId: booking.id, booking: describeBooking(booking) });
+            }
+            const updated = action === 'cancel'
+                ? updateBooking(booking.id, { status: 'cancelled' }, { action: 'cancelled', reason: reason || null })
+                : updateBooking(booking.id,
+                    { status: 'rescheduled', startTime: result.confirmation?.startTime || result.startTime, bookingUrl: result.bookingUrl, links: result.links, confirmation: result.confirmation || null },
+                    { action: 'rescheduled', from: previousStart, startTime: result.startTime, reason: reason || null });
+            logCapture(`Booking ${booking.id} ${action === 'cancel' ? 'cancelled' : `rescheduled to ${result.startTime}`}.`);
+            return { status: 200, body: { ...result, bookingId: booking.id, booking: describeBooking(updated) } };
+        });
+    } catch (error) {
+        const errorMessage = `Unexpected server error during booking ${action}: ${error.message || error}`;
+        logCapture(`FATAL ERROR in /api/bookings/:bookingId/${action}: ${errorMessage}`);
+        console.error(`Error in /api/bookings/:bookingId/${action} endpoint:`, error);
+        sendError(res, 'INTERNAL_ERROR', `An unexpected server error occurred during booking ${action}.`, { logs: logs });
+    }
+}
+
+app.post('/api/bookings/:bookingId/cancel', requireScope('book'), bookingAttempt('cancel-booking'), (req, res) => handleBookingChange(req, res, 'cancel'));
+app.post('/api/bookings/:bookingId/reschedule', requireScope('book'), bookingAttempt('reschedule-booking'), (req, res) => handleBookingChange(req, res, 'reschedule'));
+
+// --- Endpoint for Listing Open Slots ---
+app.get('/api/availability', requireScope('start'), async (req, res) => {
+    console.log(`Received /api/availability request`);
+    const logs = [];
+    const logCapture = (message) => {
+      console.log(message);
+      logs.push(message);
+    };
+
+    try {
+        const { baseUrl, from, to, timezone = 'America/Los_Angeles' } = req.query;
+
         if (!baseUrl) {
-            logCapture(`ERROR: Could not extract base URL from booking URL: ${bookingUrl1}`);
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid booking URL format. Could not extract base URL.',
-                logs: logs
-            });
+            logCapture(`ERROR: Missing baseUrl for availability. Query: ${JSON.stringify(req.query)}`);
+            return sendError(res, 'VALIDATION_ERROR', 'Missing required query parameter: baseUrl.', { logs: logs });
+        }
+        if (!IANAZone.isValidZone(timezone)) {
+            logCapture(`ERROR: Invalid timezone for availability: ${timezone}`);
+            return sendError(res, 'VALIDATION_ERROR', `Invalid timezone "${timezone}" (expected an IANA name like America/New_York).`, { logs: logs });
         }
 
-        // Call the new specialized startPredictiveSession method (to be implemented in sessionManager.js)
-        logCapture(`Starting predictive session with two options...`);
-        logCapture(`Base URL: ${baseUrl}`);
-        logCapture(`Option 1: ${bookingUrl1}`);
-        logCapture(`Option 2: ${bookingUrl2}`);
-        logCapture(`Client: ${name}, ${email}, ${phone}`);
+        const result = await getAvailability(baseUrl, { from, to, timezone }, logCapture);
+        if (result.success) {
+            res.json({ ...result, baseUrl, logs: logs });
+        } else {
+            sendFailure(res, result, { baseUrl, logs: logs });
+        }
+    } catch (error) {
+        const errorMessage = `Unexpected server error during availability lookup: ${error.message || error}`;
+        logCapture(`FATAL ERROR in /api/availability: ${errorMessage}`);
+        console.error('Error in /api/availability endpoint:', error);
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred during availability lookup.', { logs: logs });
+    }
+});
+
+// --- Booking Form Schema for an Event Type ---
+app.get('/api/event-form', requireScope('start'), async (req, res) => {
+    console.log(`Received /api/event-form request`);
+    const logs = [];
+    const logCapture = (message) => {
+      console.log(message);
+      logs.push(message);
+    };
+
+    try {
+        const { baseUrl } = req.query;
+        if (!baseUrl) {
+            logCapture(`ERROR: Missing baseUrl for event-form. Query: ${JSON.stringify(req.query)}`);
+            return sendError(res, 'VALIDATION_ERROR', 'Missing required query parameter: baseUrl.', { logs: logs });
+        }
 
-        // This will be implemented in the sessionManager.js
-        const result = await startPredictiveSession(baseUrl, bookingUrl1, bookingUrl2, { name, email, phone }, logCapture);
+        // Reading the form may launch a browser when nothing is warm for this base URL
+        const releaseLaunchSlot = reserveLaunchSlot(req, res, logCapture, logs);
+        if (!releaseLaunchSlot) return;
+        const result = await describeEventForm(baseUrl, logCapture).finally(releaseLaunchSlot);
 
         if (result.success) {
-             logCapture(`Predictive session started successfully. Session IDs: ${result.sessionId1}, ${result.sessionId2}`);
-             res.json({
-                 success: true,
-                 sessionId1: result.sessionId1,
-                 sessionId2: result.sessionId2,
-                 message: 'Successfully prepared both meeting options.',
-                 logs: logs
-             });
+            res.json({ ...result, baseUrl, logs: logs });
         } else {
-             logCapture(`Failed to start predictive session. Error: ${result.error}`);
-             res.status(500).json({
-                 success: false,
-                 message: `Failed to start predictive session: ${result.error || 'Unknown error'}`,
-                 logs: logs
-             });
+            sendFailure(res, result, { baseUrl, logs: logs });
+        }
+    } catch (error) {
+        const errorMessage = `Unexpected server error during form discovery: ${error.message || error}`;
+        logCapture(`FATAL ERROR in /api/event-form: ${errorMessage}`);
+        console.error('Error in /api/event-form endpoint:', error);
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred during form discovery.', { logs: logs });
+    }
+});
+
+/**
+ * Reads the candidate slots of a predictive session request: bookingUrls (preferred first),
+ * or the older bookingUrl1 + bookingUrl2 pair. All slots must be of one event type.
+ * @returns {{bookingUrls: string[], baseUrl: string, legacy: boolean}|{error: string}}
+ */
+function parsePredictiveOptions(body) {
+    const legacy = body.bookingUrls === undefined;
+    const bookingUrls = legacy ? [body.bookingUrl1, body.bookingUrl2] : body.bookingUrls;
+    if (legacy && (!body.bookingUrl1 || !body.bookingUrl2)) {
+        return { error: 'Provide bookingUrls (an array of slot booking URLs, preferred first), or bookingUrl1 and bookingUrl2.' };
+    }
+    if (!Array.isArray(bookingUrls) || bookingUrls.length === 0 || bookingUrls.length > config.PREDICTIVE_MAX_OPTIONS) {
+        return { error: `bookingUrls must list 1 to ${config.PREDICTIVE_MAX_OPTIONS} slot booking URLs, preferred first.` };
+    }
+    const parsed = bookingUrls.map(url => (typeof url === 'string' ? parseEventUrl(url) : null));
+    const invalid = bookingUrls.filter((url, index) => !parsed[index] || !parsed[index].startTime);
+    if (invalid.length) {
+        return { error: `Invalid booking URL(s), expected https://calendly.com/<user>/<event>/<start time>: ${invalid.join(', ')}.` };
+    }
+    const [first] = parsed;
+    if (parsed.some(p => p.profileSlug !== first.profileSlug || p.eventTypeSlug !== first.eventTypeSlug)) {
+        return { error: 'All booking URLs of a predictive session must be for the same event type.' };
+    }
+    if (new Set(parsed.map(p => DateTime.fromISO(p.startTime).toMillis())).size !== parsed.length) {
+        return { error: 'bookingUrls lists the same start time more than once.' };
+    }
+    const baseUrl = `${new URL(bookingUrls[0]).origin}/${first.profileSlug}/${first.eventTypeSlug}`;
+    return { bookingUrls, baseUrl, legacy };
+}
+
+// --- Endpoint for Starting a Predictive Session with Ranked Options ---
+app.post('/api/start-predictive-session', requireScope('predictive'), async (req, res) => {
+    console.log(`Received /api/start-predictive-session request`);
+    const logs = [];
+    const logCapture = (message) => {
+      console.log(message);
+      logs.push(message);
+    };
+
+    try {
+        const { name, email, phone } = req.body;
+
+        // --- Validate Inputs ---
+        const normalizedPhone = normalizePhone(phone, req.body.phoneCountry);
+        if (!name || !email || !phone || !normalizedPhone.valid) {
+            let missingFields = [];
+            if (!name) missingFields.push('name');
+            if (!email) missingFields.push('email');
+            if (!phone || !normalizedPhone.valid) missingFields.push('phone');
+            let message = `Missing or invalid required fields: ${missingFields.join(', ')}.`;
+            if (phone && !normalizedPhone.valid) {
+                message += ` ${normalizedPhone.error}`;
+            }
+
+            logCapture(`ERROR: Missing/Invalid required fields for predictive booking. Provided: ${JSON.stringify(req.body)}`);
+            return sendError(res, 'VALIDATION_ERROR', message, { logs: logs });
         }
+        const predictive = parsePredictiveOptions(req.body);
+        if (predictive.error) {
+            logCapture(`ERROR: ${predictive.error}`);
+            return sendError(res, 'VALIDATION_ERROR', predictive.error, { logs: logs });
+        }
+        const formError = validateAnswers(req.body.answers) || validateGuestsAndNotes(req.body);
+        if (formError) {
+            logCapture(`ERROR: ${formError}`);
+            return sendError(res, 'VALIDATION_ERROR', formError, { logs: logs });
+        }
+
+        const { bookingUrls, baseUrl, legacy } = predictive;
+        logCapture(`Starting predictive session with ${bookingUrls.length} options...`);
+        logCapture(`Base URL: ${baseUrl}`);
+        bookingUrls.forEach((url, index) => logCapture(`Option ${index + 1}: ${url}`));
+        logCapture(`Client: ${name}, ${email}, ${normalizedPhone.e164} (${normalizedPhone.country})`);
+
+        const releaseLaunchSlot = reserveLaunchSlot(req, res, logCapture, logs);
+        if (!releaseLaunchSlot) return;
+
+        await respondOrQueue(req, res, { type: 'start-predictive-session', logs, onDone: releaseLaunchSlot }, async (step) => {
+            step('predictive-prep');
+            const result = await startPredictiveSession(baseUrl, bookingUrls, { name, email, phone: normalizedPhone.e164, answers: req.body.answers, ...guestAndNoteOptions(req.body) }, logCapture, { apiKeyId: req.apiKey?.id });
+
+            if (result.success) {
+                 logCapture(`Predictive session ${result.masterSessionId} started with ${result.readyCount}/${result.options.length} options ready.`);
+                 const options = result.options.map(option => ({ ...option, phone: describePhone(normalizedPhone, option.phone) }));
+                 const body = {
+                     success: true,
+                     masterSessionId: result.masterSessionId,
+                     options,
+                     readyCount: result.readyCount,
+                     duration: result.duration,
+                     message: `Prepared ${result.readyCount} of ${options.length} meeting options.`
+                 };
+                 if (legacy) {
+                     // Fields of the original two-option response
+                     options.forEach((option, index) => {
+                         const n = index + 1;
+                         Object.assign(body, {
+                             [`sessionId${n}`]: option.sessionId,
+                             [`phone${n}`]: option.phone,
+                             [`option${n}Ready`]: option.ready,
+                             [`questions${n}`]: option.questions,
+                             [`guests${n}`]: option.guests
+                         });
+                     });
+                 }
+                 return { status: 200, body };
+            }
+            logCapture(`Failed to start predictive session. Error: ${result.error}`);
+            return failureResponse(result, { message: `Failed to start predictive session: ${result.error || 'Unknown error'}` });
+        });
     } catch (error) {
         const errorMessage = `Unexpected server error during predictive session start: ${error.message || error}`;
         logCapture(`FATAL ERROR in /api/start-predictive-session: ${errorMessage}`);
         console.error('Error in /api/start-predictive-session endpoint:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'An unexpected server error occurred during predictive session start.', 
-            logs: logs 
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred during predictive session start.', {
+            logs: logs
         });
     }
 });
 
+/**
+ * A session of a predictive group, used to find the replica that holds the group.
+ * @param {string} masterSessionId
+ * @returns {Promise<string|null>}
+ */
+async function predictiveRoutingSession(masterSessionId) {
+    const group = getPredictiveGroup(masterSessionId);
+    const local = group && group.options.find(option => option.sessionId && activeSessions[option.sessionId]);
+    if (local) return local.sessionId;
+    const records = await sessionRegistry.listSessions();
+    const record = records.find(r => r.masterSessionId === masterSessionId);
+    return record ? record.sessionId : null;
+}
+
+/**
+ * The predictive group a request names, if the caller may see it.
+ * @param {string} masterSessionId
+ * @returns {Object|null}
+ */
+function findVisiblePredictiveGroup(req, masterSessionId) {
+    const group = getPredictiveGroup(masterSessionId);
+    // Predictive sessions are only visible to the key that started them (and admins)
+    const canSee = group && (!config.API_AUTH_ENABLED || group.apiKeyId === req.apiKey.id || req.apiKey.scopes.includes('admin'));
+    return canSee ? group : null;
+}
+
 // --- Endpoint for Completing a Predictive Booking by Selecting an Option ---
-app.post('/api/complete-predictive-booking', async (req, res) => {
+app.post('/api/complete-predictive-booking', requireScope('predictive'), bookingAttempt('complete-predictive-booking'), async (req, res) => {
     console.log(`Received /api/complete-predictive-booking request`);
     const logs = [];
     const logCapture = (message) => {
@@ -292,78 +1096,104 @@ app.post('/api/complete-predictive-booking', async (req, res) => {
     };
 
     try {
-        const { sessionId, selectedOption } = req.body;
+        const { sessionId, slotId, startTime, selectedOption } = req.body;
 
-        // Validate inputs
-        if (!sessionId || (selectedOption !== 1 && selectedOption !== 2)) {
-            const errorMsg = `Missing or invalid parameters. Required: sessionId and selectedOption (1 or 2).`;
+        // Validate inputs: the group (masterSessionId, or any of its sessionIds) and the chosen slot.
+        // sessionId on its own (with the older selectedOption) books that session's slot.
+        if ((!req.body.masterSessionId && !sessionId) || (req.body.masterSessionId && !slotId && !startTime)) {
+            const errorMsg = `Missing or invalid parameters. Required: masterSessionId with slotId or startTime, or the sessionId of the chosen option.`;
             logCapture(`ERROR: ${errorMsg}`);
-            return res.status(400).json({
-                success: false,
-                message: errorMsg,
-                logs: logs
-            });
+            return sendError(res, 'VALIDATION_ERROR', errorMsg, { logs: logs });
+        }
+        if (startTime && !DateTime.fromISO(String(startTime)).isValid) {
+            const errorMsg = `startTime must be an ISO 8601 date-time, e.g. 2025-06-02T10:30:00-07:00.`;
+            logCapture(`ERROR: ${errorMsg}`);
+            return sendError(res, 'VALIDATION_ERROR', errorMsg, { logs: logs });
         }
 
+        // Hand off to the owning replica if the group doesn't live in this process
+        const routingSessionId = sessionId || await predictiveRoutingSession(req.body.masterSessionId);
+        if (await routeToSessionOwner(req, res, routingSessionId, logCapture, logs)) return;
+
+        const masterSessionId = req.body.masterSessionId || activeSessions[sessionId]?.masterSessionId;
+        if (sessionId && activeSessions[sessionId] && !masterSessionId) {
+            const errorMsg = `Session ${sessionId} is not part of a predictive booking session.`;
+            logCapture(`ERROR: ${errorMsg}`);
+            return sendError(res, 'VALIDATION_ERROR', errorMsg, { logs: logs });
+        }
+        const group = masterSessionId && findVisiblePredictiveGroup(req, masterSessionId);
+        if (!group) {
+            const errorMsg = masterSessionId
+                ? `Predictive session ${masterSessionId} not found or has expired.`
+                : `Session ${sessionId} not found or has expired.`;
+            logCapture(`ERROR: ${errorMsg}`);
+            return sendError(res, 'SESSION_NOT_FOUND', errorMsg, { logs: logs });
+        }
+
+        // The chosen option
+        const option = slotId || startTime
+            ? findPredictiveOption(masterSessionId, { slotId, startTime })
+            : group.options.find(o => o.sessionId === sessionId);
+        if (!option) {
+            const errorMsg = `Predictive session ${masterSessionId} has no option ${slotId ? `with slotId ${slotId}` : `starting at ${startTime}`}. Options: ${group.options.map(o => `${o.slotId} (${o.startTime})`).join(', ')}.`;
+            logCapture(`ERROR: ${errorMsg}`);
+            return sendError(res, 'NOT_FOUND', errorMsg, { logs: logs });
+        }
+        const selection = { masterSessionId, slotId: option.slotId, rank: option.rank, startTime: option.startTime, ...(selectedOption !== undefined && { selectedOption }) };
+
         // Get the session
-        const session = activeSessions[sessionId];
+        const session = option.sessionId && activeSessions[option.sessionId];
         if (!session) {
-            const errorMsg = `Session ${sessionId} not found or has expired.`;
+            const errorMsg = `Session for option ${option.rank} (${option.slotId}) not found or has expired (${option.state}${option.error ? `: ${option.error}` : ''}).`;
             logCapture(`ERROR: ${errorMsg}`);
-            return res.status(404).json({
-                success: false,
-                message: errorMsg,
-                logs: logs
-            });
+            return sendError(res, 'SESSION_NOT_FOUND', errorMsg, { ...selection, logs: logs });
         }
 
-        // Check if this is part of a predictive session
-        if (!session.masterSessionId) {
-            const errorMsg = `Session ${sessionId} is not part of a predictive booking session.`;
+        // The keep-alive found the slot gone; the form would fail on submit
+        if (option.freshness?.slotOffered === false) {
+            const errorMsg = `Option ${option.rank} (${option.slotId}) is no longer offered (${option.startTime}, checked ${option.freshness.checkedAt}). Pick another option.`;
             logCapture(`ERROR: ${errorMsg}`);
-            return res.status(400).json({
-                success: false,
-                message: errorMsg,
-                logs: logs
-            });
+            return sendError(res, 'SLOT_TAKEN', errorMsg, { ...selection, logs: logs });
         }
 
-        // Check if the form is ready
-        if (!session.formReady) {
-            const errorMsg = `Form in session ${sessionId} is not ready for submission.`;
+        // Only one option per group may be submitted; the lead would otherwise get two meetings
+        const claimed = group.options.find(o => o.state === 'submitting' || o.state === 'booked');
+        if (claimed) {
+            const errorMsg = `Predictive session ${masterSessionId} is already ${claimed.state} option ${claimed.rank} (${claimed.slotId}).`;
             logCapture(`ERROR: ${errorMsg}`);
-            return res.status(400).json({
-                success: false,
-                message: errorMsg,
-                logs: logs
-            });
+            return sendError(res, 'BOOKING_STATE_CONFLICT', errorMsg, { ...selection, logs: logs });
         }
 
-        // Find the other session ID (the one not being used for booking)
-        const masterSessionId = session.masterSessionId;
-        const otherSessionId = Object.keys(activeSessions).find(id => 
-            id !== sessionId && 
-            activeSessions[id].masterSessionId === masterSessionId
-        );
+        // Check if the form is ready
+        if (!session.formReady || option.state !== 'prepared') {
+            const errorMsg = `Form for option ${option.rank} (${option.slotId}) is not ready for submission (${option.state}).`;
+            logCapture(`ERROR: ${errorMsg}`);
+            return sendError(res, 'FORM_NOT_READY', errorMsg, { ...selection, logs: logs });
+        }
 
-        logCapture(`Completing predictive booking for session ${sessionId} (Option ${selectedOption})...`);
+        logCapture(`Completing predictive booking for session ${option.sessionId} (option ${option.rank}, ${option.startTime})...`);
         
         // Import the new function for form submission
         const { completeBooking } = require('./services/completePredictiveBooking');
         
         // Submit the form that's already filled out
-        const result = await completeBooking(session.page, logCapture);
+        option.state = 'submitting';
+        const result = await completeBooking(session.page, logCapture, { expectedEmail: session.booking?.invitee?.email });
+        option.state = result.success ? 'booked' : 'failed';
+        option.error = result.success ? null : result.error;
+        const booking = result.success && session.booking
+            ? rememberBooking(req, 'complete-predictive-booking', { sessionId: option.sessionId, fullBookingUrl: session.booking.bookingUrl, ...session.booking.invitee, guests: session.booking.guests }, result)
+            : {};
         
-        // Whether successful or not, close the other session that wasn't selected
-        if (otherSessionId && activeSessions[otherSessionId]) {
-            logCapture(`Closing unused session ${otherSessionId} (Option ${selectedOption === 1 ? 2 : 1})...`);
+        // Whether successful or not, close the options that weren't selected
+        for (const other of group.options) {
+            if (other === option || !other.sessionId || !activeSessions[other.sessionId]) continue;
+            logCapture(`Closing unused session ${other.sessionId} (option ${other.rank})...`);
             try {
-                // Import closeSession function if not already available
-                const { closeSession } = require('./sessionManager');
-                await closeSession(otherSessionId);
-                logCapture(`Successfully closed unused session ${otherSessionId}`);
+                await closeSession(other.sessionId);
+                logCapture(`Successfully closed unused session ${other.sessionId}`);
             } catch (closeError) {
-                logCapture(`Warning: Error closing unused session ${otherSessionId}: ${closeError.message}`);
+                logCapture(`Warning: Error closing unused session ${other.sessionId}: ${closeError.message}`);
                 // Continue despite error closing other session
             }
         }
@@ -374,20 +1204,22 @@ app.post('/api/complete-predictive-booking', async (req, res) => {
             // Return the successful result
             res.json({
                 success: true,
-                message: `Successfully booked appointment for option ${selectedOption}.`,
-                selectedOption,
+                message: `Successfully booked appointment for option ${option.rank} (${option.startTime}).`,
+                ...selection,
+                sessionId: option.sessionId,
                 duration: result.submissionTime,
                 weakConfirmation: result.weakConfirmation || false,
+                ...booking,
                 logs: logs
             });
         } else {
             logCapture(`Failed to complete booking: ${result.error}`);
             
             // Return the error result
-            res.status(500).json({
-                success: false,
+            sendFailure(res, result, {
                 message: `Failed to complete booking: ${result.error}`,
-                selectedOption,
+                ...selection,
+                sessionId: option.sessionId,
                 duration: result.submissionTime,
                 logs: logs
             });
@@ -397,14 +1229,159 @@ app.post('/api/complete-predictive-booking', async (req, res) => {
         const errorMessage = `Unexpected server error during predictive booking completion: ${error.message || error}`;
         logCapture(`FATAL ERROR in /api/complete-predictive-booking: ${errorMessage}`);
         console.error('Error in /api/complete-predictive-booking endpoint:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'An unexpected server error occurred during predictive booking completion.', 
-            logs: logs 
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred during predictive booking completion.', {
+            logs: logs
+        });
+    }
+});
+
+/**
+ * Adds, re-points or drops an option of a live predictive session, reusing the group's
+ * warm browsers. Adding launches a browser; re-pointing moves an existing one to another slot.
+ * @param {string} action - 'add', 'repoint' or 'drop'
+ */
+async function handlePredictiveOptionChange(req, res, action) {
+    const { masterSessionId, slotId } = req.params;
+    console.log(`Received ${req.method} /api/predictive/${masterSessionId}/options${slotId ? `/${slotId}` : ''} request`);
+    const logs = [];
+    const logCapture = (message) => {
+      console.log(message);
+      logs.push(message);
+    };
+
+    try {
+        const { bookingUrl } = req.body || {};
+        if (action !== 'drop' && !bookingUrl) {
+            logCapture('ERROR: Missing bookingUrl.');
+            return sendError(res, 'VALIDATION_ERROR', 'bookingUrl is required (the slot booking URL, e.g. from /api/availability).', { logs: logs });
+        }
+
+        // Hand off to the replica holding the group's browsers
+        const routingSessionId = await predictiveRoutingSession(masterSessionId);
+        if (await routeToSessionOwner(req, res, routingSessionId, logCapture, logs)) return;
+
+        if (!findVisiblePredictiveGroup(req, masterSessionId)) {
+            return sendError(res, 'SESSION_NOT_FOUND', `Predictive session ${masterSessionId} not found or has expired.`, { logs: logs });
+        }
+
+        if (action === 'drop') {
+            const result = await dropPredictiveOption(masterSessionId, slotId, logCapture);
+            return result.success ? res.json({ ...result, logs: logs }) : sendFailure(res, result, { logs: logs });
+        }
+
+        const releaseLaunchSlot = action === 'add' ? reserveLaunchSlot(req, res, logCapture, logs) : () => {};
+        if (!releaseLaunchSlot) return;
+
+        await respondOrQueue(req, res, { type: `${action}-predictive-option`, sessionId: routingSessionId, logs, onDone: releaseLaunchSlot }, async (step) => {
+            step(action === 'add' ? 'predictive-prep' : 'predictive-repoint');
+            const result = action === 'add'
+                ? await addPredictiveOption(masterSessionId, bookingUrl, logCapture)
+                : await repointPredictiveOption(masterSessionId, slotId, bookingUrl, logCapture);
+            return result.success ? { status: 200, body: result } : failureResponse(result);
+        });
+    } catch (error) {
+        const errorMessage = `Unexpected server error during predictive option ${action}: ${error.message || error}`;
+        logCapture(`FATAL ERROR in /api/predictive/:masterSessionId/options (${action}): ${errorMessage}`);
+        console.error(`Error in /api/predictive/:masterSessionId/options (${action}) endpoint:`, error);
+        sendError(res, 'INTERNAL_ERROR', `An unexpected server error occurred during predictive option ${action}.`, { logs: logs });
+    }
+}
+
+// --- Endpoints for a Predictive Session's Status and Cancellation ---
+app.get('/api/predictive/:masterSessionId', requireScope('predictive'), async (req, res) => {
+    const { masterSessionId } = req.params;
+    const logs = [];
+    const logCapture = (message) => {
+      console.log(message);
+      logs.push(message);
+    };
+
+    try {
+        // Hand off to the replica holding the group's browsers
+        const routingSessionId = await predictiveRoutingSession(masterSessionId);
+        if (await routeToSessionOwner(req, res, routingSessionId, logCapture, logs)) return;
+
+        const group = findVisiblePredictiveGroup(req, masterSessionId);
+        if (!group) {
+            return sendError(res, 'SESSION_NOT_FOUND', `Predictive session ${masterSessionId} not found or has expired.`, { logs: logs });
+        }
+        res.json({ success: true, ...describePredictiveGroup(group), logs: logs });
+    } catch (error) {
+        logCapture(`FATAL ERROR in GET /api/predictive/:masterSessionId: ${error.message || error}`);
+        console.error('Error in GET /api/predictive/:masterSessionId endpoint:', error);
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred while reading the predictive session.', { logs: logs });
+    }
+});
+
+app.delete('/api/predictive/:masterSessionId', requireScope('predictive'), async (req, res) => {
+    const { masterSessionId } = req.params;
+    console.log(`Received DELETE /api/predictive/${masterSessionId} request`);
+    const logs = [];
+    const logCapture = (message) => {
+      console.log(message);
+      logs.push(message);
+    };
+
+    try {
+        // Hand off to the replica holding the group's browsers
+        const routingSessionId = await predictiveRoutingSession(masterSessionId);
+        if (await routeToSessionOwner(req, res, routingSessionId, logCapture, logs)) return;
+
+        if (!findVisiblePredictiveGroup(req, masterSessionId)) {
+            return sendError(res, 'SESSION_NOT_FOUND', `Predictive session ${masterSessionId} not found or has expired.`, { logs: logs });
+        }
+        const result = await cancelPredictiveSession(masterSessionId, logCapture);
+        if (!result.success) {
+            return sendFailure(res, result, { logs: logs });
+        }
+        res.json({ ...result, message: `Predictive session cancelled; closed ${result.closedSessions.length} browser(s).`, logs: logs });
+    } catch (error) {
+        logCapture(`FATAL ERROR in DELETE /api/predictive/:masterSessionId: ${error.message || error}`);
+        console.error('Error in DELETE /api/predictive/:masterSessionId endpoint:', error);
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred while cancelling the predictive session.', { logs: logs });
+    }
+});
+
+// --- Endpoint for Checking a Predictive Session's Options (readiness and freshness) ---
+app.get('/api/predictive/:masterSessionId/options', requireScope('predictive'), async (req, res) => {
+    const { masterSessionId } = req.params;
+    const logs = [];
+    const logCapture = (message) => {
+      console.log(message);
+      logs.push(message);
+    };
+
+    try {
+        // Hand off to the replica holding the group's browsers
+        const routingSessionId = await predictiveRoutingSession(masterSessionId);
+        if (await routeToSessionOwner(req, res, routingSessionId, logCapture, logs)) return;
+
+        // ?check=true runs the keep-alive check now instead of returning the last one
+        const found = findVisiblePredictiveGroup(req, masterSessionId) && (req.query.check !== 'true' || await checkPredictiveGroup(masterSessionId, logCapture));
+        const group = found && getPredictiveGroup(masterSessionId);
+        if (!group) {
+            return sendError(res, 'SESSION_NOT_FOUND', `Predictive session ${masterSessionId} not found or has expired.`, { logs: logs });
+        }
+        const options = group.options.map(describePredictiveOption);
+        res.json({
+            success: true,
+            masterSessionId,
+            options,
+            readyCount: options.filter(option => option.ready).length,
+            keepAliveMs: config.PREDICTIVE_KEEPALIVE_MS,
+            logs: logs
         });
+    } catch (error) {
+        logCapture(`FATAL ERROR in GET /api/predictive/:masterSessionId/options: ${error.message || error}`);
+        console.error('Error in GET /api/predictive/:masterSessionId/options endpoint:', error);
+        sendError(res, 'INTERNAL_ERROR', 'An unexpected server error occurred while checking predictive options.', { logs: logs });
     }
 });
 
+app.post('/api/predictive/:masterSessionId/options', requireScope('predictive'), (req, res) => handlePredictiveOptionChange(req, res, 'add'));
+app.put('/api/predictive/:masterSessionId/options/:slotId', requireScope('predictive'), (req, res) => handlePredictiveOptionChange(req, res, 'repoint'));
+app.delete('/api/predictive/:masterSessionId/options/:slotId', requireScope('predictive'), (req, res) => handlePredictiveOptionChange(req, res, 'drop'));
+
 // Start the server directly
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
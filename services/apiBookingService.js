@@ -0,0 +1,165 @@
+// services/apiBookingService.js
+//
+// Books a Calendly slot by calling the scheduling endpoints over HTTP instead of
+// driving the rendered form. Much faster than the browser path, but it can't answer
+// custom questions (other than the notes question), so callers fall back to the
+// browser when it fails.
+
+const {
+    parseEventUrl,
+    createClient,
+    describeApiError,
+    lookupEventType,
+    getCalendarRange,
+    createInvitee
+} = require('./schedulingApiClient');
+const { bookingLinksFrom, confirmationFromResponse } = require('./confirmationDetails');
+const { isNotesLabel } = require('./formQuestions');
+const { bookingFailure, httpErrorCode } = require('../utils/bookingErrors');
+const { DateTime } = require('luxon');
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+/**
+ * Checks whether a spot starting at the given instant is still offered.
+ * @param {Object} calendar - Response from getCalendarRange
+ * @param {string} startTime - Slot start, ISO 8601
+ * @returns {boolean}
+ */
+function isSpotAvailable(calendar, startTime) {
+    const target = Date.parse(startTime);
+    return (calendar.days || []).some(day =>
+        (day.spots || []).some(spot => spot.status === 'available' && Date.parse(spot.start_time) === target)
+    );
+}
+
+/**
+ * Books a meeting via the scheduling API.
+ *
+ * @param {string} fullBookingUrl - Calendly booking URL including the slot start time
+ * @param {string} name - Invitee name
+ * @param {string} email - Invitee email
+ * @param {string} phone - Invitee phone, used when the event is a phone call
+ * @param {Function} [logCapture=console.log] - Function to capture logs
+ * @param {Object} [options]
+ * @param {string} [options.timezone='America/Los_Angeles'] - Invitee timezone
+ * @param {string[]} [options.guests] - Guest emails
+ * @param {string} [options.notes] - Invitee notes, sent as the answer to the event type's notes question
+ * @param {string} [options.sessionId] - Session the booking is for; its proxy is used
+ * @returns {Promise<{success: boolean, bookingMode: string, duration: number, inviteeSent: boolean, error?: string, errorCode?: string, retryable?: boolean, startTime?: string, inviteeUuid?: string, eventUuid?: string, guests?: string[], links?: Object, confirmation?: Object}>}
+ *  confirmation is the confirmed meeting (see confirmationDetails.readConfirmationDetails).
+ *  inviteeSent is true once the invitee POST went out: the booking may exist even if it
+ *  failed, so the caller must not try another path. When no definite answer came back
+ *  the failure is CONFIRMATION_TIMEOUT.
+ */
+async function bookViaApi(fullBookingUrl, name, email, phone, logCapture = console.log, { timezone = DEFAULT_TIMEZONE, guests = [], notes, sessionId } = {}) {
+    const startTime = Date.now();
+    let inviteeSent = false;
+    const finish = (result) => ({
+        bookingMode: 'api',
+        inviteeSent,
+        ...result,
+        duration: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+    });
+
+    logCapture(`[ApiBooking] Starting API booking for URL: ${fullBookingUrl}`);
+
+    const parsed = parseEventUrl(fullBookingUrl);
+    if (!parsed || !parsed.startTime) {
+        const error = `Could not extract event type and start time from booking URL: ${fullBookingUrl}`;
+        logCapture(`[ApiBooking] ❌ ${error}`);
+        return finish(bookingFailure('VALIDATION_ERROR', error));
+    }
+
+    const client = createClient(logCapture, { sessionId });
+
+    try {
+        // 1. Resolve the event type
+        logCapture(`[ApiBooking] Looking up event type ${parsed.profileSlug}/${parsed.eventTypeSlug}...`);
+        const eventType = await lookupEventType(client, parsed.profileSlug, parsed.eventTypeSlug);
+        logCapture(`[ApiBooking] Event type uuid: ${eventType.uuid}`);
+
+        // 2. Required custom questions can only be answered through the form (notes aside)
+        const enabledFields = (eventType.custom_fields || []).filter(field => field.enabled !== false);
+        const notesField = notes
+            ? enabledFields.find(field => ['text', 'textarea', 'multi_line'].includes(field.format) && isNotesLabel(field.name))
+            : null;
+        if (notes && !notesField) {
+            const error = 'Event type has no notes question to put the notes in.';
+            logCapture(`[ApiBooking] ❌ ${error}`);
+            return finish(bookingFailure('INVALID_FORM_INPUT', error));
+        }
+        const requiredQuestions = enabledFields
+            .filter(field => field.required && field !== notesField)
+            .map(field => field.name);
+        if (requiredQuestions.length > 0) {
+            const error = `Event type has required questions the API path cannot answer: ${requiredQuestions.join(', ')}`;
+            logCapture(`[ApiBooking] ❌ ${error}`);
+            return finish(bookingFailure('API_PATH_UNSUPPORTED', error));
+        }
+
+        // 3. Make sure the slot is still offered before submitting
+        // The calendar is grouped by day in `timezone`, which may not be the URL's own offset
+        const slotDate = DateTime.fromISO(parsed.startTime, { setZone: true }).setZone(timezone).toISODate();
+        logCapture(`[ApiBooking] Checking availability for ${parsed.startTime}...`);
+        const calendar = await getCalendarRange(client, eventType.uuid, { timezone, rangeStart: slotDate, rangeEnd: slotDate });
+        if (!isSpotAvailable(calendar, parsed.startTime)) {
+            const error = `Requested slot ${parsed.startTime} is no longer available.`;
+            logCapture(`[ApiBooking] ❌ ${error}`);
+            return finish(bookingFailure('SLOT_TAKEN', error));
+        }
+        logCapture('[ApiBooking] Slot is available.');
+
+        // 4. Phone call events need the number as their location answer
+        const isPhoneCall = (eventType.locations || []).some(location => location.kind === 'outbound_call');
+        const locationConfiguration = isPhoneCall
+            ? { location: phone, phone_number: phone, additional_info: '' }
+            : undefined;
+
+        // 5. Book
+        logCapture(`[ApiBooking] Creating invitee for ${name} <${email}>...`);
+        inviteeSent = true;
+        const invitee = await createInvitee(client, eventType, {
+            startTime: parsed.startTime,
+            name,
+            email,
+            timezone,
+            locationConfiguration,
+            guests,
+            eventFields: notesField ? [{ name: notesField.name, format: notesField.format, value: notes }] : []
+        });
+        logCapture(`[ApiBooking] ✅ Booked via API. Invitee uuid: ${invitee.uuid || 'unknown'}`);
+
+        const confirmation = confirmationFromResponse(invitee, timezone);
+        confirmation.eventName = confirmation.eventName || eventType.name || null;
+        confirmation.hostName = confirmation.hostName || eventType.profile?.name || null;
+        confirmation.inviteeEmailMatches = confirmation.inviteeEmail
+            ? confirmation.inviteeEmail.toLowerCase() === email.toLowerCase()
+            : null;
+
+        return finish({
+            success: true,
+            startTime: invitee.event?.start_time || parsed.startTime,
+            inviteeUuid: invitee.uuid,
+            eventUuid: invitee.event?.uuid,
+            guests,
+            links: bookingLinksFrom({
+                hrefs: [invitee.reschedule_url, invitee.cancel_url].filter(Boolean),
+                pageUrl: fullBookingUrl,
+                inviteeUuid: invitee.uuid
+            }),
+            confirmation
+        });
+    } catch (error) {
+        const message = describeApiError(error);
+        logCapture(`[ApiBooking] ❌ API booking failed: ${message}`);
+        // A 4xx is a definite refusal; a timeout, reset or 5xx after the POST may have booked
+        const status = error.response?.status;
+        if (inviteeSent && !(status >= 400 && status < 500)) {
+            return finish(bookingFailure('CONFIRMATION_TIMEOUT', `The invitee request was sent but no definite answer came back (${message}); the booking may exist. Check before retrying.`));
+        }
+        return finish(bookingFailure(httpErrorCode(error), `API booking failed: ${message}`));
+    }
+}
+
+module.exports = { bookViaApi };
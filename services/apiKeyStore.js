@@ -0,0 +1,186 @@
+// services/apiKeyStore.js
+//
+// API keys for the /api routes. Keys live in a JSON file (API_KEYS_FILE) so they can
+// be managed by hand or through the admin endpoints; only SHA-256 hashes are written
+// back, so the plaintext key is shown once, when it is created.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+const SCOPES = ['start', 'book', 'predictive', 'admin'];
+const ENV_ADMIN_KEY_ID = 'env-admin';
+
+const keysFilePath = path.resolve(config.API_KEYS_FILE);
+const keysById = new Map();
+
+function hashKey(plaintext) {
+    return crypto.createHash('sha256').update(plaintext).digest('hex');
+}
+
+/**
+ * Fills in defaults and drops unknown scopes.
+ * @param {Object} entry - Entry from the keys file or the admin API
+ * @returns {Object} Normalised key record
+ */
+function _normaliseRecord(entry) {
+    const keyHash = entry.keyHash || hashKey(entry.key);
+    return {
+        id: entry.id || keyHash.substring(0, 12),
+        name: entry.name || 'unnamed',
+        keyHash,
+        scopes: (entry.scopes || []).filter(scope => SCOPES.includes(scope)),
+        rateLimitPerMinute: entry.rateLimitPerMinute ?? config.API_DEFAULT_RATE_LIMIT_PER_MINUTE,
+        maxConcurrentLaunches: entry.maxConcurrentLaunches ?? config.API_DEFAULT_MAX_CONCURRENT_LAUNCHES,
+        disabled: Boolean(entry.disabled),
+        createdAt: entry.createdAt || new Date().toISOString()
+    };
+}
+
+/**
+ * Loads keys from the file. Entries may hold either a plaintext `key` (hand-written
+ * config) or a `keyHash` (written by this module).
+ */
+function _load() {
+    keysById.clear();
+    try {
+        const { keys = [] } = JSON.parse(fs.readFileSync(keysFilePath, 'utf8'));
+        for (const entry of keys) {
+            if (!entry.key && !entry.keyHash) {
+                console.warn(`[ApiKeys] Skipping entry "${entry.name || entry.id}" in ${keysFilePath}: no key or keyHash.`);
+                continue;
+            }
+            const record = _normaliseRecord(entry);
+            keysById.set(record.id, record);
+        }
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`[ApiKeys] Could not read ${keysFilePath}: ${e.message}`);
+        }
+    }
+
+    if (config.ADMIN_API_KEY) {
+        keysById.set(ENV_ADMIN_KEY_ID, _normaliseRecord({
+            id: ENV_ADMIN_KEY_ID,
+            name: 'ADMIN_API_KEY',
+            key: config.ADMIN_API_KEY,
+            scopes: SCOPES,
+            rateLimitPerMinute: 0,
+            maxConcurrentLaunches: 0
+        }));
+    }
+    console.log(`[ApiKeys] Loaded ${keysById.size} API key(s).`);
+}
+
+function _save() {
+    const keys = Array.from(keysById.values()).filter(record => record.id !== ENV_ADMIN_KEY_ID);
+    const tmpPath = `${keysFilePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ keys }, null, 2));
+    fs.renameSync(tmpPath, keysFilePath);
+}
+
+/**
+ * Key record without its hash, for API responses.
+ */
+function describeKey(record) {
+    const { keyHash, ...rest } = record;
+    return { ...rest, fromEnvironment: record.id === ENV_ADMIN_KEY_ID };
+}
+
+/**
+ * Finds the enabled key record matching a plaintext key.
+ * @param {string} plaintext - Key sent by the client
+ * @returns {Object|null}
+ */
+function findKey(plaintext) {
+    if (!plaintext) return null;
+    const candidate = Buffer.from(hashKey(plaintext), 'hex');
+    for (const record of keysById.values()) {
+        if (!record.disabled && crypto.timingSafeEqual(candidate, Buffer.from(record.keyHash, 'hex'))) {
+            return record;
+        }
+    }
+    return null;
+}
+
+function listKeys() {
+    return Array.from(keysById.values()).map(describeKey);
+}
+
+/**
+ * Validates scopes and limits supplied through the admin API.
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateKeyInput({ scopes, rateLimitPerMinute, maxConcurrentLaunches }) {
+    if (scopes !== undefined && (!Array.isArray(scopes) || scopes.some(scope => !SCOPES.includes(scope)))) {
+        return `scopes must be an array of: ${SCOPES.join(', ')}.`;
+    }
+    for (const [field, value] of Object.entries({ rateLimitPerMinute, maxConcurrentLaunches })) {
+        if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+            return `${field} must be a non-negative integer (0 = unlimited).`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Creates and persists a new key.
+ * @param {Object} options
+ * @param {string} options.name - Who the key is for
+ * @param {string[]} options.scopes - Any of start, book, predictive, admin
+ * @param {number} [options.rateLimitPerMinute] - Requests per minute, 0 = unlimited
+ * @param {number} [options.maxConcurrentLaunches] - Browser launches in flight, 0 = unlimited
+ * @returns {{key: string, record: Object}} The plaintext key (only returned here) and its record
+ */
+function createKey({ name, scopes, rateLimitPerMinute, maxConcurrentLaunches }) {
+    const key = `cib_${crypto.randomBytes(24).toString('hex')}`;
+    const record = _normaliseRecord({ key, name, scopes, rateLimitPerMinute, maxConcurrentLaunches });
+    keysById.set(record.id, record);
+    _save();
+    return { key, record: describeKey(record) };
+}
+
+/**
+ * Changes a key's name, scopes, limits or disabled flag.
+ * @returns {Object|null} The updated record, or null if the key doesn't exist or can't be edited
+ */
+function updateKey(id, { name, scopes, rateLimitPerMinute, maxConcurrentLaunches, disabled }) {
+    const record = keysById.get(id);
+    if (!record || id === ENV_ADMIN_KEY_ID) return null;
+    if (name !== undefined) record.name = name;
+    if (scopes !== undefined) record.scopes = scopes;
+    if (rateLimitPerMinute !== undefined) record.rateLimitPerMinute = rateLimitPerMinute;
+    if (maxConcurrentLaunches !== undefined) record.maxConcurrentLaunches = maxConcurrentLaunches;
+    if (disabled !== undefined) record.disabled = Boolean(disabled);
+    _save();
+    return describeKey(record);
+}
+
+/**
+ * Deletes a key. The ADMIN_API_KEY from the environment can't be deleted here.
+ * @returns {boolean} Whether a key was deleted
+ */
+function deleteKey(id) {
+    if (id === ENV_ADMIN_KEY_ID || !keysById.delete(id)) return false;
+    _save();
+    return true;
+}
+
+function hasKeys() {
+    return keysById.size > 0;
+}
+
+_load();
+
+module.exports = {
+    SCOPES,
+    findKey,
+    listKeys,
+    validateKeyInput,
+    createKey,
+    updateKey,
+    deleteKey,
+    hasKeys,
+    reloadKeys: _load
+};
@@ -0,0 +1,135 @@
+// services/availabilityService.js
+//
+// Lists open slots for a Calendly event type. Reads the calendar through a warm
+// browser for the base URL when one exists (same cookies and proxy IP as the page),
+// otherwise calls the scheduling endpoints directly.
+
+const { DateTime } = require('luxon');
+const {
+    parseEventUrl,
+    createClient,
+    createPageClient,
+    describeApiError,
+    lookupEventType,
+    getCalendarRange
+} = require('./schedulingApiClient');
+const { findWarmPage } = require('../sessionManager');
+const { bookingFailure, httpErrorCode } = require('../utils/bookingErrors');
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Builds the booking page URL Calendly uses for a slot, e.g.
+ * https://calendly.com/zachderhake/30min/2025-04-11T10:30:00-07:00?month=2025-04&date=2025-04-11
+ * @param {string} baseUrl - Event type URL
+ * @param {DateTime} start - Slot start in the invitee timezone
+ * @returns {string}
+ */
+function buildBookingUrl(baseUrl, start) {
+    const { origin } = new URL(baseUrl);
+    const { profileSlug, eventTypeSlug } = parseEventUrl(baseUrl);
+    const startIso = start.toISO({ suppressMilliseconds: true });
+    return `${origin}/${profileSlug}/${eventTypeSlug}/${startIso}?month=${start.toFormat('yyyy-MM')}&date=${start.toISODate()}`;
+}
+
+/**
+ * Resolves the from/to query values into a validated day range.
+ * @param {Object} range
+ * @param {string} [range.from] - First day, yyyy-MM-dd (defaults to today in the timezone)
+ * @param {string} [range.to] - Last day, yyyy-MM-dd (defaults to from + 6 days)
+ * @param {string} range.timezone - IANA timezone the days are in
+ * @returns {{from: string, to: string}|{error: string}}
+ */
+function resolveRange({ from, to, timezone }) {
+    const start = from ? DateTime.fromISO(from, { zone: timezone }) : DateTime.now().setZone(timezone).startOf('day');
+    if (!start.isValid) return { error: `Invalid 'from' date "${from}" (expected yyyy-MM-dd).` };
+
+    const end = to ? DateTime.fromISO(to, { zone: timezone }) : start.plus({ days: DEFAULT_RANGE_DAYS - 1 });
+    if (!end.isValid) return { error: `Invalid 'to' date "${to}" (expected yyyy-MM-dd).` };
+    if (end < start) return { error: `'to' (${end.toISODate()}) is before 'from' (${start.toISODate()}).` };
+    if (end.diff(start, 'days').days >= MAX_RANGE_DAYS) {
+        return { error: `Date range is limited to ${MAX_RANGE_DAYS} days.` };
+    }
+    return { from: start.toISODate(), to: end.toISODate() };
+}
+
+/**
+ * Reads the calendar with the given client and flattens it into slots.
+ */
+async function _fetchSlots(client, baseUrl, parsed, { from, to, timezone }, logCapture) {
+    const eventType = await lookupEventType(client, parsed.profileSlug, parsed.eventTypeSlug);
+    logCapture(`[Availability] Event type uuid: ${eventType.uuid}`);
+
+    const calendar = await getCalendarRange(client, eventType.uuid, { timezone, rangeStart: from, rangeEnd: to });
+    return (calendar.days || []).flatMap(day =>
+        (day.spots || [])
+            .filter(spot => spot.status === 'available')
+            .map(spot => {
+                const start = DateTime.fromISO(spot.start_time, { setZone: true }).setZone(timezone);
+                return {
+                    start: start.toISO({ suppressMilliseconds: true }),
+                    timezone,
+                    bookingUrl: buildBookingUrl(baseUrl, start)
+                };
+            })
+    );
+}
+
+/**
+ * Lists open slots for an event type between two days.
+ *
+ * @param {string} baseUrl - Event type URL, e.g. https://calendly.com/zachderhake/30min
+ * @param {Object} [options]
+ * @param {string} [options.from] - First day, yyyy-MM-dd (defaults to today)
+ * @param {string} [options.to] - Last day, yyyy-MM-dd (defaults to a week from `from`)
+ * @param {string} [options.timezone='America/Los_Angeles'] - IANA timezone for days and slot times
+ * @param {Function} [logCapture=console.log] - Function to capture logs
+ * @returns {Promise<{success: boolean, source?: string, from?: string, to?: string, timezone?: string, slots?: Array<{start: string, timezone: string, bookingUrl: string}>, duration: number, error?: string, errorCode?: string, retryable?: boolean}>}
+ *  source is 'pool' or 'session' when read through a warm browser, 'api' otherwise.
+ *  errorCode is VALIDATION_ERROR when the base URL or date range was rejected before any request.
+ */
+async function getAvailability(baseUrl, { from, to, timezone = DEFAULT_TIMEZONE } = {}, logCapture = console.log) {
+    const startTime = Date.now();
+    const finish = (result) => ({
+        ...result,
+        duration: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+    });
+
+    const parsed = parseEventUrl(baseUrl);
+    if (!parsed) {
+        return finish(bookingFailure('VALIDATION_ERROR', `Could not extract event type from base URL: ${baseUrl}`));
+    }
+    const range = resolveRange({ from, to, timezone });
+    if (range.error) {
+        return finish(bookingFailure('VALIDATION_ERROR', range.error));
+    }
+    const query = { ...range, timezone };
+    logCapture(`[Availability] Fetching slots for ${parsed.profileSlug}/${parsed.eventTypeSlug} from ${range.from} to ${range.to} (${timezone})...`);
+
+    // Prefer a warm browser: its requests look like the booking page's own
+    const warm = findWarmPage(baseUrl);
+    if (warm) {
+        logCapture(`[Availability] Reading calendar through warm ${warm.source}${warm.id ? ` ${warm.id}` : ''}...`);
+        try {
+            const slots = await _fetchSlots(createPageClient(warm.page), baseUrl, parsed, query, logCapture);
+            logCapture(`[Availability] ✅ Found ${slots.length} open slots via warm ${warm.source}.`);
+            return finish({ success: true, source: warm.source, ...query, slots });
+        } catch (error) {
+            logCapture(`[Availability] ⚠️ Warm ${warm.source} read failed (${describeApiError(error)}). Falling back to scheduling API...`);
+        }
+    }
+
+    try {
+        const slots = await _fetchSlots(createClient(logCapture), baseUrl, parsed, query, logCapture);
+        logCapture(`[Availability] ✅ Found ${slots.length} open slots via scheduling API.`);
+        return finish({ success: true, source: 'api', ...query, slots });
+    } catch (error) {
+        const message = describeApiError(error);
+        logCapture(`[Availability] ❌ Could not read availability: ${message}`);
+        return finish(bookingFailure(httpErrorCode(error), `Could not read availability: ${message}`));
+    }
+}
+
+module.exports = { getAvailability, buildBookingUrl };
@@ -0,0 +1,141 @@
+// services/bookingChangeService.js
+//
+// Drives Calendly's cancel and reschedule pages for a booking we made, using the
+// links saved from its confirmation page.
+
+const { DateTime } = require('luxon');
+const { parseEventUrl } = require('./schedulingApiClient');
+const { readBookingLinks, watchBookingResponse, readConfirmationDetails } = require('./confirmationDetails');
+const { bookingFailure } = require('../utils/bookingErrors');
+
+const PAGE_TIMEOUT_MS = 30000;
+const CONFIRMATION_TIMEOUT_MS = 30000;
+
+/**
+ * Cancels a booking through its cancellation page.
+ * @param {import('playwright').Page} page - Session page to drive
+ * @param {string} cancelUrl - The booking's /cancellations/<uuid> link
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Reason shown to the host
+ * @param {Function} [logCapture=console.log] - Function to capture logs
+ * @returns {Promise<{success: boolean, error?: string, errorCode?: string, retryable?: boolean, alreadyCancelled?: boolean, duration: number}>}
+ */
+async function cancelBooking(page, cancelUrl, { reason = '' } = {}, logCapture = console.log) {
+    const startTime = Date.now();
+    const finish = (result) => ({
+        ...result,
+        duration: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+    });
+
+    try {
+        logCapture(`[BookingChange] Opening cancellation page: ${cancelUrl}`);
+        await page.goto(cancelUrl, { waitUntil: 'domcontentloaded', timeout: PAGE_TIMEOUT_MS });
+
+        const alreadyCancelled = page.getByText(/already (been )?cancel+ed/i).first();
+        if (await alreadyCancelled.isVisible({ timeout: 3000 }).catch(() => false)) {
+            logCapture('[BookingChange] Event was already cancelled.');
+            return finish({ success: true, alreadyCancelled: true });
+        }
+
+        const button = page.getByRole('button', { name: /cancel event|yes, cancel|confirm cancel/i }).first();
+        await button.waitFor({ state: 'visible', timeout: PAGE_TIMEOUT_MS });
+
+        if (reason) {
+            const reasonField = page.locator('textarea').first();
+            if (await reasonField.isVisible({ timeout: 1000 }).catch(() => false)) {
+                await reasonField.fill(reason);
+                logCapture('[BookingChange] Cancellation reason filled.');
+            }
+        }
+
+        await button.click();
+        logCapture('[BookingChange] Cancel clicked, waiting for confirmation...');
+        await page.getByText(/cancel+ation confirmed|has been cancel+ed|event cancel+ed/i).first()
+            .waitFor({ state: 'visible', timeout: CONFIRMATION_TIMEOUT_MS });
+        logCapture('[BookingChange] ✅ Cancellation confirmed.');
+        return finish({ success: true });
+    } catch (error) {
+        logCapture(`[BookingChange] ❌ Cancellation failed: ${error.message}`);
+        return finish(bookingFailure('NAVIGATION_FAILED', `Cancellation failed: ${error.message}`));
+    }
+}
+
+/**
+ * Moves a booking to a new slot through its reschedule page. The reschedule link
+ * redirects to the event type's calendar in reschedule mode; the new slot is opened
+ * from there so the reschedule parameters are kept.
+ * @param {import('playwright').Page} page - Session page to drive
+ * @param {string} rescheduleUrl - The booking's /reschedulings/<uuid> link
+ * @param {Object} options
+ * @param {string} options.startTime - New slot start, ISO 8601 with offset (e.g. from /api/availability)
+ * @param {string} [options.reason] - Reason shown to the host
+ * @param {Function} [logCapture=console.log] - Function to capture logs
+ * @returns {Promise<{success: boolean, error?: string, errorCode?: string, retryable?: boolean, startTime?: string, bookingUrl?: string, links?: Object, confirmation?: Object, duration: number}>}
+ *  links are the reschedule and cancel links of the new booking; confirmation its confirmed details.
+ */
+async function rescheduleBooking(page, rescheduleUrl, { startTime, reason = '' }, logCapture = console.log) {
+    const operationStart = Date.now();
+    const finish = (result) => ({
+        ...result,
+        duration: parseFloat(((Date.now() - operationStart) / 1000).toFixed(2))
+    });
+
+    const start = DateTime.fromISO(startTime, { setZone: true });
+    if (!start.isValid) {
+        return finish(bookingFailure('VALIDATION_ERROR', `Invalid startTime "${startTime}" (expected ISO 8601).`));
+    }
+
+    try {
+        logCapture(`[BookingChange] Opening reschedule page: ${rescheduleUrl}`);
+        await page.goto(rescheduleUrl, { waitUntil: 'domcontentloaded', timeout: PAGE_TIMEOUT_MS });
+        await page.waitForURL(url => !url.pathname.includes('/reschedulings/') && Boolean(parseEventUrl(url.href)), { timeout: PAGE_TIMEOUT_MS });
+
+        const calendarUrl = new URL(page.url());
+        const parsed = parseEventUrl(calendarUrl.href);
+        const startIso = start.toISO({ suppressMilliseconds: true });
+        const slotUrl = new URL(`/${parsed.profileSlug}/${parsed.eventTypeSlug}/${startIso}`, calendarUrl.origin);
+        calendarUrl.searchParams.forEach((value, key) => slotUrl.searchParams.set(key, value));
+        slotUrl.searchParams.set('month', start.toFormat('yyyy-MM'));
+        slotUrl.searchParams.set('date', start.toISODate());
+
+        logCapture(`[BookingChange] Opening new slot: ${slotUrl.href}`);
+        await page.goto(slotUrl.href, { waitUntil: 'domcontentloaded', timeout: PAGE_TIMEOUT_MS });
+        await page.waitForSelector('form', { state: 'visible', timeout: PAGE_TIMEOUT_MS });
+
+        if (reason) {
+            const reasonField = page.locator('textarea').first();
+            if (await reasonField.isVisible({ timeout: 1000 }).catch(() => false)) {
+                await reasonField.fill(reason);
+                logCapture('[BookingChange] Reschedule reason filled.');
+            }
+        }
+
+        const bookingResponse = watchBookingResponse(page);
+        await page.locator('button[type="submit"]').first().click({ timeout: 5000 });
+        logCapture('[BookingChange] Reschedule submitted, waiting for confirmation...');
+
+        const confirmed = page.locator('h1:has-text("You are scheduled"), h1:has-text("Confirmed"), div:has-text("successfully rescheduled")').first();
+        const unavailable = page.getByText(/no longer available/i).first();
+        const outcome = await Promise.race([
+            confirmed.waitFor({ state: 'visible', timeout: CONFIRMATION_TIMEOUT_MS }).then(() => 'confirmed'),
+            unavailable.waitFor({ state: 'visible', timeout: CONFIRMATION_TIMEOUT_MS }).then(() => 'unavailable')
+        ]);
+        if (outcome === 'unavailable') {
+            logCapture(`[BookingChange] ❌ Slot ${startIso} is no longer available.`);
+            return finish(bookingFailure('SLOT_TAKEN', `Slot ${startIso} is no longer available.`));
+        }
+
+        const links = await readBookingLinks(page).catch(() => null);
+        const confirmation = await readConfirmationDetails(page, { bookingResponse }).catch(() => null);
+        logCapture('[BookingChange] ✅ Reschedule confirmed.');
+        return finish({ success: true, startTime: startIso, bookingUrl: slotUrl.href, links, confirmation });
+    } catch (error) {
+        logCapture(`[BookingChange] ❌ Reschedule failed: ${error.message}`);
+        return finish(bookingFailure('NAVIGATION_FAILED', `Reschedule failed: ${error.message}`));
+    }
+}
+
+module.exports = {
+    cancelBooking,
+    rescheduleBooking
+};
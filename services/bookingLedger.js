@@ -0,0 +1,375 @@
+// services/bookingLedger.js
+//
+// Durable record of every booking call this server handles: who asked, with what
+// inputs, which session ran it, how long it took and what came back. Attempts made
+// with an Idempotency-Key are looked up here so a retried call gets the original
+// result instead of booking the lead again. The bookings themselves (bookingStore.js)
+// are kept in the same database.
+
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const { INSTANCE_ID } = require('./sessionRegistry');
+const { errorBody, ERROR_CODES } = require('../utils/bookingErrors');
+
+// Failures known to happen before the form or invitee is submitted, so nothing was booked
+// and the key is freed for the retry. Anything else (UPSTREAM_ERROR from the invitee POST
+// or a forwarded call, CONFIRMATION_TIMEOUT, INTERNAL_ERROR...) may have booked the lead
+// and keeps replaying.
+const PRE_SUBMIT_FAILURE_CODES = [
+    'VALIDATION_ERROR', 'NOT_FOUND', 'SESSION_NOT_FOUND', 'SESSION_ELSEWHERE', 'SESSION_LOST',
+    'FORM_NOT_READY', 'OPTION_BUSY', 'BOOKING_STATE_CONFLICT', 'SLOT_TAKEN', 'DAY_UNAVAILABLE',
+    'NO_AVAILABILITY', 'INVALID_FORM_INPUT', 'API_PATH_UNSUPPORTED', 'RATE_LIMITED',
+    'FORM_NOT_FOUND', 'SUBMIT_FAILED', 'NAVIGATION_FAILED', 'BROWSER_LAUNCH_FAILED'
+];
+
+/**
+ * Whether a failed response leaves the Idempotency-Key free for another try.
+ */
+function _releasesKey(httpStatus, body) {
+    const code = body.errorCode;
+    if (!code || !ERROR_CODES[code]) return httpStatus === 429; // Unknown outcome: keep replaying it
+    return PRE_SUBMIT_FAILURE_CODES.includes(code);
+}
+
+// --- Adapters ---
+// Every adapter exposes the same synchronous interface. better-sqlite3 is synchronous
+// and the writes are a single small row, so there is nothing to gain from going async.
+
+/**
+ * Keeps attempts and bookings in process memory. Lost on restart.
+ */
+function createMemoryAdapter() {
+    const attempts = new Map();
+    const bookings = new Map();
+    const keyOf = (apiKeyId, idempotencyKey) => `${apiKeyId || ''}|${idempotencyKey}`;
+    const byKey = new Map();
+
+    return {
+        name: 'memory',
+        insertAttempt(attempt) {
+            if (attempt.idempotencyKey) {
+                const existing = byKey.get(keyOf(attempt.apiKeyId, attempt.idempotencyKey));
+                if (existing) return attempts.get(existing);
+                byKey.set(keyOf(attempt.apiKeyId, attempt.idempotencyKey), attempt.id);
+            }
+            attempts.set(attempt.id, { ...attempt });
+            return null;
+        },
+        updateAttempt(id, patch) {
+            const attempt = attempts.get(id);
+            if (!attempt) return;
+            if (attempt.idempotencyKey && 'idempotencyKey' in patch && !patch.idempotencyKey) {
+                byKey.delete(keyOf(attempt.apiKeyId, attempt.idempotencyKey));
+            }
+            Object.assign(attempt, patch);
+        },
+        getAttempt(id) { return attempts.has(id) ? { ...attempts.get(id) } : null; },
+        listAttempts({ apiKeyId, sessionId, status, type, limit }) {
+            return Array.from(attempts.values())
+                .filter(a => (apiKeyId === undefined || a.apiKeyId === apiKeyId) &&
+                    (!sessionId || a.sessionId === sessionId) &&
+                    (!status || a.status === status) &&
+                    (!type || a.type === type))
+                .sort((a, b) => b.startedAt - a.startedAt)
+                .slice(0, limit)
+                .map(a => ({ ...a }));
+        },
+        listUnfinishedAttempts(instanceId) {
+            return Array.from(attempts.values())
+                .filter(a => a.instanceId === instanceId && ['in_progress', 'queued'].includes(a.status))
+                .map(a => ({ ...a }));
+        },
+        saveBooking(record) { bookings.set(record.id, JSON.parse(JSON.stringify(record))); },
+        getBooking(id) { return bookings.has(id) ? JSON.parse(JSON.stringify(bookings.get(id))) : null; }
+    };
+}
+
+// Attempt fields stored as JSON text
+const JSON_COLUMNS = { invitee: 'invitee', input: 'input', response: 'response' };
+// Attempt field -> column
+const ATTEMPT_COLUMNS = {
+    id: 'id',
+    type: 'type',
+    idempotencyKey: 'idempotency_key',
+    requestHash: 'request_hash',
+    apiKeyId: 'api_key_id',
+    sessionId: 'session_id',
+    bookingUrl: 'booking_url',
+    invitee: 'invitee',
+    input: 'input',
+    status: 'status',
+    httpStatus: 'http_status',
+    response: 'response',
+    error: 'error',
+    jobId: 'job_id',
+    bookingId: 'booking_id',
+    instanceId: 'instance_id',
+    startedAt: 'started_at',
+    finishedAt: 'finished_at',
+    durationMs: 'duration_ms'
+};
+
+/**
+ * Stores attempts and bookings in a SQLite database file, so the ledger survives
+ * restarts. Replicas on the same host can share the file (WAL mode).
+ * @param {string} filePath - Path of the database file
+ */
+function createSqliteAdapter(filePath) {
+    const Database = require('better-sqlite3');
+    const db = new Database(path.resolve(filePath));
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS booking_attempts (
+            id TEXT PRIMARY KEY,
+            type TEXT NOT NULL,
+            idempotency_key TEXT,
+            request_hash TEXT,
+            api_key_id TEXT,
+            session_id TEXT,
+            booking_url TEXT,
+            invitee TEXT,
+            input TEXT,
+            status TEXT NOT NULL,
+            http_status INTEGER,
+            response TEXT,
+            error TEXT,
+            job_id TEXT,
+            booking_id TEXT,
+            instance_id TEXT,
+            started_at INTEGER NOT NULL,
+            finished_at INTEGER,
+            duration_ms INTEGER
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS booking_attempts_idempotency
+            ON booking_attempts (ifnull(api_key_id, ''), idempotency_key) WHERE idempotency_key IS NOT NULL;
+        CREATE INDEX IF NOT EXISTS booking_attempts_session ON booking_attempts (session_id);
+        CREATE INDEX IF NOT EXISTS booking_attempts_started ON booking_attempts (started_at);
+        CREATE TABLE IF NOT EXISTS bookings (
+            id TEXT PRIMARY KEY,
+            record TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+    `);
+
+    const toRow = (fields) => Object.fromEntries(Object.entries(fields).map(([field, value]) => [
+        ATTEMPT_COLUMNS[field],
+        JSON_COLUMNS[field] && value !== null && value !== undefined ? JSON.stringify(value) : (value === undefined ? null : value)
+    ]));
+    const fromRow = (row) => row && Object.fromEntries(Object.entries(ATTEMPT_COLUMNS).map(([field, column]) => [
+        field,
+        JSON_COLUMNS[field] && row[column] !== null ? JSON.parse(row[column]) : row[column]
+    ]));
+
+    const columns = Object.values(ATTEMPT_COLUMNS);
+    const insert = db.prepare(`INSERT INTO booking_attempts (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`);
+    const findByKey = db.prepare(`SELECT * FROM booking_attempts WHERE ifnull(api_key_id, '') = ? AND idempotency_key = ?`);
+    const selectById = db.prepare('SELECT * FROM booking_attempts WHERE id = ?');
+    const selectUnfinished = db.prepare(`SELECT * FROM booking_attempts WHERE instance_id = ? AND status IN ('in_progress', 'queued')`);
+    const upsertBooking = db.prepare(`INSERT INTO bookings (id, record, updated_at) VALUES (@id, @record, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET record = excluded.record, updated_at = excluded.updated_at`);
+    const selectBooking = db.prepare('SELECT record FROM bookings WHERE id = ?');
+
+    // Look-up and insert in one transaction so two calls with the same key can't both start
+    const insertUnlessKeyed = db.transaction((attempt) => {
+        if (attempt.idempotencyKey) {
+            const existing = findByKey.get(attempt.apiKeyId || '', attempt.idempotencyKey);
+            if (existing) return fromRow(existing);
+        }
+        insert.run(toRow({ ...Object.fromEntries(Object.keys(ATTEMPT_COLUMNS).map(field => [field, null])), ...attempt }));
+        return null;
+    });
+
+    return {
+        name: 'sqlite',
+        insertAttempt(attempt) { return insertUnlessKeyed.immediate(attempt); },
+        updateAttempt(id, patch) {
+            const row = toRow(patch);
+            const assignments = Object.keys(row).map(column => `${column} = @${column}`).join(', ');
+            db.prepare(`UPDATE booking_attempts SET ${assignments} WHERE id = @id`).run({ ...row, id });
+        },
+        getAttempt(id) { return fromRow(selectById.get(id)) || null; },
+        listAttempts({ apiKeyId, sessionId, status, type, limit }) {
+            const where = [];
+            const params = { limit };
+            if (apiKeyId !== undefined) { where.push('ifnull(api_key_id, \'\') = @apiKeyId'); params.apiKeyId = apiKeyId || ''; }
+            if (sessionId) { where.push('session_id = @sessionId'); params.sessionId = sessionId; }
+            if (status) { where.push('status = @status'); params.status = status; }
+            if (type) { where.push('type = @type'); params.type = type; }
+            const sql = `SELECT * FROM booking_attempts ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY started_at DESC LIMIT @limit`;
+            return db.prepare(sql).all(params).map(fromRow);
+        },
+        listUnfinishedAttempts(instanceId) { return selectUnfinished.all(instanceId).map(fromRow); },
+        saveBooking(record) { upsertBooking.run({ id: record.id, record: JSON.stringify(record), updatedAt: record.updatedAt }); },
+        getBooking(id) {
+            const row = selectBooking.get(id);
+            return row ? JSON.parse(row.record) : null;
+        }
+    };
+}
+
+function createAdapter() {
+    switch (config.BOOKING_LEDGER) {
+        case 'sqlite':
+            try {
+                return createSqliteAdapter(config.BOOKING_LEDGER_FILE);
+            } catch (e) {
+                console.warn(`[BookingLedger] Could not open SQLite ledger ${config.BOOKING_LEDGER_FILE}: ${e.message}. Falling back to memory.`);
+                return createMemoryAdapter();
+            }
+        case 'memory':
+            return createMemoryAdapter();
+        default:
+            console.warn(`[BookingLedger] Unknown BOOKING_LEDGER "${config.BOOKING_LEDGER}". Falling back to memory.`);
+            return createMemoryAdapter();
+    }
+}
+
+const adapter = createAdapter();
+console.log(`[BookingLedger] Using ${adapter.name} ledger.`);
+
+// --- Public API ---
+
+/**
+ * Fingerprint of a booking request, used to spot an Idempotency-Key reused for a
+ * different request. Delivery options (async, callbackUrl) don't change what gets booked.
+ * @param {Object} params - Route parameters
+ * @param {Object} body - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(params = {}, body = {}) {
+    const { async: _async, callbackUrl, ...rest } = body || {};
+    const sorted = (value) => (value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.keys(value).sort().reduce((out, key) => ({ ...out, [key]: sorted(value[key]) }), {})
+        : value);
+    return crypto.createHash('sha256').update(JSON.stringify(sorted({ params, body: rest }))).digest('hex');
+}
+
+/**
+ * Records the start of a booking call. When the call carries an Idempotency-Key that
+ * this API key has used before, nothing is recorded and the earlier attempt is returned.
+ * @param {Object} attempt
+ * @param {string} attempt.type - Operation, e.g. 'book-session'
+ * @param {string} [attempt.idempotencyKey]
+ * @param {string} [attempt.requestHash] - From hashRequest
+ * @param {string} [attempt.apiKeyId]
+ * @param {string} [attempt.sessionId]
+ * @param {string} [attempt.bookingUrl]
+ * @param {Object} [attempt.invitee] - { name, email, phone } as sent
+ * @param {Object} [attempt.input] - Request body and parameters
+ * @param {string} [attempt.bookingId] - Booking the call acts on (cancel / reschedule)
+ * @returns {{attempt: Object, existing: Object|null}} existing is the earlier attempt with the same key
+ */
+function beginAttempt({ type, idempotencyKey = null, requestHash = null, apiKeyId = null, sessionId = null, bookingUrl = null, invitee = null, input = null, bookingId = null }) {
+    const attempt = {
+        id: crypto.randomUUID(),
+        type,
+        idempotencyKey,
+        requestHash,
+        apiKeyId,
+        sessionId,
+        bookingUrl,
+        invitee,
+        input,
+        status: 'in_progress',
+        bookingId,
+        instanceId: INSTANCE_ID,
+        startedAt: Date.now()
+    };
+    const existing = adapter.insertAttempt(attempt);
+    return existing ? { attempt: existing, existing } : { attempt, existing: null };
+}
+
+/**
+ * Records the response sent for an attempt. A 202 with a jobId means the booking runs
+ * in the background: the attempt is marked queued and finished later with the job result.
+ * @param {string} attemptId
+ * @param {number} httpStatus
+ * @param {Object} body - Response body
+ * @returns {Object|null} The updated attempt
+ */
+function recordAttemptResponse(attemptId, httpStatus, body = {}) {
+    const attempt = adapter.getAttempt(attemptId);
+    if (!attempt) return null;
+
+    const patch = { httpStatus, response: body };
+    if (httpStatus === 202 && body.jobId) {
+        Object.assign(patch, { status: 'queued', jobId: body.jobId });
+    } else {
+        const finishedAt = Date.now();
+        const succeeded = httpStatus < 400 && body.success !== false;
+        Object.assign(patch, {
+            status: succeeded ? 'succeeded' : 'failed',
+            error: succeeded ? null : (body.error || body.message || 'Unknown error'),
+            bookingId: body.bookingId || attempt.bookingId || null,
+            sessionId: attempt.sessionId || body.sessionId || null,
+            finishedAt,
+            durationMs: finishedAt - attempt.startedAt
+        });
+        if (!succeeded && _releasesKey(httpStatus, body)) patch.idempotencyKey = null;
+    }
+    adapter.updateAttempt(attemptId, patch);
+    return { ...attempt, ...patch };
+}
+
+/**
+ * Gives up an attempt's Idempotency-Key without finishing it, e.g. when the request is
+ * forwarded to the replica that owns the session, which records the key itself.
+ * @param {string} attemptId
+ */
+function releaseAttemptKey(attemptId) {
+    adapter.updateAttempt(attemptId, { idempotencyKey: null });
+}
+
+function getAttempt(attemptId) {
+    return adapter.getAttempt(attemptId);
+}
+
+/**
+ * Lists attempts, newest first.
+ * @param {Object} [filter]
+ * @param {string|null} [filter.apiKeyId] - Only this key's attempts (null: made without a key)
+ * @param {string} [filter.sessionId]
+ * @param {string} [filter.status] - in_progress, queued, succeeded, failed, interrupted
+ * @param {string} [filter.type]
+ * @param {number} [filter.limit=50]
+ */
+function listAttempts({ apiKeyId, sessionId, status, type, limit = 50 } = {}) {
+    return adapter.listAttempts({ apiKeyId, sessionId, status, type, limit });
+}
+
+/**
+ * Marks attempts this instance left unfinished before a restart as interrupted. Their
+ * outcome is unknown (the form may or may not have been submitted), so repeating the
+ * Idempotency-Key returns an error instead of booking again.
+ */
+function markInterruptedAttempts() {
+    for (const attempt of adapter.listUnfinishedAttempts(INSTANCE_ID)) {
+        const finishedAt = Date.now();
+        const error = 'The server restarted before this booking call finished; its outcome is unknown. Check the booking before retrying with a new Idempotency-Key.';
+        adapter.updateAttempt(attempt.id, {
+            status: 'interrupted',
+            httpStatus: 500,
+            response: errorBody('INTERNAL_ERROR', error, { attemptId: attempt.id }),
+            error,
+            finishedAt,
+            durationMs: finishedAt - attempt.startedAt
+        });
+        console.log(`[BookingLedger] Marked attempt ${attempt.id} (${attempt.type}) interrupted.`);
+    }
+}
+
+markInterruptedAttempts();
+
+module.exports = {
+    hashRequest,
+    beginAttempt,
+    recordAttemptResponse,
+    releaseAttemptKey,
+    getAttempt,
+    listAttempts,
+    // Storage for bookingStore.js
+    saveBooking: (record) => adapter.saveBooking(record),
+    loadBooking: (bookingId) => adapter.getBooking(bookingId)
+};
@@ -1,5 +1,11 @@
 // services/bookingService.js
 
+const { normalizePhone, fillPhoneField } = require('../utils/phoneUtils');
+const { answerCustomQuestions } = require('./formQuestions');
+const { addGuests } = require('./formGuests');
+const { readBookingLinks, watchBookingResponse, readConfirmationDetails } = require('./confirmationDetails');
+const { bookingFailure } = require('../utils/bookingErrors');
+
 // Re-implement helper functions here for now, or move to a shared utils file later
 // Helper function for more efficient form filling
 async function fastFill(page, selector, text) {
@@ -105,10 +111,18 @@ const DEBUG_MODE = false;
  * @param {import('playwright').Page} page - The Playwright page object.
  * @param {string} name - The name to fill in the form.
  * @param {string} email - The email to fill in the form.
- * @param {string} phone - The phone number to fill in the form.
- * @returns {Promise<boolean>} - True if booking seems successful, false otherwise.
+ * @param {string} phone - The phone number to fill in the form, ideally E.164 (e.g. "+13109122380").
+ * @param {Object} [options]
+ * @param {Object} [options.answers] - Custom question answers keyed by label or 1-based position (see formQuestions.js).
+ * @param {string[]} [options.guests] - Guest emails to add through "Add Guests".
+ * @param {string} [options.notes] - Invitee notes for the form's notes question.
+ * @param {string} [options.timezone] - Timezone the page shows times in (default: the browser's).
+ * @returns {Promise<{success: boolean, error?: string, errorCode?: string, retryable?: boolean, phone?: Object, guests?: Object, questions?: Object, links?: Object, confirmation?: Object}>} - phone reports what was entered (see fillPhoneField),
+ *   null if the form has no phone field; guests reports the guests shown on the form (null if none were requested);
+ *   questions lists the answered custom questions and any unanswered required ones; links holds the reschedule and
+ *   cancel links read from the confirmation page, and confirmation the confirmed meeting details (see confirmationDetails.js).
  */
-async function bookMeeting(page, name, email, phone) {
+async function bookMeeting(page, name, email, phone, { answers = {}, guests = [], notes, timezone } = {}) {
   console.log('[BookingService] Starting booking process on existing page...');
   const formStartTime = Date.now();
 
@@ -150,7 +164,7 @@ async function bookMeeting(page, name, email, phone) {
     } catch (e) {
         console.error('[BookingService] ❌ Error waiting for form container:', e.message);
         if (DEBUG_MODE) await page.screenshot({ path: 'error-no-form-container.png' });
-        return { success: false, error: `Failed to find form container: ${e.message}` };
+        return bookingFailure('FORM_NOT_FOUND', `Failed to find form container: ${e.message}`);
     }
 
     // *** PARALLEL FIELD FINDING ***
@@ -180,7 +194,7 @@ async function bookMeeting(page, name, email, phone) {
         console.error('[BookingService] Failed to find required fields in parallel:', error.message);
         // Optional: Screenshot on failure
         if (DEBUG_MODE) await page.screenshot({ path: 'error-parallel-field-find.png' }).catch(()=>{});
-        return { success: false, error: `Failed parallel field find: ${error.message}` };
+        return bookingFailure('FORM_NOT_FOUND', `Failed parallel field find: ${error.message}`);
     }
     
     // *** REMOVED Sequential Retry Loops for Name and Email ***
@@ -188,6 +202,7 @@ async function bookMeeting(page, name, email, phone) {
     // --- *** REVISED Phone Field Handling (Quick Label Check First) *** ---
     console.log('[BookingService] Starting improved phone field detection...');
     let phoneFilled = false;
+    let phoneReport = null;
     const phoneSelectorType = 'input[type="tel"]'; // Use type selector for stability
     
     // STEP 1: Quick check for phone label or container (500ms)
@@ -257,21 +272,23 @@ async function bookMeeting(page, name, email, phone) {
 
         // Fill the field if it was found in any stage
         if (phoneElement) {
+            const normalizedPhone = normalizePhone(phone);
+            if (!normalizedPhone.valid) {
+                console.error(`[BookingService] ❌ ${normalizedPhone.error}`);
+                return bookingFailure('VALIDATION_ERROR', normalizedPhone.error);
+            }
             try {
-                // --- HARDCODE PHONE NUMBER HERE ---
-                const hardcodedPhone = '+1 3109122322'; 
-                console.log(`[BookingService] Filling phone number with HARDCODED value: ${hardcodedPhone}`);
-                // Use the stable selector 'phoneSelectorType' for filling
-                await page.focus(phoneSelectorType);
-                await page.click(phoneSelectorType, { clickCount: 3 });
-                await page.keyboard.press('Backspace');
-                // --- Use the hardcoded variable ---
-                await page.fill(phoneSelectorType, hardcodedPhone); 
-                console.log('[BookingService] Phone field filled.');
-                phoneFilled = true;
+                console.log(`[BookingService] Filling phone number: ${normalizedPhone.e164} (${normalizedPhone.country})`);
+                phoneReport = await fillPhoneField(page, normalizedPhone, message => console.log(`[BookingService] ${message}`));
+                phoneFilled = phoneReport.verified;
             } catch (fillError) {
                 console.error(`[BookingService] ⚠️ Error filling phone field even after finding it: ${fillError.message}`);
-                // Continue without phone if filling fails
+                phoneReport = { e164: normalizedPhone.e164, country: normalizedPhone.country, verified: false, error: fillError.message };
+            }
+            // Never submit with a wrong or missing number
+            if (!phoneFilled) {
+                if (DEBUG_MODE) await page.screenshot({ path: 'error-phone-mismatch-service.png' }).catch(() => {});
+                return bookingFailure('INVALID_FORM_INPUT', `Phone field could not be set to ${normalizedPhone.e164} (shows "${phoneReport.filledValue ?? ''}").`, { phone: phoneReport });
             }
         }
     } else {
@@ -279,8 +296,34 @@ async function bookMeeting(page, name, email, phone) {
     }
     // --- *** END REVISED Phone Field Handling *** ---
 
+    // --- Guests ---
+    let guestReport = null;
+    if (guests.length > 0) {
+        try {
+            guestReport = await addGuests(page, guests, message => console.log(`[BookingService] ${message}`));
+        } catch (e) {
+            guestReport = { requested: guests, added: [], verified: false, error: `Could not add guests: ${e.message}` };
+        }
+        if (!guestReport.verified) {
+            if (DEBUG_MODE) await page.screenshot({ path: 'error-guests-service.png' }).catch(() => {});
+            return bookingFailure('INVALID_FORM_INPUT', guestReport.error, { phone: phoneReport, guests: guestReport });
+        }
+    }
+
+    // --- Custom Questions (and notes) ---
+    console.log('[BookingService] Checking for custom questions...');
+    const questionResult = await answerCustomQuestions(page, answers, message => console.log(`[BookingService] ${message}`), { notes });
+    const questionReport = { answered: questionResult.answered, unansweredRequired: questionResult.unansweredRequired };
+    if (!questionResult.success) {
+        if (DEBUG_MODE) await page.screenshot({ path: 'error-custom-questions-service.png' }).catch(() => {});
+        return bookingFailure('INVALID_FORM_INPUT', questionResult.error, { phone: phoneReport, guests: guestReport, questions: questionReport });
+    }
+
     if (DEBUG_MODE) await page.screenshot({ path: 'form-filled-service.png' });
 
+    // Catch the booking request the form is about to send; it carries the confirmed event
+    const bookingResponse = watchBookingResponse(page);
+
     // --- Submit Button --- (Optimized with Primary Check)
     console.log('[BookingService] Looking for submit button...');
     let submitButtonFound = false;
@@ -392,8 +435,8 @@ async function bookMeeting(page, name, email, phone) {
     if (!submitButtonFound) {
       console.log('[BookingService] ⚠️ Warning: Could not reliably find or click any submit button.');
       if (DEBUG_MODE) await page.screenshot({ path: 'no-submit-button-service.png' });
-       // Consider returning false here if submission is critical
-       // return false;
+      // Nothing was submitted, so this is safe to retry
+      return bookingFailure('SUBMIT_FAILED', 'Failed to find or click submit button', { phone: phoneReport, guests: guestReport, questions: questionReport });
     } else {
       console.log('[BookingService] Submit initiated, waiting for confirmation or navigation...');
     }
@@ -448,12 +491,14 @@ async function bookMeeting(page, name, email, phone) {
         if (result === 'success') {
             console.log('[BookingService] ✅ Explicit confirmation indicator found.');
             if (DEBUG_MODE) await page.screenshot({ path: 'confirmed-service.png' });
-            return { success: true };
+            const links = await readBookingLinks(page).catch(() => null);
+            const confirmation = await readConfirmationDetails(page, { bookingResponse, expectedEmail: email, timezone }).catch(() => null);
+            return { success: true, phone: phoneReport, guests: guestReport, questions: questionReport, links, confirmation };
         } else if (result === 'error') {
              // Already logged the specific error in the Promise.race handler
              if (DEBUG_MODE) await page.screenshot({ path: 'error-explicit-service.png' });
              const errorText = await errorElement?.textContent() || 'Unknown explicit error'; // Get error text if possible
-             return { success: false, error: `Explicit error detected: ${errorText.trim()}` };
+             return bookingFailure('INVALID_FORM_INPUT', `Explicit error detected: ${errorText.trim()}`, { phone: phoneReport, guests: guestReport, questions: questionReport });
         } else { // result === 'timeout'
             console.log('[BookingService] ⚠️ Timed out waiting for explicit confirmation or general error indicator. Checking for specific popups...');
 
@@ -467,7 +512,7 @@ async function bookMeeting(page, name, email, phone) {
                  if (await unavailableHeading.isVisible({ timeout: 5000 })) { 
                       console.error(`[BookingService] ❌ Detected post-submit message after timeout: "${unavailableText}"`);
                       if (DEBUG_MODE) await page.screenshot({ path: 'error-slot-unavailable-post-submit.png' });
-                      return { success: false, error: `Slot became unavailable post-submit: "${unavailableText}"` };
+                      return bookingFailure('SLOT_TAKEN', `Slot became unavailable post-submit: "${unavailableText}"`, { phone: phoneReport, guests: guestReport, questions: questionReport });
                  } else {
                     // Log if the check was performed but element wasn't visible within the extended secondary timeout
                     console.log(`[BookingService] Post-submit unavailable heading not found/visible within extra 5s check.`);
@@ -485,23 +530,26 @@ async function bookMeeting(page, name, email, phone) {
              if (confirmationKeywords.some(keyword => lowerBodyText.includes(keyword))) {
                  console.log('[BookingService] Found weak confirmation text in body after timeout.');
                  if (DEBUG_MODE) await page.screenshot({ path: 'final-state-weak-confirm-service.png' });
-                 return { success: true };
+                 const links = await readBookingLinks(page).catch(() => null);
+                 const confirmation = await readConfirmationDetails(page, { bookingResponse, expectedEmail: email, timezone }).catch(() => null);
+                 return { success: true, phone: phoneReport, guests: guestReport, questions: questionReport, links, confirmation };
              }
             if (DEBUG_MODE) await page.screenshot({ path: 'timeout-no-confirm-service.png' });
-            return { success: false, error: 'Timed out waiting for confirmation (30s)' };
+            return bookingFailure('CONFIRMATION_TIMEOUT', 'Timed out waiting for confirmation (30s)', { phone: phoneReport, guests: guestReport, questions: questionReport });
         }
 
      } catch (e) {
          console.log(`[BookingService] Error during confirmation wait logic: ${e.message}.`);
           if (DEBUG_MODE) await page.screenshot({ path: 'error-confirmation-logic-service.png' });
          // Consider checking for explicit error elements even in this catch block if needed
-         return { success: false, error: `Error in confirmation logic: ${e.message}` };
+         // The form was already submitted, so the outcome is unknown
+         return bookingFailure('CONFIRMATION_TIMEOUT', `Error in confirmation logic: ${e.message}`, { phone: phoneReport, guests: guestReport, questions: questionReport });
      }
 
   } catch (error) {
     console.error('[BookingService] ❌ Unhandled error during booking process:', error);
     if (DEBUG_MODE) await page.screenshot({ path: 'error-uncaught-service.png' }).catch(() => {});
-    return { success: false, error: `Unhandled error in bookingService: ${error.message}` };
+    return bookingFailure('INTERNAL_ERROR', `Unhandled error in bookingService: ${error.message}`);
   }
   // Note: We do not close the page, context, or browser here. The caller is responsible.
 }
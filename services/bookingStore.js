@@ -0,0 +1,94 @@
+// services/bookingStore.js
+//
+// Bookings this server has made, with what's needed to reschedule or cancel them
+// later (the invitee's reschedule and cancel links) and the confirmed meeting details.
+// Records are persisted in the booking ledger's database (see bookingLedger.js).
+
+const crypto = require('crypto');
+const { saveBooking, loadBooking } = require('./bookingLedger');
+
+/**
+ * Stores a successful booking.
+ * @param {Object} booking
+ * @param {string} booking.type - Operation that made it, e.g. 'book-session'
+ * @param {string} [booking.sessionId] - Session that submitted the form (null for the API path)
+ * @param {string} booking.baseUrl - Event type URL
+ * @param {string} booking.bookingUrl - Slot URL that was booked
+ * @param {string} booking.startTime - Slot start, ISO 8601
+ * @param {{name: string, email: string, phone: string}} booking.invitee
+ * @param {string[]} [booking.guests]
+ * @param {{inviteeUuid: string|null, rescheduleUrl: string|null, cancelUrl: string|null}} [booking.links]
+ * @param {Object} [booking.confirmation] - Confirmed meeting details (see confirmationDetails.js)
+ * @param {string} [booking.apiKeyId] - API key that made it
+ * @returns {Object} The booking record
+ */
+function recordBooking({ type, sessionId = null, baseUrl, bookingUrl, startTime, invitee, guests = [], links = {}, confirmation = null, apiKeyId = null }) {
+    const now = new Date().toISOString();
+    const record = {
+        id: crypto.randomUUID(),
+        status: 'booked',
+        type,
+        sessionId,
+        baseUrl,
+        bookingUrl,
+        startTime,
+        invitee,
+        guests,
+        inviteeUuid: links.inviteeUuid || null,
+        rescheduleUrl: links.rescheduleUrl || null,
+        cancelUrl: links.cancelUrl || null,
+        confirmation,
+        apiKeyId,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ action: 'booked', at: now, startTime }]
+    };
+    saveBooking(record);
+    return record;
+}
+
+/**
+ * @param {string} bookingId
+ * @returns {Object|null}
+ */
+function getBooking(bookingId) {
+    return loadBooking(bookingId);
+}
+
+/**
+ * Applies changes to a booking and appends a history entry.
+ * @param {string} bookingId
+ * @param {Object} changes - Fields to overwrite (status, startTime, links, confirmation...)
+ * @param {Object} historyEntry - { action, ...details }
+ * @returns {Object|null} The updated record
+ */
+function updateBooking(bookingId, changes, historyEntry) {
+    const record = loadBooking(bookingId);
+    if (!record) return null;
+    const now = new Date().toISOString();
+    const { links, ...rest } = changes;
+    Object.assign(record, rest, { updatedAt: now });
+    if (links) {
+        record.inviteeUuid = links.inviteeUuid || record.inviteeUuid;
+        record.rescheduleUrl = links.rescheduleUrl || null;
+        record.cancelUrl = links.cancelUrl || null;
+    }
+    record.history.push({ ...historyEntry, at: now });
+    saveBooking(record);
+    return record;
+}
+
+/**
+ * Public view of a booking for API responses.
+ */
+function describeBooking(record) {
+    const { apiKeyId, ...rest } = record;
+    return rest;
+}
+
+module.exports = {
+    recordBooking,
+    getBooking,
+    updateBooking,
+    describeBooking
+};
@@ -1,5 +1,8 @@
 // services/completePredictiveBooking.js
 
+const { readBookingLinks, watchBookingResponse, readConfirmationDetails } = require('./confirmationDetails');
+const { bookingFailure } = require('../utils/bookingErrors');
+
 // Set to true if you want to capture screenshots for debugging
 const DEBUG_MODE = false;
 
@@ -9,14 +12,19 @@ const DEBUG_MODE = false;
  * 
  * @param {import('playwright').Page} page - The Playwright page object
  * @param {Function} logCapture - Function to capture logs
- * @returns {Promise<{success: boolean, error?: string, submissionTime?: number}>} Result object
+ * @param {Object} [options]
+ * @param {string} [options.expectedEmail] - Email the form was filled with, checked against the confirmation
+ * @returns {Promise<{success: boolean, error?: string, errorCode?: string, retryable?: boolean, submissionTime?: number, weakConfirmation?: boolean, links?: Object, confirmation?: Object}>} Result object
+ *  (links: reschedule and cancel links from the confirmation page; confirmation: the confirmed meeting details)
  */
-async function completeBooking(page, logCapture = console.log) {
+async function completeBooking(page, logCapture = console.log, { expectedEmail } = {}) {
     const startTime = Date.now();
     const formStartTime = startTime;
     logCapture('[CompletePredictive] Starting submission of previously prepared form...');
 
     try {
+        const bookingResponse = watchBookingResponse(page);
+
         // --- Submit Button --- (Optimized with Primary Check)
         logCapture('[CompletePredictive] Looking for submit button...');
         let submitButtonFound = false;
@@ -128,11 +136,9 @@ async function completeBooking(page, logCapture = console.log) {
         if (!submitButtonFound) {
           logCapture('[CompletePredictive] ⚠️ Warning: Could not reliably find or click any submit button.');
           if (DEBUG_MODE) await page.screenshot({ path: 'no-submit-button-predictive.png' });
-          return { 
-              success: false, 
-              error: 'Failed to find or click submit button',
+          return bookingFailure('SUBMIT_FAILED', 'Failed to find or click submit button', {
               submissionTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
-          };
+          });
         } else {
           logCapture('[CompletePredictive] Submit initiated, waiting for confirmation or navigation...');
         }
@@ -187,17 +193,17 @@ async function completeBooking(page, logCapture = console.log) {
                 if (DEBUG_MODE) await page.screenshot({ path: 'confirmed-predictive.png' });
                 return { 
                     success: true,
-                    submissionTime: parseFloat(formTime.toFixed(2))
+                    submissionTime: parseFloat(formTime.toFixed(2)),
+                    links: await readBookingLinks(page).catch(() => null),
+                    confirmation: await readConfirmationDetails(page, { bookingResponse, expectedEmail }).catch(() => null)
                 };
             } else if (result && result.status === 'error') {
                  // Already logged the specific error in the Promise.race handler
                  if (DEBUG_MODE) await page.screenshot({ path: 'error-explicit-predictive.png' });
                  const errorText = await result.element?.textContent() || 'Unknown explicit error'; // Get error text if possible
-                 return { 
-                     success: false, 
-                     error: `Explicit error detected: ${errorText.trim()}`,
+                 return bookingFailure('INVALID_FORM_INPUT', `Explicit error detected: ${errorText.trim()}`, {
                      submissionTime: parseFloat(formTime.toFixed(2))
-                 };
+                 });
             } else { // result === 'timeout'
                 logCapture('[CompletePredictive] ⚠️ Timed out waiting for explicit confirmation or general error indicator. Checking for specific popups...');
 
@@ -211,11 +217,9 @@ async function completeBooking(page, logCapture = console.log) {
                      if (await unavailableHeading.isVisible({ timeout: 5000 })) { 
                           logCapture(`[CompletePredictive] ❌ Detected post-submit message after timeout: "${unavailableText}"`);
                           if (DEBUG_MODE) await page.screenshot({ path: 'error-slot-unavailable-post-submit-predictive.png' });
-                          return { 
-                              success: false, 
-                              error: `Slot became unavailable post-submit: "${unavailableText}"`,
+                          return bookingFailure('SLOT_TAKEN', `Slot became unavailable post-submit: "${unavailableText}"`, {
                               submissionTime: parseFloat(formTime.toFixed(2))
-                          };
+                          });
                      } else {
                         // Log if the check was performed but element wasn't visible within the extended secondary timeout
                         logCapture(`[CompletePredictive] Post-submit unavailable heading not found/visible within extra 5s check.`);
@@ -236,36 +240,32 @@ async function completeBooking(page, logCapture = console.log) {
                     return { 
                         success: true,
                         weakConfirmation: true,
-                        submissionTime: parseFloat(formTime.toFixed(2))
+                        submissionTime: parseFloat(formTime.toFixed(2)),
+                        links: await readBookingLinks(page).catch(() => null),
+                        confirmation: await readConfirmationDetails(page, { bookingResponse, expectedEmail }).catch(() => null)
                     };
                 }
                 if (DEBUG_MODE) await page.screenshot({ path: 'timeout-no-confirm-predictive.png' });
-                return { 
-                    success: false, 
-                    error: 'Timed out waiting for confirmation (30s)',
+                return bookingFailure('CONFIRMATION_TIMEOUT', 'Timed out waiting for confirmation (30s)', {
                     submissionTime: parseFloat(formTime.toFixed(2))
-                };
+                });
             }
 
         } catch (e) {
             logCapture(`[CompletePredictive] Error during confirmation wait logic: ${e.message}.`);
             if (DEBUG_MODE) await page.screenshot({ path: 'error-confirmation-logic-predictive.png' });
             // Consider checking for explicit error elements even in this catch block if needed
-            return { 
-                success: false, 
-                error: `Error in confirmation logic: ${e.message}`,
+            return bookingFailure('CONFIRMATION_TIMEOUT', `Error in confirmation logic: ${e.message}`, {
                 submissionTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
-            };
+            });
         }
 
     } catch (error) {
         logCapture(`[CompletePredictive] ❌ Unhandled error during submission process: ${error.message}`);
         if (DEBUG_MODE) await page.screenshot({ path: 'error-uncaught-predictive.png' }).catch(() => {});
-        return { 
-            success: false, 
-            error: `Unhandled error during form submission: ${error.message}`,
+        return bookingFailure('INTERNAL_ERROR', `Unhandled error during form submission: ${error.message}`, {
             submissionTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
-        };
+        });
     }
 }
 
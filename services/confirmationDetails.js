@@ -0,0 +1,219 @@
+// services/confirmationDetails.js
+//
+// Reads what we need to keep about a booking off Calendly's confirmation page: the
+// invitee UUID, the links that reschedule or cancel the event, and the confirmed
+// meeting details (time, host, event, location, invitee email, event URI). Details come
+// from the booking request the page itself makes when possible, and from the page text
+// otherwise.
+
+const { DateTime } = require('luxon');
+
+const DEFAULT_ORIGIN = 'https://calendly.com';
+const UUID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+// Used when the page's own timezone can't be read
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const BOOKING_RESPONSE_TIMEOUT_MS = 45000;
+const SCHEDULED_EVENTS_URI = 'https://api.calendly.com/scheduled_events';
+const CONFERENCING_PATTERN = /zoom\.us|meet\.google\.com|teams\.microsoft\.com|teams\.live\.com|webex\.com|whereby\.com|gotomeet/i;
+// e.g. "9:30am - 10:00am, Monday, October 20, 2025"
+const TIME_LINE_PATTERN = /(\d{1,2}:\d{2}\s?[ap]m)\s*[-–]\s*(\d{1,2}:\d{2}\s?[ap]m),\s*\w+,\s*(\w+ \d{1,2},? \d{4})/i;
+// e.g. "Pacific Time - US & Canada", "Central European Time", "GMT+01:00"
+const TIMEZONE_LINE_PATTERN = /^([A-Z][A-Za-z]+ )+Time\b|^(GMT|UTC)[+-]\d/;
+const EMAIL_PATTERN = /[^\s@<>()]+@[^\s@<>()]+\.[a-z]{2,}/i;
+
+function _uuidAfter(segment, url) {
+    const match = new RegExp(`/${segment}/(${UUID_PATTERN})`, 'i').exec(url || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Works out the reschedule and cancel links for a booking. Links found on the page
+ * win; otherwise they are built from the invitee UUID (Calendly serves them at
+ * /reschedulings/<uuid> and /cancellations/<uuid>).
+ * @param {Object} source
+ * @param {string[]} [source.hrefs] - Candidate link URLs (page anchors, API response fields)
+ * @param {string} [source.pageUrl] - URL the booking was made on (for the origin and /invitees/<uuid>)
+ * @param {string} [source.inviteeUuid] - Invitee UUID, when already known
+ * @returns {{inviteeUuid: string|null, rescheduleUrl: string|null, cancelUrl: string|null}}
+ */
+function bookingLinksFrom({ hrefs = [], pageUrl, inviteeUuid } = {}) {
+    let rescheduleUrl = hrefs.find(href => _uuidAfter('reschedulings', href)) || null;
+    let cancelUrl = hrefs.find(href => _uuidAfter('cancellations', href)) || null;
+    const uuid = inviteeUuid ||
+        _uuidAfter('invitees', pageUrl) ||
+        _uuidAfter('reschedulings', rescheduleUrl) ||
+        _uuidAfter('cancellations', cancelUrl);
+
+    let origin = DEFAULT_ORIGIN;
+    try {
+        origin = new URL(pageUrl).origin;
+    } catch (e) {
+        // Keep the default
+    }
+    if (uuid) {
+        rescheduleUrl = rescheduleUrl || `${origin}/reschedulings/${uuid}`;
+        cancelUrl = cancelUrl || `${origin}/cancellations/${uuid}`;
+    }
+    return { inviteeUuid: uuid || null, rescheduleUrl, cancelUrl };
+}
+
+/**
+ * Reads the reschedule and cancel links from the confirmation page.
+ * @param {import('playwright').Page} page - Page showing "You are scheduled"
+ * @returns {Promise<{inviteeUuid: string|null, rescheduleUrl: string|null, cancelUrl: string|null}>}
+ */
+async function readBookingLinks(page) {
+    const hrefs = await page.evaluate(() => Array.from(document.querySelectorAll('a[href]')).map(a => a.href));
+    return bookingLinksFrom({ hrefs, pageUrl: page.url() });
+}
+
+/**
+ * Starts listening for the booking request the form sends on submit. Call it before
+ * clicking submit.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Object|null>} The created invitee (JSON), or null if none was seen
+ */
+function watchBookingResponse(page) {
+    return page.waitForResponse(
+        response => response.url().includes('/api/booking/invitees') && response.request().method() === 'POST',
+        { timeout: BOOKING_RESPONSE_TIMEOUT_MS }
+    )
+        .then(response => (response.ok() ? response.json() : null))
+        .catch(() => null);
+}
+
+function _scheduledEventUris(eventUuid, inviteeUuid) {
+    if (!eventUuid) return { eventUri: null, inviteeUri: null };
+    const eventUri = `${SCHEDULED_EVENTS_URI}/${eventUuid}`;
+    return { eventUri, inviteeUri: inviteeUuid ? `${eventUri}/invitees/${inviteeUuid}` : null };
+}
+
+function _toZone(iso, timezone) {
+    if (!iso) return null;
+    const time = DateTime.fromISO(iso, { setZone: true });
+    return time.isValid ? time.setZone(timezone).toISO({ suppressMilliseconds: true }) : null;
+}
+
+/**
+ * Confirmation details from the created invitee returned by the booking request.
+ * @param {Object} invitee - Booking response (uuid, email, event { uuid, start_time, end_time, location, name })
+ * @param {string} [timezone] - Timezone to express times in
+ * @returns {Object} See readConfirmationDetails
+ */
+function confirmationFromResponse(invitee, timezone = DEFAULT_TIMEZONE) {
+    const event = invitee.event || {};
+    const location = event.location || {};
+    const conferencingUrl = location.join_url || (CONFERENCING_PATTERN.test(location.location || '') ? location.location : null);
+    return {
+        source: 'response',
+        eventName: event.name || invitee.event_type?.name || null,
+        hostName: event.event_memberships?.[0]?.user_name || invitee.host?.name || null,
+        startTime: _toZone(event.start_time, timezone),
+        endTime: _toZone(event.end_time, timezone),
+        timezone,
+        timezoneLabel: null,
+        location: location.location || location.kind || location.type || null,
+        conferencingUrl: conferencingUrl || null,
+        inviteeEmail: invitee.email || null,
+        ..._scheduledEventUris(event.uuid, invitee.uuid)
+    };
+}
+
+/**
+ * Confirmation details from the confirmation page's text.
+ * @param {Object} page - What the page showed
+ * @param {string[]} page.lines - Text lines of the confirmation panel, in order
+ * @param {string[]} page.headings - Headings below the "You are scheduled" title
+ * @param {string[]} page.hrefs - Link URLs on the page
+ * @param {string} [timezone] - Timezone the page shows times in
+ * @returns {Object} See readConfirmationDetails
+ */
+function parseConfirmationText({ lines = [], headings = [], hrefs = [] }, timezone = DEFAULT_TIMEZONE) {
+    const details = { source: 'page', eventName: headings[0] || null, hostName: null, startTime: null, endTime: null, timezone, timezoneLabel: null, location: null, conferencingUrl: null, inviteeEmail: null };
+
+    for (const line of lines) {
+        const time = TIME_LINE_PATTERN.exec(line);
+        if (time && !details.startTime) {
+            const day = time[3].replace(',', '');
+            const parse = clock => DateTime.fromFormat(`${day} ${clock.replace(/\s/g, '').toUpperCase()}`, 'MMMM d yyyy h:mma', { zone: timezone });
+            const start = parse(time[1]);
+            let end = parse(time[2]);
+            if (start.isValid && end.isValid) {
+                if (end < start) end = end.plus({ days: 1 });
+                details.startTime = start.toISO({ suppressMilliseconds: true });
+                details.endTime = end.toISO({ suppressMilliseconds: true });
+            }
+            continue;
+        }
+        if (!details.timezoneLabel && TIMEZONE_LINE_PATTERN.test(line)) {
+            details.timezoneLabel = line;
+            continue;
+        }
+        if (!details.inviteeEmail && EMAIL_PATTERN.test(line)) {
+            details.inviteeEmail = EMAIL_PATTERN.exec(line)[0];
+        }
+        if (!details.location && !/invitation/i.test(line) && /conferenc|phone call|will call|zoom|google meet|microsoft teams|webex|in.person/i.test(line)) {
+            details.location = line;
+        }
+    }
+
+    // The host is shown as a plain name next to the event name
+    const eventIndex = lines.indexOf(details.eventName);
+    const nameLike = line => /^[A-Z][\w'’.-]*( [A-Z][\w'’.-]*)+$/.test(line || '') && line !== details.eventName && line.length <= 60;
+    details.hostName = [lines[eventIndex - 1], lines[eventIndex + 1]].find(nameLike) || null;
+    details.conferencingUrl = hrefs.find(href => CONFERENCING_PATTERN.test(href)) || null;
+    return details;
+}
+
+/**
+ * Reads the confirmed booking details after "You are scheduled" appears.
+ * @param {import('playwright').Page} page - Page showing the confirmation
+ * @param {Object} [options]
+ * @param {Promise<Object|null>} [options.bookingResponse] - From watchBookingResponse
+ * @param {string} [options.expectedEmail] - Email that was submitted, to check the echo against
+ * @param {string} [options.timezone] - Timezone the page shows times in (default: the browser's, which follows the session's exit IP)
+ * @returns {Promise<{source: string, eventName: string|null, hostName: string|null, startTime: string|null, endTime: string|null,
+ *   timezone: string, timezoneLabel: string|null, location: string|null, conferencingUrl: string|null, inviteeEmail: string|null,
+ *   inviteeEmailMatches: boolean|null, eventUri: string|null, inviteeUri: string|null}>}
+ *  Times are ISO 8601 in `timezone`. Response values win; page text fills the gaps (source says which were used).
+ */
+async function readConfirmationDetails(page, { bookingResponse = null, expectedEmail, timezone } = {}) {
+    const shown = await page.evaluate(() => {
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+        const title = Array.from(document.querySelectorAll('h1')).find(h => /scheduled|confirmed/i.test(h.textContent));
+        const root = (title && title.closest('main, [role="main"], section')) || document.body;
+        const lines = Array.from(root.querySelectorAll('h2, h3, li, p, span, div'))
+            .filter(el => !Array.from(el.children).some(child => clean(child.textContent)))
+            .map(el => clean(el.textContent))
+            .filter(Boolean);
+        return {
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            headings: Array.from(root.querySelectorAll('h2, h3')).map(h => clean(h.textContent)).filter(Boolean),
+            lines: Array.from(new Set(lines)),
+            hrefs: Array.from(document.querySelectorAll('a[href]')).map(a => a.href)
+        };
+    });
+    timezone = timezone || shown.timezone || DEFAULT_TIMEZONE;
+    const details = { ...parseConfirmationText(shown, timezone), ..._scheduledEventUris(null) };
+
+    const invitee = await bookingResponse;
+    if (invitee) {
+        for (const [key, value] of Object.entries(confirmationFromResponse(invitee, timezone))) {
+            if (value !== null && value !== undefined) details[key] = value;
+        }
+        details.source = 'response+page';
+    }
+    details.inviteeEmailMatches = details.inviteeEmail && expectedEmail
+        ? details.inviteeEmail.toLowerCase() === expectedEmail.toLowerCase()
+        : null;
+    return details;
+}
+
+module.exports = {
+    bookingLinksFrom,
+    readBookingLinks,
+    watchBookingResponse,
+    confirmationFromResponse,
+    parseConfirmationText,
+    readConfirmationDetails
+};
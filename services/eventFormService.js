@@ -0,0 +1,210 @@
+// services/eventFormService.js
+//
+// Describes what an event type's booking form asks for, so callers can validate a
+// booking request before sending it. Opens a slot's form in a spare tab of a warm
+// browser (launching a session if none is warm) and reads every field off it.
+
+const { DateTime } = require('luxon');
+const { parseEventUrl } = require('./schedulingApiClient');
+const { getAvailability } = require('./availabilityService');
+const { introspectForm, findNotesQuestion } = require('./formQuestions');
+const { MAX_GUESTS } = require('./formGuests');
+const { startSession, findWarmPage, activeSessions } = require('../sessionManager');
+const { bookingFailure, codedError, errorFields } = require('../utils/bookingErrors');
+
+const SLOT_SEARCH_DAYS = 31;
+const FORM_TIMEOUT_MS = 20000;
+
+/**
+ * Reads the standard fields (name, email, phone, guests) off the open booking form.
+ * @param {import('playwright').Page} page - Page with the booking form open
+ * @returns {Promise<Array<{name: string, label: string, type: string, required: boolean}>>}
+ */
+async function _readStandardFields(page) {
+    return page.evaluate(() => {
+        const form = document.querySelector('form');
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+        const labelFor = el => {
+            const label = (el.id && form.querySelector(`label[for="${CSS.escape(el.id)}"]`)) || el.closest('label');
+            return clean(label ? label.textContent : el.getAttribute('aria-label') || el.placeholder);
+        };
+        const isRequired = el => el.required || el.getAttribute('aria-required') === 'true' || /\*\s*$/.test(labelFor(el));
+        const describe = (name, el, type) => el && {
+            name,
+            label: labelFor(el).replace(/\s*\*\s*$/, '') || name,
+            type,
+            required: isRequired(el)
+        };
+
+        const fields = [];
+        const fullName = form.querySelector('#full_name_input, input[name="full_name"]');
+        if (fullName) {
+            fields.push(describe('name', fullName, 'text'));
+        } else {
+            // Event types can ask for first and last name separately
+            fields.push(describe('firstName', form.querySelector('input[name="first_name"]'), 'text'));
+            fields.push(describe('lastName', form.querySelector('input[name="last_name"]'), 'text'));
+        }
+        fields.push(describe('email', form.querySelector('#email_input, input[type="email"]'), 'email'));
+        fields.push(describe('phone', form.querySelector('input[type="tel"]'), 'tel'));
+
+        const addGuests = Array.from(form.querySelectorAll('button')).find(b => /add guests?/i.test(b.textContent));
+        if (addGuests) fields.push({ name: 'guests', label: clean(addGuests.textContent), type: 'email-list', required: false });
+        return fields.filter(Boolean);
+    });
+}
+
+/**
+ * JSON Schema for answers: one property per question label.
+ */
+function _answersSchema(questions) {
+    const properties = {};
+    for (const question of questions) {
+        let property;
+        if (question.type === 'checkbox') {
+            property = { type: 'array', items: { type: 'string', enum: question.options }, uniqueItems: true };
+        } else if (question.options.length > 0) {
+            property = { type: 'string', enum: question.options };
+        } else {
+            property = { type: 'string', minLength: question.required ? 1 : 0 };
+        }
+        properties[question.label] = { ...property, 'x-position': question.position, 'x-control': question.type };
+    }
+    return {
+        type: 'object',
+        properties,
+        required: questions.filter(q => q.required).map(q => q.label),
+        additionalProperties: false
+    };
+}
+
+/**
+ * Builds a JSON Schema (draft 2020-12) for the /api/book-session body fields the form needs.
+ * @param {string} baseUrl - Event type URL
+ * @param {Array} fields - From _readStandardFields
+ * @param {Array} questions - From introspectForm
+ * @returns {Object}
+ */
+function buildFormSchema(baseUrl, fields, questions) {
+    const has = name => fields.some(field => field.name === name);
+    const properties = {
+        name: { type: 'string', minLength: 1, description: 'Invitee full name' },
+        email: { type: 'string', format: 'email' },
+        phone: { type: 'string', description: 'International format, e.g. +13109122380 (or pass phoneCountry)' },
+        phoneCountry: { type: 'string', pattern: '^[A-Za-z]{2}$' }
+    };
+    if (has('guests')) {
+        properties.guests = { type: 'array', items: { type: 'string', format: 'email' }, maxItems: MAX_GUESTS, uniqueItems: true };
+    }
+    const notesQuestion = findNotesQuestion(questions);
+    if (notesQuestion) {
+        properties.notes = { type: 'string', description: `Fills "${notesQuestion.label}"` };
+    }
+    const required = ['name', 'email', 'phone'];
+    if (questions.length > 0) {
+        properties.answers = _answersSchema(questions);
+        if (questions.some(q => q.required)) required.push('answers');
+    }
+
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: `Booking form for ${baseUrl}`,
+        type: 'object',
+        properties,
+        required
+    };
+}
+
+/**
+ * Finds a browser for the base URL to open the form in: a warm one if available,
+ * otherwise a newly started session (which stays open for booking).
+ */
+async function _acquireBrowser(baseUrl, logCapture) {
+    const warm = findWarmPage(baseUrl);
+    if (warm) {
+        logCapture(`[EventForm] Using warm ${warm.source}${warm.id ? ` ${warm.id}` : ''}.`);
+        return { context: warm.page.context(), source: warm.source, sessionId: warm.id };
+    }
+
+    logCapture('[EventForm] No warm browser for this base URL. Starting a session...');
+    const result = await startSession(baseUrl, logCapture);
+    if (!result.success) {
+        throw codedError(result.errorCode || 'BROWSER_LAUNCH_FAILED', `Could not start a session: ${result.error}`);
+    }
+    return { context: activeSessions[result.sessionId].context, source: 'new-session', sessionId: result.sessionId };
+}
+
+/**
+ * Opens a slot's booking form and describes every field on it.
+ *
+ * @param {string} baseUrl - Event type URL, e.g. https://calendly.com/zachderhake/30min
+ * @param {Function} [logCapture=console.log] - Function to capture logs
+ * @returns {Promise<{success: boolean, error?: string, errorCode?: string, retryable?: boolean, source?: string, sessionId?: string|null,
+ *   slotUrl?: string, fields?: Array, questions?: Array, schema?: Object, duration: number}>}
+ *  source is 'pool' or 'session' when a warm browser was used, 'new-session' when one was started
+ *  (sessionId is then a live session the caller can book with).
+ */
+async function describeEventForm(baseUrl, logCapture = console.log) {
+    const startTime = Date.now();
+    const finish = (result) => ({
+        ...result,
+        duration: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+    });
+
+    const parsed = parseEventUrl(baseUrl);
+    if (!parsed) {
+        return finish(bookingFailure('VALIDATION_ERROR', `Could not extract event type from base URL: ${baseUrl}`));
+    }
+
+    // Any open slot will do; the form is the same for every slot of an event type
+    const today = DateTime.now();
+    const availability = await getAvailability(baseUrl, {
+        from: today.toISODate(),
+        to: today.plus({ days: SLOT_SEARCH_DAYS - 1 }).toISODate()
+    }, logCapture);
+    if (!availability.success) {
+        return finish(bookingFailure(availability.errorCode, availability.error));
+    }
+    if (availability.slots.length === 0) {
+        return finish(bookingFailure('NO_AVAILABILITY', `No open slots in the next ${SLOT_SEARCH_DAYS} days to open the form with.`));
+    }
+    const slotUrl = availability.slots[0].bookingUrl;
+
+    let browser;
+    try {
+        browser = await _acquireBrowser(baseUrl, logCapture);
+    } catch (error) {
+        logCapture(`[EventForm] ❌ ${error.message}`);
+        return finish(bookingFailure(errorFields(error).errorCode, error.message));
+    }
+
+    // A separate tab keeps the warm page on the base URL, ready for booking
+    const page = await browser.context.newPage();
+    try {
+        logCapture(`[EventForm] Opening form for slot ${availability.slots[0].start}...`);
+        await page.goto(slotUrl, { waitUntil: 'domcontentloaded', timeout: FORM_TIMEOUT_MS });
+        await page.waitForSelector('form', { state: 'visible', timeout: FORM_TIMEOUT_MS });
+        await page.waitForSelector('#full_name_input, input[name="first_name"], #email_input', { state: 'visible', timeout: FORM_TIMEOUT_MS });
+
+        const fields = await _readStandardFields(page);
+        const questions = await introspectForm(page);
+        logCapture(`[EventForm] ✅ Found ${fields.length} standard field(s) and ${questions.length} custom question(s).`);
+
+        return finish({
+            success: true,
+            source: browser.source,
+            sessionId: browser.sessionId,
+            slotUrl,
+            fields,
+            questions,
+            schema: buildFormSchema(baseUrl, fields, questions)
+        });
+    } catch (error) {
+        logCapture(`[EventForm] ❌ Could not read the booking form: ${error.message}`);
+        return finish(bookingFailure('FORM_NOT_FOUND', `Could not read the booking form: ${error.message}`, { source: browser.source, sessionId: browser.sessionId }));
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+module.exports = { describeEventForm, buildFormSchema };
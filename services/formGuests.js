@@ -0,0 +1,53 @@
+// services/formGuests.js
+//
+// Adds guest emails through the "Add Guests" control on a Calendly booking form.
+
+const MAX_GUESTS = 10;
+const GUEST_INPUT_SELECTOR = 'input[name*="guest" i], input[id*="guest" i], textarea[name*="guest" i]';
+
+/**
+ * Opens the "Add Guests" control, enters each email and checks the form shows them all.
+ * @param {import('playwright').Page} page - Page with the booking form open
+ * @param {string[]} guests - Guest email addresses
+ * @param {Function} [log=console.log] - Logging function
+ * @returns {Promise<{requested: string[], added: string[], verified: boolean, error?: string}>}
+ */
+async function addGuests(page, guests, log = console.log) {
+    const report = { requested: guests, added: [], verified: false };
+
+    const button = page.getByRole('button', { name: /add guests?/i }).first();
+    if (!(await button.isVisible({ timeout: 2000 }).catch(() => false))) {
+        report.error = 'The booking form has no "Add Guests" control.';
+        log(`❌ ${report.error}`);
+        return report;
+    }
+    log(`Adding ${guests.length} guest(s)...`);
+    await button.click();
+
+    const input = page.locator(GUEST_INPUT_SELECTOR).first();
+    await input.waitFor({ state: 'visible', timeout: 3000 });
+    for (const guest of guests) {
+        await input.fill(guest);
+        // Enter turns the typed address into a guest chip
+        await input.press('Enter');
+    }
+
+    // Chips render next to the input; anything left in the input still counts when submitted
+    const shown = (await page.locator('form').innerText().catch(() => '')) + ' ' + (await input.inputValue().catch(() => ''));
+    report.added = guests.filter(guest => shown.toLowerCase().includes(guest.toLowerCase()));
+    report.verified = report.added.length === guests.length;
+
+    if (report.verified) {
+        log(`Guests added: ${report.added.join(', ')}`);
+    } else {
+        const missing = guests.filter(guest => !report.added.includes(guest));
+        report.error = `Guests not shown on the form: ${missing.join(', ')}`;
+        log(`❌ ${report.error}`);
+    }
+    return report;
+}
+
+module.exports = {
+    MAX_GUESTS,
+    addGuests
+};
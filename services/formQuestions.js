@@ -0,0 +1,300 @@
+// services/formQuestions.js
+//
+// Discovers and answers the custom questions on a Calendly booking form (anything
+// besides name, email, phone and guests). Questions are matched to caller answers by
+// label (case-insensitive, trailing "*" ignored) or by 1-based position.
+
+const QUESTION_ATTRIBUTE = 'data-cib-question';
+// Calendly's default notes question is "Please share anything that will help prepare for our meeting."
+const NOTES_LABEL_PATTERN = /share anything|help prepare|notes|anything else|additional (info|information|details)/i;
+
+/**
+ * Lists every custom question on the open booking form. Each question's controls are
+ * tagged with data-cib-question="<position>" so they can be filled afterwards.
+ * @param {import('playwright').Page} page - Page with the booking form open
+ * @returns {Promise<Array<{position: number, label: string, type: string, required: boolean, options: string[]}>>}
+ *  type is one of text, textarea, radio, checkbox, select, dropdown.
+ */
+async function introspectForm(page) {
+    const questions = await page.evaluate((attribute) => {
+        const form = document.querySelector('form');
+        if (!form) return [];
+
+        const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+        const isStandardField = el =>
+            ['full_name_input', 'email_input'].includes(el.id) ||
+            ['hidden', 'submit', 'button', 'tel', 'search'].includes(el.type) ||
+            /guest/i.test(`${el.name || ''} ${el.id || ''}`);
+
+        const isDropdownToggle = el => el.getAttribute('role') === 'combobox' || el.getAttribute('aria-haspopup') === 'listbox';
+        // The phone field's country-code picker is a dropdown too, but not a question
+        const isPhoneCountryPicker = el => Boolean(el.closest('[data-component="phone-field"]') || el.parentElement?.closest('div')?.querySelector('input[type="tel"]'));
+
+        const controls = Array.from(form.querySelectorAll(
+            'input, textarea, select, [role="combobox"], button[aria-haspopup="listbox"]'
+        )).filter(el => isDropdownToggle(el) ? !isPhoneCountryPicker(el) : !isStandardField(el));
+        const optionIds = new Set(controls.filter(el => el.type === 'radio' || el.type === 'checkbox').map(el => el.id).filter(Boolean));
+
+        const optionLabel = el => {
+            const label = (el.id && form.querySelector(`label[for="${CSS.escape(el.id)}"]`)) || el.closest('label');
+            return clean(label ? label.textContent : (el.getAttribute('aria-label') || el.value));
+        };
+
+        const questionLabel = el => {
+            const labelledBy = el.getAttribute('aria-labelledby');
+            if (labelledBy) {
+                const text = clean(labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' '));
+                if (text) return text;
+            }
+            const legend = el.closest('fieldset')?.querySelector('legend');
+            if (legend) return clean(legend.textContent);
+            if (el.type !== 'radio' && el.type !== 'checkbox') {
+                const label = (el.id && form.querySelector(`label[for="${CSS.escape(el.id)}"]`)) || el.closest('label');
+                if (label) return clean(label.textContent);
+                if (el.getAttribute('aria-label')) return clean(el.getAttribute('aria-label'));
+            }
+            // Walk up to the nearest label-like element that isn't an option's own label
+            for (let node = el.parentElement; node && node !== form.parentElement; node = node.parentElement) {
+                const candidate = Array.from(node.querySelectorAll('label, legend, [class*="label" i]')).find(c =>
+                    !c.querySelector('input, textarea, select') && !(c.htmlFor && optionIds.has(c.htmlFor)) && clean(c.textContent)
+                );
+                if (candidate) return clean(candidate.textContent);
+            }
+            return null;
+        };
+
+        const typeOf = el => {
+            if (el.tagName === 'TEXTAREA') return 'textarea';
+            if (el.tagName === 'SELECT') return 'select';
+            if (el.type === 'radio') return 'radio';
+            if (el.type === 'checkbox') return 'checkbox';
+            if (isDropdownToggle(el)) return 'dropdown';
+            return 'text';
+        };
+
+        // Group radio buttons and checkboxes by name; everything else is its own question
+        const groups = [];
+        const byName = new Map();
+        for (const el of controls) {
+            const type = typeOf(el);
+            const groupKey = (type === 'radio' || type === 'checkbox') && el.name ? `${type}:${el.name}` : null;
+            if (groupKey && byName.has(groupKey)) {
+                byName.get(groupKey).controls.push(el);
+                continue;
+            }
+            const group = { type, controls: [el] };
+            groups.push(group);
+            if (groupKey) byName.set(groupKey, group);
+        }
+
+        return groups.map((group, index) => {
+            const position = index + 1;
+            group.controls.forEach(el => el.setAttribute(attribute, String(position)));
+            const first = group.controls[0];
+            const rawLabel = questionLabel(first) || `Question ${position}`;
+            const required = /\*\s*$/.test(rawLabel) ||
+                group.controls.some(el => el.required || el.getAttribute('aria-required') === 'true') ||
+                first.closest('[aria-required="true"]') !== null;
+
+            let options = [];
+            if (group.type === 'radio' || group.type === 'checkbox') {
+                options = group.controls.map(optionLabel);
+            } else if (group.type === 'select') {
+                options = Array.from(first.options).filter(option => option.value !== '').map(option => clean(option.textContent));
+            }
+            return { position, label: rawLabel.replace(/\s*\*\s*$/, ''), type: group.type, required, options };
+        });
+    }, QUESTION_ATTRIBUTE);
+
+    // Dropdown options only exist in the DOM while the list is open
+    for (const question of questions.filter(q => q.type === 'dropdown')) {
+        const toggle = page.locator(`[${QUESTION_ATTRIBUTE}="${question.position}"]`).first();
+        try {
+            await toggle.click({ timeout: 2000 });
+            const options = page.getByRole('option');
+            await options.first().waitFor({ state: 'visible', timeout: 2000 });
+            question.options = (await options.allTextContents()).map(text => text.replace(/\s+/g, ' ').trim()).filter(Boolean);
+        } catch (e) {
+            question.options = [];
+        } finally {
+            await page.keyboard.press('Escape').catch(() => {});
+        }
+    }
+    return questions;
+}
+
+function normaliseLabel(text) {
+    return String(text).replace(/\s*\*\s*$/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Whether a question label looks like the invitee notes question.
+ * @param {string} label
+ * @returns {boolean}
+ */
+function isNotesLabel(label) {
+    return NOTES_LABEL_PATTERN.test(label || '');
+}
+
+/**
+ * Picks the free-text question that takes invitee notes: a text area whose label looks
+ * like a notes prompt, or the form's only text area.
+ * @param {Array} questions - From introspectForm
+ * @returns {Object|null}
+ */
+function findNotesQuestion(questions) {
+    const textareas = questions.filter(q => q.type === 'textarea');
+    return textareas.find(q => isNotesLabel(q.label)) || (textareas.length === 1 ? textareas[0] : null);
+}
+
+/**
+ * Matches caller answers to discovered questions and checks them.
+ * @param {Array} questions - From introspectForm
+ * @param {Object} [answers] - { "<label or position>": "value" | ["values"] }
+ * @returns {{matched: Array<{question: Object, value: string|string[]}>, unknownKeys: string[], invalid: string[], unansweredRequired: string[]}}
+ */
+function matchAnswers(questions, answers = {}) {
+    const matched = [];
+    const unknownKeys = [];
+    const invalid = [];
+
+    for (const [key, value] of Object.entries(answers || {})) {
+        const question = /^\d+$/.test(key)
+            ? questions.find(q => q.position === Number(key))
+            : questions.find(q => normaliseLabel(q.label) === normaliseLabel(key));
+        if (!question) {
+            unknownKeys.push(key);
+            continue;
+        }
+
+        const values = Array.isArray(value) ? value.map(String) : [String(value)];
+        if (question.type !== 'checkbox' && values.length > 1) {
+            invalid.push(`"${question.label}" takes a single answer`);
+            continue;
+        }
+        if (question.options.length > 0) {
+            const unknownOption = values.find(v => !question.options.some(option => option.toLowerCase() === v.toLowerCase()));
+            if (unknownOption !== undefined) {
+                invalid.push(`"${unknownOption}" is not an option for "${question.label}" (options: ${question.options.join(', ')})`);
+                continue;
+            }
+        }
+        matched.push({ question, value: question.type === 'checkbox' ? values : values[0] });
+    }
+
+    const answered = new Set(matched.filter(m => [].concat(m.value).some(v => v.trim() !== '')).map(m => m.question.position));
+    const unansweredRequired = questions.filter(q => q.required && !answered.has(q.position)).map(q => q.label);
+    return { matched, unknownKeys, invalid, unansweredRequired };
+}
+
+/**
+ * Fills one question and reads it back.
+ * @returns {Promise<boolean>} Whether the form shows the answer afterwards
+ */
+async function _fillQuestion(page, question, value) {
+    const controls = page.locator(`[${QUESTION_ATTRIBUTE}="${question.position}"]`);
+    const optionIndex = option => question.options.findIndex(o => o.toLowerCase() === option.toLowerCase());
+
+    switch (question.type) {
+        case 'radio': {
+            const control = controls.nth(optionIndex(value));
+            await control.check({ force: true });
+            return control.isChecked();
+        }
+        case 'checkbox': {
+            const wanted = value.map(optionIndex);
+            for (let i = 0; i < question.options.length; i++) {
+                await controls.nth(i).setChecked(wanted.includes(i), { force: true });
+            }
+            for (let i = 0; i < question.options.length; i++) {
+                if ((await controls.nth(i).isChecked()) !== wanted.includes(i)) return false;
+            }
+            return true;
+        }
+        case 'select': {
+            const option = question.options[optionIndex(value)];
+            await controls.first().selectOption({ label: option });
+            return (await controls.first().evaluate(el => el.options[el.selectedIndex]?.textContent.trim())) === option;
+        }
+        case 'dropdown': {
+            const option = question.options[optionIndex(value)] || value;
+            await controls.first().click();
+            await page.getByRole('option', { name: option, exact: true }).first().click();
+            return (await controls.first().textContent()).includes(option);
+        }
+        default: {
+            await controls.first().fill(value);
+            return (await controls.first().inputValue()) === value;
+        }
+    }
+}
+
+/**
+ * Discovers the form's custom questions, fills the caller's answers and verifies them.
+ * Nothing is filled unless every required question has an answer and every answer
+ * matches a question.
+ * @param {import('playwright').Page} page - Page with the booking form open
+ * @param {Object} [answers] - { "<label or position>": "value" | ["values"] }
+ * @param {Function} [log=console.log] - Logging function
+ * @param {Object} [options]
+ * @param {string} [options.notes] - Invitee notes, filled into the notes question (see findNotesQuestion)
+ * @returns {Promise<{success: boolean, error?: string, questions: Array, answered: Array, unansweredRequired: string[]}>}
+ */
+async function answerCustomQuestions(page, answers = {}, log = console.log, { notes } = {}) {
+    const questions = await introspectForm(page);
+    log(`Found ${questions.length} custom question(s)${questions.length ? `: ${questions.map(q => `${q.position}. ${q.label} (${q.type}${q.required ? ', required' : ''})`).join('; ')}` : ''}.`);
+
+    const problems = [];
+    if (notes) {
+        const notesQuestion = findNotesQuestion(questions);
+        const answeredDirectly = notesQuestion && Object.keys(answers || {}).some(key =>
+            key === String(notesQuestion.position) || normaliseLabel(key) === normaliseLabel(notesQuestion.label)
+        );
+        if (!notesQuestion) {
+            problems.push('The booking form has no notes field for the notes');
+        } else if (answeredDirectly) {
+            problems.push(`Notes and an answer were both given for "${notesQuestion.label}"`);
+        } else {
+            log(`Notes go into "${notesQuestion.label}".`);
+            answers = { ...answers, [String(notesQuestion.position)]: notes };
+        }
+    }
+
+    const { matched, unknownKeys, invalid, unansweredRequired } = matchAnswers(questions, answers);
+    if (unansweredRequired.length) problems.push(`Unanswered required questions: ${unansweredRequired.join(', ')}`);
+    if (unknownKeys.length) problems.push(`Answers given for questions not on the form: ${unknownKeys.join(', ')}`);
+    if (invalid.length) problems.push(`Invalid answers: ${invalid.join('; ')}`);
+    if (problems.length) {
+        const error = problems.join('. ');
+        log(`❌ ${error}`);
+        return { success: false, error, questions, answered: [], unansweredRequired };
+    }
+
+    const answered = [];
+    for (const { question, value } of matched) {
+        let verified = false;
+        try {
+            verified = await _fillQuestion(page, question, value);
+        } catch (e) {
+            log(`⚠️ Error answering "${question.label}": ${e.message}`);
+        }
+        log(`${verified ? 'Answered' : '⚠️ Could not confirm answer for'} "${question.label}": ${[].concat(value).join(', ')}`);
+        answered.push({ position: question.position, label: question.label, value, verified });
+    }
+
+    const unverified = answered.filter(a => !a.verified).map(a => a.label);
+    if (unverified.length) {
+        const error = `Could not fill answers for: ${unverified.join(', ')}`;
+        log(`❌ ${error}`);
+        return { success: false, error, questions, answered, unansweredRequired: [] };
+    }
+    return { success: true, questions, answered, unansweredRequired: [] };
+}
+
+module.exports = {
+    introspectForm,
+    isNotesLabel,
+    findNotesQuestion,
+    matchAnswers,
+    answerCustomQuestions
+};
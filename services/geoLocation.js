@@ -0,0 +1,179 @@
+// services/geoLocation.js
+//
+// Where a session's exit IP is, so the browser can claim to be there too: timezone,
+// locale, Accept-Language and geolocation all follow the proxy IP. Lookups use an
+// offline MaxMind-format City database (GEOIP_DATABASE, e.g. GeoLite2-City.mmdb).
+// Without one, the location ipinfo.io reported for the IP is used instead. LOCATION_PIN_*
+// settings override the derived values for deliberate pinning.
+
+const fs = require('fs');
+const path = require('path');
+const { IANAZone } = require('luxon');
+const { Reader } = require('maxmind');
+const config = require('../config');
+
+// Locale and languages by country; anything else gets English plus the US locale
+const COUNTRY_LANGUAGES = {
+    US: ['en-US', 'en'],
+    CA: ['en-CA', 'en', 'fr-CA'],
+    GB: ['en-GB', 'en'],
+    IE: ['en-IE', 'en'],
+    AU: ['en-AU', 'en'],
+    NZ: ['en-NZ', 'en'],
+    DE: ['de-DE', 'de', 'en-US', 'en'],
+    AT: ['de-AT', 'de', 'en-US', 'en'],
+    CH: ['de-CH', 'de', 'fr-CH', 'en'],
+    FR: ['fr-FR', 'fr', 'en-US', 'en'],
+    BE: ['fr-BE', 'fr', 'nl-BE', 'en'],
+    NL: ['nl-NL', 'nl', 'en-US', 'en'],
+    ES: ['es-ES', 'es', 'en'],
+    IT: ['it-IT', 'it', 'en-US', 'en'],
+    PT: ['pt-PT', 'pt', 'en'],
+    BR: ['pt-BR', 'pt', 'en-US', 'en'],
+    MX: ['es-MX', 'es', 'en'],
+    SE: ['sv-SE', 'sv', 'en-US', 'en'],
+    PL: ['pl-PL', 'pl', 'en-US', 'en'],
+    IN: ['en-IN', 'en', 'hi'],
+    SG: ['en-SG', 'en'],
+    JP: ['ja-JP', 'ja', 'en-US', 'en']
+};
+const FALLBACK_LANGUAGES = ['en-US', 'en'];
+const MAX_CACHED_LOOKUPS = 1000;
+
+let reader; // undefined: not opened yet, null: no database
+const lookupCache = new Map();
+
+function _reader() {
+    if (reader !== undefined) return reader;
+    reader = null;
+    if (!config.GEOIP_DATABASE) return reader;
+    const databasePath = path.resolve(config.GEOIP_DATABASE);
+    try {
+        reader = new Reader(fs.readFileSync(databasePath));
+        console.log(`[GeoLocation] Using GeoIP database ${databasePath} (${reader.metadata.databaseType}, built ${new Date(reader.metadata.buildEpoch).toISOString().slice(0, 10)}).`);
+    } catch (e) {
+        console.warn(`[GeoLocation] Could not open GeoIP database ${databasePath} (${e.code || e.message}); falling back to the location ipinfo.io reports.`);
+    }
+    return reader;
+}
+
+/**
+ * Looks an IP up in the GeoIP database.
+ * @param {string} ip
+ * @returns {{ip: string, source: string, country: string|null, region: string|null, city: string|null, timezone: string|null,
+ *   latitude: number|null, longitude: number|null, accuracyRadiusKm: number|null}|null} Null if unknown or no database
+ */
+function lookupIp(ip) {
+    const db = ip && _reader();
+    if (!db) return null;
+    if (lookupCache.has(ip)) return lookupCache.get(ip);
+
+    let record = null;
+    try {
+        record = db.get(ip);
+    } catch (e) {
+        console.warn(`[GeoLocation] Lookup of ${ip} failed: ${e.message}`);
+    }
+    const found = record && record.location ? {
+        ip,
+        source: 'geoip',
+        country: record.country?.iso_code || record.registered_country?.iso_code || null,
+        region: record.subdivisions?.[0]?.iso_code || null,
+        city: record.city?.names?.en || null,
+        timezone: record.location.time_zone || null,
+        latitude: record.location.latitude ?? null,
+        longitude: record.location.longitude ?? null,
+        accuracyRadiusKm: record.location.accuracy_radius ?? null
+    } : null;
+
+    lookupCache.set(ip, found);
+    if (lookupCache.size > MAX_CACHED_LOOKUPS) lookupCache.delete(lookupCache.keys().next().value);
+    return found;
+}
+
+/**
+ * Same shape as lookupIp, from an ipinfo.io response ({ ip, country, region, city, loc, timezone }).
+ */
+function _fromIpInfo(ipInfo) {
+    if (!ipInfo || !ipInfo.ip) return null;
+    const [latitude, longitude] = (ipInfo.loc || '').split(',').map(Number);
+    return {
+        ip: ipInfo.ip,
+        source: 'ipinfo',
+        country: ipInfo.country || null,
+        region: ipInfo.region || null,
+        city: ipInfo.city || null,
+        timezone: ipInfo.timezone || null,
+        latitude: Number.isFinite(latitude) ? latitude : null,
+        longitude: Number.isFinite(longitude) ? longitude : null,
+        accuracyRadiusKm: null
+    };
+}
+
+/**
+ * LOCATION_PIN_* settings, checked once. Invalid ones are ignored with a warning
+ * (an invalid timezone would stop every browser context from being created).
+ */
+function _readPins() {
+    const pins = {};
+    if (config.LOCATION_PIN_TIMEZONE) {
+        if (IANAZone.isValidZone(config.LOCATION_PIN_TIMEZONE)) pins.timezone = config.LOCATION_PIN_TIMEZONE;
+        else console.warn(`[GeoLocation] Ignoring LOCATION_PIN_TIMEZONE "${config.LOCATION_PIN_TIMEZONE}": not an IANA timezone.`);
+    }
+    if (config.LOCATION_PIN_LOCALE) {
+        if (/^[a-z]{2,3}(-[A-Z]{2})?$/.test(config.LOCATION_PIN_LOCALE)) pins.locale = config.LOCATION_PIN_LOCALE;
+        else console.warn(`[GeoLocation] Ignoring LOCATION_PIN_LOCALE "${config.LOCATION_PIN_LOCALE}": should look like en-US.`);
+    }
+    if (config.LOCATION_PIN_COORDS) {
+        const [latitude, longitude] = config.LOCATION_PIN_COORDS.split(',').map(part => parseFloat(part));
+        if (Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) pins.geolocation = { latitude, longitude, accuracy: 100 };
+        else console.warn(`[GeoLocation] Ignoring LOCATION_PIN_COORDS "${config.LOCATION_PIN_COORDS}": should be "latitude,longitude".`);
+    }
+    return pins;
+}
+
+const pins = _readPins();
+
+/**
+ * Browser location for a session whose exit IP is `ip`, in the shape
+ * utils/fingerprintProfiles.js buildProfile takes (timezone, locale, languages,
+ * geolocation), plus where it came from.
+ * @param {string|null} ip - Exit IP (null if detection failed)
+ * @param {Object} [ipInfo] - ipinfo.io response for the IP, used when the database has nothing
+ * @returns {{location: Object, place: Object|null, pinned: string[]}} location holds only the fields
+ *  that could be derived or are pinned; the profile's defaults fill the rest
+ */
+function locationForIp(ip, ipInfo = null) {
+    const place = lookupIp(ip) || _fromIpInfo(ipInfo);
+    const location = {};
+
+    if (place && place.timezone && IANAZone.isValidZone(place.timezone)) {
+        location.timezone = place.timezone;
+    }
+    if (place && place.country) {
+        location.languages = COUNTRY_LANGUAGES[place.country] || FALLBACK_LANGUAGES;
+        location.locale = location.languages[0];
+    }
+    if (place && place.latitude !== null && place.longitude !== null) {
+        location.geolocation = {
+            latitude: place.latitude,
+            longitude: place.longitude,
+            accuracy: Math.min((place.accuracyRadiusKm || 1) * 1000, 5000)
+        };
+    }
+
+    // Pinned values win over the IP's
+    if (pins.timezone) location.timezone = pins.timezone;
+    if (pins.locale) {
+        location.locale = pins.locale;
+        location.languages = Array.from(new Set([pins.locale, pins.locale.split('-')[0]]));
+    }
+    if (pins.geolocation) location.geolocation = pins.geolocation;
+    const pinned = Object.keys(pins);
+    return { location, place, pinned };
+}
+
+module.exports = {
+    lookupIp,
+    locationForIp
+};
@@ -0,0 +1,239 @@
+// services/ipReputation.js
+//
+// Exit IPs that Calendly has refused or failed to serve, kept in a JSON file
+// (IP_REPUTATION_FILE) so they survive restarts. Failed navigations, 403/429s and
+// Calendly block or error pages add penalty points; points halve every
+// IP_REPUTATION_HALF_LIFE_MS, so an IP is given another chance once it cools down.
+// Admins can pin an IP as blocked or allowed, which overrides the points.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const config = require('../config');
+
+const STATUSES = ['auto', 'blocked', 'allowed'];
+// Penalty points per failure; a block counts as bad straight away
+const PENALTIES = { PROXY_BLOCKED: config.IP_REPUTATION_BAD_SCORE, NAVIGATION_FAILED: 1 };
+// A successful launch takes this many points off
+const SUCCESS_CREDIT = 1;
+// Automatic entries are forgotten once they have decayed below this
+const FORGET_BELOW = 0.05;
+
+const reputationFilePath = path.resolve(config.IP_REPUTATION_FILE);
+const entriesByIp = new Map();
+
+/**
+ * Penalty after decay since the entry was last updated.
+ */
+function _decayedPenalty(entry, now = Date.now()) {
+    if (!entry.penalty) return 0;
+    const halfLives = (now - entry.penaltyAt) / config.IP_REPUTATION_HALF_LIFE_MS;
+    return entry.penalty * Math.pow(0.5, Math.max(halfLives, 0));
+}
+
+function _isBad(entry) {
+    if (entry.status !== 'auto') return entry.status === 'blocked';
+    return _decayedPenalty(entry) >= config.IP_REPUTATION_BAD_SCORE;
+}
+
+function _normaliseEntry(entry) {
+    return {
+        ip: entry.ip,
+        status: STATUSES.includes(entry.status) ? entry.status : 'auto',
+        note: entry.note || null,
+        penalty: Number(entry.penalty) || 0,
+        penaltyAt: entry.penaltyAt || Date.now(),
+        failures: entry.failures || 0,
+        successes: entry.successes || 0,
+        lastErrorCode: entry.lastErrorCode || null,
+        lastError: entry.lastError || null,
+        lastFailureAt: entry.lastFailureAt || null,
+        lastSeenAt: entry.lastSeenAt || null,
+        updatedAt: entry.updatedAt || new Date().toISOString()
+    };
+}
+
+function _load() {
+    entriesByIp.clear();
+    try {
+        const { ips = [] } = JSON.parse(fs.readFileSync(reputationFilePath, 'utf8'));
+        for (const entry of ips) {
+            if (net.isIP(entry.ip || '')) entriesByIp.set(entry.ip, _normaliseEntry(entry));
+        }
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`[IpReputation] Could not read ${reputationFilePath}: ${e.message}`);
+        }
+    }
+    console.log(`[IpReputation] Loaded ${entriesByIp.size} IP(s), ${Array.from(entriesByIp.values()).filter(_isBad).length} currently bad.`);
+}
+
+function _save() {
+    // Drop automatic entries that have cooled down completely
+    for (const [ip, entry] of entriesByIp) {
+        if (entry.status === 'auto' && _decayedPenalty(entry) < FORGET_BELOW) entriesByIp.delete(ip);
+    }
+    try {
+        const tmpPath = `${reputationFilePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ ips: Array.from(entriesByIp.values()) }, null, 2));
+        fs.renameSync(tmpPath, reputationFilePath);
+    } catch (e) {
+        // Losing an update only costs a relearn; never fail a launch over it
+        console.error(`[IpReputation] Could not write ${reputationFilePath}: ${e.message}`);
+    }
+}
+
+function _entry(ip) {
+    if (!entriesByIp.has(ip)) entriesByIp.set(ip, _normaliseEntry({ ip }));
+    return entriesByIp.get(ip);
+}
+
+/**
+ * Folds decay into the stored penalty before it changes.
+ */
+function _addPenalty(entry, points) {
+    const now = Date.now();
+    entry.penalty = Math.max(_decayedPenalty(entry, now) + points, 0);
+    entry.penaltyAt = now;
+    entry.updatedAt = new Date(now).toISOString();
+}
+
+/**
+ * Entry for API responses, with the current (decayed) penalty.
+ */
+function describeIp(entry) {
+    const { penaltyAt, ...rest } = entry;
+    return {
+        ...rest,
+        penalty: parseFloat(_decayedPenalty(entry).toFixed(2)),
+        bad: _isBad(entry),
+        lastFailureAt: entry.lastFailureAt ? new Date(entry.lastFailureAt).toISOString() : null,
+        lastSeenAt: entry.lastSeenAt ? new Date(entry.lastSeenAt).toISOString() : null
+    };
+}
+
+/**
+ * Why an exit IP should not be used, or null if it's fine.
+ * @param {string} ip
+ * @returns {string|null}
+ */
+function checkIp(ip) {
+    const entry = ip && entriesByIp.get(ip);
+    if (!entry || !_isBad(entry)) return null;
+    if (entry.status === 'blocked') return `blocked by an admin${entry.note ? ` (${entry.note})` : ''}`;
+    return `bad reputation (penalty ${_decayedPenalty(entry).toFixed(1)}, last: ${entry.lastErrorCode})`;
+}
+
+/**
+ * Records a failed launch through an IP. Only failures that point at the IP count.
+ * @param {string} ip
+ * @param {{errorCode: string, error?: string}} failure
+ * @returns {boolean} Whether the failure was counted
+ */
+function recordFailure(ip, { errorCode, error }) {
+    if (!ip || !PENALTIES[errorCode]) return false;
+    const entry = _entry(ip);
+    const wasBad = _isBad(entry);
+    _addPenalty(entry, PENALTIES[errorCode]);
+    Object.assign(entry, {
+        failures: entry.failures + 1,
+        lastErrorCode: errorCode,
+        lastError: error || null,
+        lastFailureAt: Date.now(),
+        lastSeenAt: Date.now()
+    });
+    if (!wasBad && _isBad(entry)) {
+        console.warn(`[IpReputation] ${ip} is now treated as bad (${errorCode}: ${error}).`);
+    }
+    _save();
+    return true;
+}
+
+/**
+ * Records a successful launch through an IP, which earns back some of its penalty.
+ * IPs without an entry aren't tracked.
+ * @param {string} ip
+ */
+function recordSuccess(ip) {
+    const entry = ip && entriesByIp.get(ip);
+    if (!entry) return;
+    _addPenalty(entry, -SUCCESS_CREDIT);
+    entry.successes++;
+    entry.lastSeenAt = Date.now();
+    _save();
+}
+
+/**
+ * Lists tracked IPs, worst first.
+ * @param {Object} [filter]
+ * @param {boolean} [filter.badOnly=false]
+ */
+function listIps({ badOnly = false } = {}) {
+    return Array.from(entriesByIp.values())
+        .map(describeIp)
+        .filter(entry => !badOnly || entry.bad)
+        .sort((a, b) => b.penalty - a.penalty);
+}
+
+function getIp(ip) {
+    const entry = entriesByIp.get(ip);
+    return entry ? describeIp(entry) : null;
+}
+
+/**
+ * Validates an IP and the fields supplied through the admin API.
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateIpInput(ip, { status, note, penalty }) {
+    if (!net.isIP(ip || '')) return `${ip} is not an IPv4 or IPv6 address.`;
+    if (status !== undefined && !STATUSES.includes(status)) return `status must be one of: ${STATUSES.join(', ')}.`;
+    if (note !== undefined && note !== null && typeof note !== 'string') return 'note must be a string.';
+    if (penalty !== undefined && (typeof penalty !== 'number' || penalty < 0)) return 'penalty must be a non-negative number.';
+    return null;
+}
+
+/**
+ * Pins an IP (blocked / allowed), hands it back to automatic tracking, or resets its penalty.
+ * @param {string} ip
+ * @param {Object} changes
+ * @param {'auto'|'blocked'|'allowed'} [changes.status]
+ * @param {string|null} [changes.note]
+ * @param {number} [changes.penalty] - New penalty, e.g. 0 to forgive an IP
+ * @returns {Object} The updated entry
+ */
+function updateIp(ip, { status, note, penalty }) {
+    const entry = _entry(ip);
+    if (status !== undefined) entry.status = status;
+    if (note !== undefined) entry.note = note;
+    if (penalty !== undefined) {
+        entry.penalty = penalty;
+        entry.penaltyAt = Date.now();
+    }
+    entry.updatedAt = new Date().toISOString();
+    const described = describeIp(entry);
+    _save();
+    return described;
+}
+
+/**
+ * Forgets an IP entirely.
+ * @returns {boolean} Whether the IP was tracked
+ */
+function deleteIp(ip) {
+    if (!entriesByIp.delete(ip)) return false;
+    _save();
+    return true;
+}
+
+_load();
+
+module.exports = {
+    checkIp,
+    recordFailure,
+    recordSuccess,
+    listIps,
+    getIp,
+    validateIpInput,
+    updateIp,
+    deleteIp
+};
@@ -0,0 +1,211 @@
+// services/jobManager.js
+//
+// Runs long booking operations in the background so the HTTP request can return a
+// job ID straight away. Callers poll GET /api/jobs/:id, or pass a callbackUrl to get
+// a signed webhook when the job finishes. Jobs live in this process only; the session
+// registry records which replica that is, so polls can be forwarded to it.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+const { errorFields } = require('../utils/bookingErrors');
+const sessionRegistry = require('./sessionRegistry');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_RETRY_BASE_MS = 2000;
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+const jobs = {};
+
+/**
+ * Creates a queued job.
+ * @param {string} type - Operation name, e.g. 'book-session'
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Session the job works on, if any
+ * @param {string} [options.callbackUrl] - URL to POST the signed completion webhook to
+ * @param {string[]} [options.logs] - Log array to adopt (so validation logs carry over)
+ * @param {string} [options.apiKeyId] - API key that created the job
+ * @returns {Object} The job record
+ */
+function createJob(type, { sessionId = null, callbackUrl = null, logs = [], apiKeyId = null } = {}) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        state: 'queued',
+        sessionId,
+        apiKeyId,
+        callbackUrl,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        steps: [],
+        logs,
+        httpStatus: null,
+        result: null,
+        error: null,
+        errorCode: null,
+        retryable: null,
+        webhook: callbackUrl ? { state: 'pending', attempts: 0, lastError: null } : null
+    };
+    jobs[job.id] = job;
+    sessionRegistry.registerJob(job.id);
+    return job;
+}
+
+/**
+ * Returns the stored job record, or null if it doesn't exist (or was pruned).
+ * @param {string} jobId
+ */
+function getJob(jobId) {
+    return jobs[jobId] || null;
+}
+
+/**
+ * Public view of a job for API responses and webhooks.
+ * @param {Object} job - Job record
+ * @param {Object} [options]
+ * @param {boolean} [options.includeLogs=true] - Include the captured log lines
+ */
+function describeJob(job, { includeLogs = true } = {}) {
+    const now = Date.now();
+    const description = {
+        jobId: job.id,
+        type: job.type,
+        state: job.state,
+        sessionId: job.sessionId,
+        createdAt: new Date(job.createdAt).toISOString(),
+        startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+        finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+        queuedMs: (job.startedAt || now) - job.createdAt,
+        durationMs: job.startedAt ? (job.finishedAt || now) - job.startedAt : null,
+        steps: job.steps.map(step => ({
+            name: step.name,
+            startedAt: new Date(step.startedAt).toISOString(),
+            durationMs: (step.finishedAt || now) - step.startedAt,
+            done: Boolean(step.finishedAt)
+        })),
+        httpStatus: job.httpStatus,
+        result: job.result,
+        error: job.error,
+        errorCode: job.errorCode,
+        retryable: job.retryable,
+        webhook: job.webhook
+    };
+    if (includeLogs) description.logs = job.logs;
+    return description;
+}
+
+/**
+ * Signs a webhook body. Receivers recompute
+ * HMAC-SHA256(WEBHOOK_SECRET, `${timestamp}.${rawBody}`) and compare it with the signature header.
+ * @param {string} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+function signWebhook(timestamp, body) {
+    const digest = crypto.createHmac('sha256', config.WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * POSTs the job outcome to its callback URL, retrying with backoff.
+ * @param {Object} job - Finished job record
+ */
+async function _sendWebhook(job) {
+    const event = job.state === 'succeeded' ? 'job.succeeded' : 'job.failed';
+    const body = JSON.stringify({ event, job: describeJob(job, { includeLogs: false }) });
+
+    while (job.webhook.attempts < config.WEBHOOK_MAX_ATTEMPTS) {
+        job.webhook.attempts++;
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        try {
+            await axios.post(job.callbackUrl, body, {
+                timeout: WEBHOOK_TIMEOUT_MS,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Event': event,
+                    'X-Webhook-Id': job.id,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': signWebhook(timestamp, body)
+                }
+            });
+            job.webhook.state = 'delivered';
+            console.log(`[Jobs] Webhook ${event} for job ${job.id} delivered (attempt ${job.webhook.attempts}).`);
+            return;
+        } catch (e) {
+            job.webhook.lastError = e.response ? `Status code ${e.response.status}` : e.message;
+            console.warn(`[Jobs] Webhook for job ${job.id} failed (attempt ${job.webhook.attempts}/${config.WEBHOOK_MAX_ATTEMPTS}): ${job.webhook.lastError}`);
+            if (job.webhook.attempts < config.WEBHOOK_MAX_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_BASE_MS * Math.pow(2, job.webhook.attempts - 1)));
+            }
+        }
+    }
+    job.webhook.state = 'failed';
+}
+
+/**
+ * Runs the job's work in the background. The work function receives a `step(name)`
+ * callback that closes the current step and opens a new one, and resolves to the
+ * { status, body } the synchronous endpoint would have responded with.
+ * @param {Object} job - Job from createJob
+ * @param {(step: Function) => Promise<{status: number, body: Object}>} work
+ * @returns {Promise<void>} Resolves once the job (and its webhook) has finished
+ */
+async function runJob(job, work) {
+    const step = (name) => {
+        const now = Date.now();
+        const current = job.steps[job.steps.length - 1];
+        if (current && !current.finishedAt) current.finishedAt = now;
+        if (name) job.steps.push({ name, startedAt: now, finishedAt: null });
+    };
+
+    job.state = 'running';
+    job.startedAt = Date.now();
+    console.log(`[Jobs] Job ${job.id} (${job.type}) started.`);
+
+    try {
+        const { status, body } = await work(step);
+        job.httpStatus = status;
+        job.result = body;
+        job.state = status < 400 && body.success !== false ? 'succeeded' : 'failed';
+        if (job.state === 'failed') {
+            job.error = body.error || body.message || 'Unknown error';
+            Object.assign(job, errorFields(body));
+        }
+    } catch (error) {
+        job.httpStatus = 500;
+        job.state = 'failed';
+        job.error = `Unexpected error: ${error.message || error}`;
+        Object.assign(job, errorFields({ errorCode: 'INTERNAL_ERROR' }));
+        job.logs.push(`FATAL ERROR in job ${job.id}: ${job.error}`);
+        console.error(`[Jobs] Job ${job.id} threw:`, error);
+    }
+
+    step(null);
+    job.finishedAt = Date.now();
+    console.log(`[Jobs] Job ${job.id} (${job.type}) ${job.state} in ${((job.finishedAt - job.startedAt) / 1000).toFixed(2)}s.`);
+
+    if (job.callbackUrl) {
+        await _sendWebhook(job);
+    }
+}
+
+// Forget finished jobs once callers have had time to collect them
+const pruneInterval = setInterval(() => {
+    const cutoff = Date.now() - config.JOB_RETENTION_MS;
+    for (const [jobId, job] of Object.entries(jobs)) {
+        if (job.finishedAt && job.finishedAt < cutoff) {
+            delete jobs[jobId];
+            sessionRegistry.removeJob(jobId);
+        }
+    }
+}, PRUNE_INTERVAL_MS);
+pruneInterval.unref();
+
+module.exports = {
+    createJob,
+    getJob,
+    describeJob,
+    runJob,
+    signWebhook
+};
@@ -1,3 +1,8 @@
+const { normalizePhone, fillPhoneField } = require('../utils/phoneUtils');
+const { answerCustomQuestions } = require('./formQuestions');
+const { addGuests } = require('./formGuests');
+const { bookingFailure, codedError, errorFields } = require('../utils/bookingErrors');
+
 // Re-implement helper functions here for now, or move to a shared utils file later
 // Helper function for more efficient form filling
 async function fastFill(page, selector, text) {
@@ -106,9 +111,13 @@ async function fastFill(page, selector, text) {
    * @param {string} email - The email to fill in the form
    * @param {string} phone - The phone number to fill in the form
    * @param {Function} logCapture - Function to capture logs
-   * @returns {Promise<{success: boolean, error?: string, navigationTime?: number, totalTime?: number}>} - Result object
+   * @param {Object} [options]
+   * @param {Object} [options.answers] - Custom question answers keyed by label or 1-based position (see formQuestions.js)
+   * @param {string[]} [options.guests] - Guest emails to add through "Add Guests"
+   * @param {string} [options.notes] - Invitee notes for the form's notes question
+   * @returns {Promise<{success: boolean, error?: string, navigationTime?: number, totalTime?: number, phone?: Object, guests?: Object, questions?: Object}>} - Result object (phone: see fillPhoneField)
    */
-  async function prepareBooking(page, bookingUrl, name, email, phone, logCapture = console.log) {
+  async function prepareBooking(page, bookingUrl, name, email, phone, logCapture = console.log, { answers = {}, guests = [], notes } = {}) {
     logCapture('[PredictiveBooking] Starting preparation process for URL: ' + bookingUrl);
     const startTime = Date.now();
   
@@ -122,7 +131,7 @@ async function fastFill(page, selector, text) {
       
       if (!response || !response.ok()) {
           const status = response ? response.status() : 'unknown';
-          throw new Error(`Failed to navigate to booking URL. Status: ${status}`);
+          throw codedError([403, 429].includes(status) ? 'PROXY_BLOCKED' : 'NAVIGATION_FAILED', `Failed to navigate to booking URL. Status: ${status}`);
       }
       
       const navigationTime = (Date.now() - startTime) / 1000;
@@ -170,7 +179,7 @@ async function fastFill(page, selector, text) {
           logCapture('[PredictiveBooking] Form container found.');
       } catch (e) {
           logCapture(`[PredictiveBooking] ❌ Error waiting for form container: ${e.message}`);
-          return { success: false, error: `Failed to find form container: ${e.message}` };
+          return bookingFailure('FORM_NOT_FOUND', `Failed to find form container: ${e.message}`);
       }
   
       // *** PARALLEL FIELD FINDING ***
@@ -198,12 +207,13 @@ async function fastFill(page, selector, text) {
       } catch (error) {
           // Error is thrown by findFieldWithRetry if retries fail for either field
           logCapture(`[PredictiveBooking] Failed to find required fields in parallel: ${error.message}`);
-          return { success: false, error: `Failed parallel field find: ${error.message}` };
+          return bookingFailure('FORM_NOT_FOUND', `Failed parallel field find: ${error.message}`);
       }
       
       // --- *** REVISED Phone Field Handling (Quick Label Check First) *** ---
       logCapture('[PredictiveBooking] Starting improved phone field detection...');
       let phoneFilled = false;
+      let phoneReport = null;
       const phoneSelectorType = 'input[type="tel"]'; // Use type selector for stability
       
       // STEP 1: Quick check for phone label or container (500ms)
@@ -273,25 +283,52 @@ async function fastFill(page, selector, text) {
   
           // Fill the field if it was found in any stage
           if (phoneElement) {
+              const normalizedPhone = normalizePhone(phone);
+              if (!normalizedPhone.valid) {
+                  throw codedError('VALIDATION_ERROR', normalizedPhone.error);
+              }
               try {
-                  // Use the supplied phone number, not hardcoded
-                  logCapture(`[PredictiveBooking] Filling phone number: ${phone}`);
-                  // Use the stable selector 'phoneSelectorType' for filling
-                  await page.focus(phoneSelectorType);
-                  await page.click(phoneSelectorType, { clickCount: 3 });
-                  await page.keyboard.press('Backspace');
-                  await page.fill(phoneSelectorType, phone); 
-                  logCapture('[PredictiveBooking] Phone field filled.');
-                  phoneFilled = true;
+                  logCapture(`[PredictiveBooking] Filling phone number: ${normalizedPhone.e164} (${normalizedPhone.country})`);
+                  phoneReport = await fillPhoneField(page, normalizedPhone, message => logCapture(`[PredictiveBooking] ${message}`));
+                  phoneFilled = phoneReport.verified;
               } catch (fillError) {
                   logCapture(`[PredictiveBooking] ⚠️ Error filling phone field even after finding it: ${fillError.message}`);
-                  // Continue without phone if filling fails
+              }
+              // A prepared form with the wrong number must never be submitted later
+              if (!phoneFilled) {
+                  throw codedError('INVALID_FORM_INPUT', `Phone field could not be set to ${normalizedPhone.e164}`);
               }
           }
       } else {
           logCapture('[PredictiveBooking] Skipping phone field search and fill (no label detected).');
       }
       // --- *** END REVISED Phone Field Handling *** ---
+
+      // --- Guests ---
+      let guestReport = null;
+      if (guests.length > 0) {
+          guestReport = await addGuests(page, guests, message => logCapture(`[PredictiveBooking] ${message}`));
+          if (!guestReport.verified) {
+              return {
+                  ...bookingFailure('INVALID_FORM_INPUT', guestReport.error),
+                  guests: guestReport,
+                  totalTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+              };
+          }
+      }
+
+      // --- Custom Questions (and notes) ---
+      logCapture('[PredictiveBooking] Checking for custom questions...');
+      const questionResult = await answerCustomQuestions(page, answers, message => logCapture(`[PredictiveBooking] ${message}`), { notes });
+      const questionReport = { answered: questionResult.answered, unansweredRequired: questionResult.unansweredRequired };
+      if (!questionResult.success) {
+          return {
+              ...bookingFailure('INVALID_FORM_INPUT', questionResult.error),
+              guests: guestReport,
+              questions: questionReport,
+              totalTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+          };
+      }
   
       // Look for submit button without clicking it (just to verify form is complete)
       logCapture('[PredictiveBooking] Verifying submit button exists but NOT clicking it...');
@@ -336,6 +373,9 @@ async function fastFill(page, selector, text) {
           navigationTime: parseFloat(navigationTime.toFixed(2)),
           formFilled: true,
           formReady: submitButtonExists,
+          phone: phoneReport,
+          guests: guestReport,
+          questions: questionReport,
           totalTime: parseFloat(totalTime.toFixed(2))
       };
   
@@ -344,9 +384,61 @@ async function fastFill(page, selector, text) {
       return { 
           success: false, 
           error: `Error in predictiveBookingService: ${error.message}`,
+          ...errorFields(error),
           totalTime: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
       };
     }
   }
   
-  module.exports = { prepareBooking };
\ No newline at end of file
+  /**
+   * Checks a form prepared by prepareBooking is still there and filled in, without touching it.
+   *
+   * @param {import('playwright').Page} page - The Playwright page object
+   * @param {Object} expected
+   * @param {string} expected.bookingUrl - The slot the form was prepared for
+   * @param {string} expected.name - Name that was filled in
+   * @param {string} expected.email - Email that was filled in
+   * @param {boolean} [expected.phone=false] - Whether a phone number was filled in
+   * @param {Function} logCapture - Function to capture logs
+   * @returns {Promise<{fresh: boolean, problems: string[]}>} problems says what was wrong (empty when fresh)
+   */
+  async function checkPreparedForm(page, { bookingUrl, name, email, phone = false }, logCapture = console.log) {
+    if (!page || page.isClosed()) {
+      return { fresh: false, problems: ['page is closed'] };
+    }
+    const problems = [];
+    try {
+      const path = url => decodeURIComponent(new URL(url).pathname).replace(/\/+$/, '');
+      if (path(page.url()) !== path(bookingUrl)) {
+        problems.push(`page has left the booking URL (now ${page.url()})`);
+      }
+      const state = await Promise.race([
+        page.evaluate(() => {
+          const value = selector => (document.querySelector(selector) ? document.querySelector(selector).value : null);
+          return {
+            form: Boolean(document.querySelector('form')),
+            name: value('#full_name_input'),
+            email: value('#email_input'),
+            phone: value('input[type="tel"]'),
+            submit: Boolean(document.querySelector('button[type="submit"]')),
+            unavailable: /no longer available|time is unavailable|select another time/i.test(document.body ? document.body.innerText : '')
+          };
+        }),
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error('page did not respond within 10s')), 10000).unref())
+      ]);
+      if (!state.form) problems.push('form is gone');
+      if (state.unavailable) problems.push('page says the time is no longer available');
+      if (state.form && state.name !== name) problems.push('name field no longer holds the invitee name');
+      if (state.form && state.email !== email) problems.push('email field no longer holds the invitee email');
+      if (state.form && phone && !state.phone) problems.push('phone field is empty');
+      if (state.form && !state.submit) problems.push('submit button is gone');
+    } catch (error) {
+      problems.push(`page check failed: ${error.message}`);
+    }
+    if (problems.length) {
+      logCapture(`[PredictiveBooking] Prepared form is stale: ${problems.join('; ')}`);
+    }
+    return { fresh: problems.length === 0, problems };
+  }
+
+  module.exports = { prepareBooking, checkPreparedForm };
\ No newline at end of file
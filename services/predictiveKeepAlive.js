@@ -0,0 +1,141 @@
+// services/predictiveKeepAlive.js
+//
+// Keeps prepared predictive forms bookable while the lead decides. Every
+// PREDICTIVE_KEEPALIVE_MS each group's slots are looked up and each prepared page is
+// checked (form still there and filled in). Stale forms are prepared again; options
+// whose slot has gone are flagged so completing them fails fast with SLOT_TAKEN.
+
+const { DateTime } = require('luxon');
+const config = require('../config');
+const { activeSessions, listPredictiveGroups, getPredictiveGroup, refillPredictiveOption } = require('../sessionManager');
+const { getAvailability } = require('./availabilityService');
+const { checkPreparedForm } = require('./predictiveBookingService');
+const { ERROR_CODES } = require('../utils/bookingErrors');
+
+// Re-preparations in a row before an option is left not-ready
+const MAX_CONSECUTIVE_REFILLS = 3;
+// Zone for the lookup window's days when no option browser is live (the API's default).
+// Slots are compared by instant and the window is padded by a day, so the zone only picks the days.
+const DEFAULT_LOOKUP_TIMEZONE = 'America/Los_Angeles';
+
+let running = false;
+
+/**
+ * Start times (ms) of the open slots around a group's options, or null when they
+ * couldn't be read (freshness then only covers the pages).
+ */
+async function _openSlots(group, logCapture) {
+    const starts = group.options
+        .map(option => DateTime.fromISO(option.startTime || '', { setZone: true }))
+        .filter(start => start.isValid);
+    if (!starts.length) return null;
+    // Days as the group's browsers see them (each session's zone follows its exit IP)
+    const browser = group.options.map(option => activeSessions[option.sessionId]).find(session => session?.fingerprint?.timezone);
+    const timezone = browser ? browser.fingerprint.timezone : DEFAULT_LOOKUP_TIMEZONE;
+    const from = DateTime.min(...starts).setZone(timezone).minus({ days: 1 }).toISODate();
+    const to = DateTime.max(...starts).setZone(timezone).plus({ days: 1 }).toISODate();
+    const availability = await getAvailability(group.baseUrl, { from, to, timezone }, logCapture);
+    if (!availability.success) {
+        logCapture(`[KeepAlive] ⚠️ Could not check slots for ${group.masterSessionId} (${availability.error}).`);
+        return null;
+    }
+    return new Set(availability.slots.map(slot => DateTime.fromISO(slot.start).toMillis()));
+}
+
+/**
+ * Checks one option and prepares its form again if it has gone stale.
+ * @returns {Promise<void>} Results are stored on option.freshness
+ */
+async function _checkOption(group, option, open, logCapture) {
+    const session = option.sessionId && activeSessions[option.sessionId];
+    if (!session || !['prepared', 'not-ready'].includes(option.state)) return;
+
+    const { slotId } = option;
+    const previous = option.freshness || { refills: 0, consecutiveRefills: 0, lastRefillAt: null };
+    const freshness = {
+        checkedAt: new Date().toISOString(),
+        fresh: false,
+        slotOffered: open ? open.has(DateTime.fromISO(option.startTime, { setZone: true }).toMillis()) : null,
+        problems: [],
+        refilled: false,
+        refills: previous.refills,
+        consecutiveRefills: previous.consecutiveRefills,
+        lastRefillAt: previous.lastRefillAt
+    };
+
+    if (freshness.slotOffered === false) {
+        // Nothing to re-prepare: the form would book a time that is gone
+        freshness.problems.push('slot is no longer offered');
+        logCapture(`[KeepAlive] Option ${option.rank} (${slotId}) of ${group.masterSessionId}: ${option.startTime} is no longer offered.`);
+    } else {
+        const { name, email } = group.clientInfo;
+        const check = option.state === 'prepared'
+            ? await checkPreparedForm(session.page, { bookingUrl: option.bookingUrl, name, email, phone: Boolean(option.prepResult?.phone) }, logCapture)
+            : { fresh: false, problems: [`form was not prepared: ${option.error}`] };
+        Object.assign(freshness, { fresh: check.fresh, problems: check.problems });
+
+        // The option may have been booked, re-pointed or dropped during the check
+        const idle = option.slotId === slotId && ['prepared', 'not-ready'].includes(option.state) && activeSessions[option.sessionId];
+        const worthRetrying = option.state === 'prepared' || ERROR_CODES[option.errorCode]?.retryable;
+        if (check.fresh) {
+            freshness.consecutiveRefills = 0;
+        } else if (idle && worthRetrying && freshness.consecutiveRefills < MAX_CONSECUTIVE_REFILLS) {
+            await refillPredictiveOption(group, option, logCapture);
+            Object.assign(freshness, {
+                fresh: option.state === 'prepared',
+                refilled: true,
+                refills: freshness.refills + 1,
+                consecutiveRefills: option.state === 'prepared' ? 0 : freshness.consecutiveRefills + 1,
+                lastRefillAt: new Date().toISOString()
+            });
+            logCapture(`[KeepAlive] Option ${option.rank} (${slotId}) of ${group.masterSessionId} re-prepared: ${option.state}.`);
+        }
+    }
+
+    if (option.slotId === slotId) option.freshness = freshness;
+}
+
+/**
+ * Checks every option of a group now (also run by the keep-alive timer).
+ * @param {string} masterSessionId
+ * @param {Function} [logCapture=console.log]
+ * @returns {Promise<boolean>} false when the group doesn't exist here
+ */
+async function checkPredictiveGroup(masterSessionId, logCapture = console.log) {
+    const group = getPredictiveGroup(masterSessionId);
+    if (!group) return false;
+    if (group.options.some(option => ['booked', 'submitting'].includes(option.state))) return true;
+
+    const open = await _openSlots(group, logCapture);
+    for (const option of [...group.options]) {
+        await _checkOption(group, option, open, logCapture);
+    }
+    return true;
+}
+
+/**
+ * One keep-alive round over every predictive group. Rounds never overlap.
+ * @param {Function} [logCapture=console.log]
+ */
+async function runKeepAlive(logCapture = console.log) {
+    if (running) return;
+    running = true;
+    try {
+        for (const group of listPredictiveGroups()) {
+            await checkPredictiveGroup(group.masterSessionId, logCapture)
+                .catch(e => console.error(`[KeepAlive] Check of ${group.masterSessionId} failed: ${e.message}`));
+        }
+    } finally {
+        running = false;
+    }
+}
+
+if (config.PREDICTIVE_KEEPALIVE_MS > 0) {
+    const keepAliveInterval = setInterval(() => runKeepAlive(), config.PREDICTIVE_KEEPALIVE_MS);
+    keepAliveInterval.unref();
+}
+
+module.exports = {
+    checkPredictiveGroup,
+    runKeepAlive
+};
@@ -0,0 +1,205 @@
+// services/schedulingApiClient.js
+//
+// Thin HTTP client for the public scheduling endpoints the Calendly booking page
+// itself calls. Requests go through the proxy manager's proxies, like the browser sessions.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+const { createProxyAgent } = require('../utils/proxyConfig');
+const proxyManager = require('./proxyManager');
+
+const { buildProfile, profileHeaders, DEFAULT_PROFILE_NAME } = require('../utils/fingerprintProfiles');
+
+// Clients without a session present as the default profile
+const DEFAULT_FINGERPRINT = buildProfile(DEFAULT_PROFILE_NAME);
+
+/**
+ * Splits a Calendly booking URL into its profile slug, event type slug and slot start time.
+ * Works for base URLs too (startTime is then null).
+ * @param {string} url - e.g. https://calendly.com/zachderhake/30min/2025-04-11T10:30:00-07:00?month=2025-04
+ * @returns {{profileSlug: string, eventTypeSlug: string, startTime: string|null}|null} Null if the URL isn't a Calendly event URL
+ */
+function parseEventUrl(url) {
+    try {
+        const segments = new URL(url).pathname.split('/').filter(Boolean);
+        if (segments.length < 2) return null;
+        const startTime = segments[2] && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(segments[2])
+            ? decodeURIComponent(segments[2])
+            : null;
+        return { profileSlug: segments[0], eventTypeSlug: segments[1], startTime };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Creates an axios instance for the scheduling endpoints, proxied when configured.
+ * @param {Function} [logCapture=console.log] Logging function
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Use this session's proxy (sticky) and fingerprint profile, if it has them
+ * @returns {import('axios').AxiosInstance}
+ */
+function createClient(logCapture = console.log, { sessionId } = {}) {
+    // Required here: sessionManager requires this module
+    const session = sessionId && require('../sessionManager').activeSessions[sessionId];
+    const options = {
+        baseURL: config.CALENDLY_API_BASE,
+        timeout: config.CALENDLY_API_TIMEOUT_MS,
+        headers: {
+            ...profileHeaders(session?.fingerprint || DEFAULT_FINGERPRINT),
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+        },
+        proxy: false // axios' own proxy handling is replaced by the agent below
+    };
+
+    // Requests for a session go out through that session's proxy
+    const proxy = config.CALENDLY_API_USE_PROXY
+        ? (sessionId && proxyManager.proxyForSession(sessionId)) || proxyManager.acquireProxy()
+        : null;
+    if (proxy) {
+        const agent = createProxyAgent(proxy.settings);
+        options.httpsAgent = agent;
+        options.httpAgent = agent;
+        logCapture(`[SchedulingApi] Using proxy: ${proxy.endpointId}${sessionId ? ` (session ${sessionId})` : ''}`);
+    } else {
+        logCapture(`[SchedulingApi] Connecting directly to ${config.CALENDLY_API_BASE} (no proxy).`);
+    }
+
+    return axios.create(options);
+}
+
+/**
+ * Creates a client with the same get/post interface as createClient, but whose requests
+ * run inside a warm browser page via fetch, so they carry that session's cookies, proxy
+ * and fingerprint. Requests go to the origin the page is currently on.
+ * @param {import('playwright').Page} page - Page already on a Calendly URL
+ * @returns {{get: Function, post: Function}}
+ */
+function createPageClient(page) {
+    const request = async (method, path, { params, data } = {}) => {
+        const url = new URL(path, page.url());
+        Object.entries(params || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        const response = await page.evaluate(async ({ url, method, body }) => {
+            const res = await fetch(url, {
+                method,
+                credentials: 'include',
+                headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+                body
+            });
+            return { status: res.status, text: await res.text() };
+        }, { url: url.toString(), method, body: data ? JSON.stringify(data) : undefined });
+
+        let body = response.text;
+        try { body = JSON.parse(response.text); } catch (e) { /* Leave non-JSON bodies as text */ }
+
+        if (response.status < 200 || response.status >= 300) {
+            // Same shape as an axios error so describeApiError works for both clients
+            const error = new Error(`Request failed with status code ${response.status}`);
+            error.response = { status: response.status, data: body };
+            throw error;
+        }
+        return { status: response.status, data: body };
+    };
+
+    return {
+        get: (path, options) => request('GET', path, options),
+        post: (path, data, options) => request('POST', path, { ...options, data })
+    };
+}
+
+/**
+ * Turns an axios error into a readable message including the HTTP status and API error text.
+ * @param {Error} error - Error thrown by axios
+ * @returns {string}
+ */
+function describeApiError(error) {
+    if (error.response) {
+        const data = error.response.data || {};
+        const detail = data.message || data.title || (Array.isArray(data.errors) ? data.errors.map(e => e.message || e).join(', ') : '');
+        return `Status code ${error.response.status}${detail ? `: ${detail}` : ''}`;
+    }
+    return error.message;
+}
+
+/**
+ * Looks up an event type by its public slugs.
+ * @param {import('axios').AxiosInstance} client - Client from createClient
+ * @param {string} profileSlug - e.g. "zachderhake"
+ * @param {string} eventTypeSlug - e.g. "30min"
+ * @returns {Promise<Object>} Event type, including uuid, scheduling_link uuid, locations and custom_fields
+ */
+async function lookupEventType(client, profileSlug, eventTypeSlug) {
+    const response = await client.get('/api/booking/event_types/lookup', {
+        params: { event_type_slug: eventTypeSlug, profile_slug: profileSlug }
+    });
+    return response.data;
+}
+
+/**
+ * Fetches bookable days and spots for an event type.
+ * @param {import('axios').AxiosInstance} client - Client from createClient
+ * @param {string} eventTypeUuid - Event type uuid from lookupEventType
+ * @param {Object} range
+ * @param {string} range.timezone - IANA timezone the spots should be expressed in
+ * @param {string} range.rangeStart - First day, yyyy-MM-dd
+ * @param {string} range.rangeEnd - Last day, yyyy-MM-dd
+ * @returns {Promise<Object>} { days: [{ date, status, spots: [{ status, start_time }] }] }
+ */
+async function getCalendarRange(client, eventTypeUuid, { timezone, rangeStart, rangeEnd }) {
+    const response = await client.get(`/api/booking/event_types/${eventTypeUuid}/calendar/range`, {
+        params: { timezone, diagnostics: false, range_start: rangeStart, range_end: rangeEnd }
+    });
+    return response.data;
+}
+
+/**
+ * Books a spot by creating an invitee.
+ * @param {import('axios').AxiosInstance} client - Client from createClient
+ * @param {Object} eventType - Event type from lookupEventType
+ * @param {Object} booking
+ * @param {string} booking.startTime - Slot start, ISO 8601
+ * @param {string} booking.name - Invitee full name
+ * @param {string} booking.email - Invitee email
+ * @param {string} booking.timezone - Invitee timezone
+ * @param {Object} [booking.locationConfiguration] - Location answer (e.g. phone number for call events)
+ * @param {string[]} [booking.guests] - Guest emails
+ * @param {Array<{name: string, format: string, value: string}>} [booking.eventFields] - Custom question answers
+ * @returns {Promise<Object>} The created invitee, including its event
+ */
+async function createInvitee(client, eventType, { startTime, name, email, timezone, locationConfiguration, guests = [], eventFields = [] }) {
+    const payload = {
+        event_type_uuid: eventType.uuid,
+        scheduling_link_uuid: eventType.scheduling_link?.uid || eventType.scheduling_link_uuid || null,
+        event: {
+            start_time: new Date(startTime).toISOString(),
+            location_configuration: locationConfiguration || { location: '', phone_number: '', additional_info: '' },
+            // Guests are sent keyed by their position, as the booking page does
+            guests: Object.fromEntries(guests.map((guest, index) => [String(index), guest]))
+        },
+        event_fields: eventFields,
+        invitee: {
+            full_name: name,
+            email,
+            timezone,
+            time_notation: '12h'
+        },
+        payment_token: {},
+        tracking: { fingerprint: crypto.randomBytes(16).toString('hex') },
+        locale: 'en'
+    };
+    const response = await client.post('/api/booking/invitees', payload);
+    return response.data;
+}
+
+module.exports = {
+    parseEventUrl,
+    createClient,
+    createPageClient,
+    describeApiError,
+    lookupEventType,
+    getCalendarRange,
+    createInvitee
+};
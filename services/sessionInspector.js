@@ -0,0 +1,90 @@
+// services/sessionInspector.js
+//
+// Read-only views of the browser sessions this process holds, for the admin routes:
+// what each session is doing, and a screenshot or HTML snapshot of its page. Inspecting
+// a session never counts as activity, so it doesn't keep an idle session alive.
+
+const { activeSessions } = require('../sessionManager');
+const { bookingFailure } = require('../utils/bookingErrors');
+
+const SNAPSHOT_TIMEOUT_MS = 15000;
+
+/**
+ * Summary of one session.
+ * @param {string} sessionId - Session identifier
+ * @returns {Object|null} Null when the session isn't held by this process
+ */
+function describeSession(sessionId) {
+    const session = activeSessions[sessionId];
+    if (!session) return null;
+    const now = Date.now();
+    const pageClosed = !session.page || session.page.isClosed();
+    return {
+        sessionId,
+        baseUrl: session.baseUrl,
+        pageUrl: pageClosed ? null : session.page.url(),
+        pageClosed,
+        browserConnected: Boolean(session.browser && session.browser.isConnected()),
+        createdAt: new Date(session.startTime).toISOString(),
+        ageSeconds: Math.round((now - session.startTime) / 1000),
+        lastActiveAt: new Date(session.lastActiveTime).toISOString(),
+        idleSeconds: Math.round((now - session.lastActiveTime) / 1000),
+        proxyIp: session.proxyIp || null,
+        proxyEndpointId: session.proxyEndpointId || null,
+        fingerprint: session.fingerprint?.name || null,
+        timezone: session.fingerprint?.timezone || null,
+        locale: session.fingerprint?.locale || null,
+        fromPool: Boolean(session.fromPool),
+        masterSessionId: session.masterSessionId || null,
+        predictiveSlotId: session.predictiveSlotId || null,
+        bookingUrl: session.bookingUrl || null,
+        formReady: session.masterSessionId ? Boolean(session.formReady) : null
+    };
+}
+
+/**
+ * Summaries of every session held by this process, oldest first.
+ * @returns {Object[]}
+ */
+function listSessionSummaries() {
+    return Object.keys(activeSessions)
+        .map(describeSession)
+        .sort((a, b) => a.ageSeconds < b.ageSeconds ? 1 : -1);
+}
+
+/**
+ * Captures a session's page as it is now.
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [options]
+ * @param {'png'|'html'} [options.format='png'] - Screenshot or HTML
+ * @param {boolean} [options.fullPage=false] - Screenshot the whole page, not just the viewport
+ * @returns {Promise<{success: boolean, url?: string, capturedAt?: string, png?: Buffer, html?: string, error?: string, errorCode?: string, retryable?: boolean}>}
+ */
+async function snapshotSession(sessionId, { format = 'png', fullPage = false } = {}) {
+    const session = activeSessions[sessionId];
+    if (!session) {
+        return bookingFailure('SESSION_NOT_FOUND', `Session ${sessionId} not found or has expired.`);
+    }
+    const { page } = session;
+    if (!page || page.isClosed()) {
+        return bookingFailure('SESSION_LOST', `Session ${sessionId}'s page is closed.`);
+    }
+
+    const timeout = new Promise((resolve, reject) =>
+        setTimeout(() => reject(new Error(`page did not respond within ${SNAPSHOT_TIMEOUT_MS / 1000}s`)), SNAPSHOT_TIMEOUT_MS).unref());
+    try {
+        const capture = format === 'html'
+            ? page.content().then(html => ({ html }))
+            : page.screenshot({ type: 'png', fullPage, timeout: SNAPSHOT_TIMEOUT_MS }).then(png => ({ png }));
+        const snapshot = await Promise.race([capture, timeout]);
+        return { success: true, url: page.url(), capturedAt: new Date().toISOString(), ...snapshot };
+    } catch (error) {
+        return bookingFailure('UPSTREAM_ERROR', `Could not capture session ${sessionId}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    describeSession,
+    listSessionSummaries,
+    snapshotSession
+};
@@ -0,0 +1,310 @@
+// services/sessionRegistry.js
+//
+// Shared registry of session metadata. The browsers themselves only live in the
+// owning process (activeSessions in sessionManager.js); this registry records who
+// owns each session so a restart or another replica can tell where it went.
+// Background jobs (jobManager.js) are in-process too, so their owners are kept
+// alongside, in a separate store on the same backend.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+
+// Identity of this process. Keep INSTANCE_ID stable across restarts so that
+// records left behind by a crash can be recognised and marked orphaned.
+const INSTANCE_ID = config.INSTANCE_ID || `${os.hostname()}:${process.env.PORT || 3000}`;
+const INSTANCE_URL = config.INSTANCE_URL || null;
+
+// A record whose owner hasn't refreshed it for this long is treated as abandoned
+const STALE_AFTER_MS = config.SESSION_REGISTRY_HEARTBEAT_MS * 3;
+
+// --- Adapters ---
+// Every adapter exposes the same async interface: get, set, remove, list.
+
+/**
+ * Keeps records in process memory. Only useful for a single replica.
+ */
+function createMemoryAdapter() {
+    const records = new Map();
+    return {
+        name: 'memory',
+        async get(sessionId) { return records.get(sessionId) || null; },
+        async set(sessionId, record) { records.set(sessionId, record); },
+        async remove(sessionId) { records.delete(sessionId); },
+        async list() { return Array.from(records.values()); }
+    };
+}
+
+/**
+ * Persists records to a JSON file so they survive a restart. The file is re-read on
+ * every call, so replicas on the same host can share it; writes go to a temp file
+ * first and are renamed into place.
+ * @param {string} filePath - Path of the JSON file
+ */
+function createFileAdapter(filePath) {
+    const resolvedPath = path.resolve(filePath);
+
+    const load = () => {
+        try {
+            return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.warn(`[SessionRegistry] Could not read ${resolvedPath}, treating as empty: ${e.message}`);
+            }
+            return {};
+        }
+    };
+
+    // Serialise read-modify-write cycles so this process never interleaves its own updates
+    let writeChain = Promise.resolve();
+    const modify = (mutate) => {
+        writeChain = writeChain.then(async () => {
+            const records = load();
+            mutate(records);
+            const tmpPath = `${resolvedPath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(records, null, 2));
+            await fs.promises.rename(tmpPath, resolvedPath);
+        }).catch(e => console.warn(`[SessionRegistry] Failed to write ${resolvedPath}: ${e.message}`));
+        return writeChain;
+    };
+
+    return {
+        name: 'file',
+        async get(sessionId) { return load()[sessionId] || null; },
+        async set(sessionId, record) { await modify(records => { records[sessionId] = record; }); },
+        async remove(sessionId) { await modify(records => { delete records[sessionId]; }); },
+        async list() { return Object.values(load()); }
+    };
+}
+
+/**
+ * Stores records in a Redis hash, shared by every replica pointing at the same server.
+ * Works with any server speaking the Redis protocol (Redis, Valkey, KeyDB...).
+ * @param {string} redisUrl - Connection URL, e.g. redis://localhost:6379
+ * @param {string} [hashKey='calendly:sessions'] - Hash holding one field per session
+ */
+function createRedisAdapter(redisUrl, hashKey = 'calendly:sessions') {
+    const { createClient } = require('redis');
+    const client = createClient({ url: redisUrl });
+    client.on('error', e => console.warn(`[SessionRegistry] Redis error: ${e.message}`));
+    const ready = client.connect();
+
+    return {
+        name: 'redis',
+        async get(sessionId) {
+            await ready;
+            const value = await client.hGet(hashKey, sessionId);
+            return value ? JSON.parse(value) : null;
+        },
+        async set(sessionId, record) {
+            await ready;
+            await client.hSet(hashKey, sessionId, JSON.stringify(record));
+        },
+        async remove(sessionId) {
+            await ready;
+            await client.hDel(hashKey, sessionId);
+        },
+        async list() {
+            await ready;
+            const all = await client.hGetAll(hashKey);
+            return Object.values(all).map(value => JSON.parse(value));
+        },
+        async close() {
+            await ready;
+            await client.quit();
+        }
+    };
+}
+
+/**
+ * Adapter for the configured backend.
+ * @param {Object} [options]
+ * @param {string} [options.filePath=config.SESSION_REGISTRY_FILE] - JSON file for the 'file' backend
+ * @param {string} [options.hashKey] - Redis hash for the 'redis' backend
+ */
+function createAdapter({ filePath = config.SESSION_REGISTRY_FILE, hashKey } = {}) {
+    switch (config.SESSION_REGISTRY) {
+        case 'file':
+            return createFileAdapter(filePath);
+        case 'redis':
+            if (!config.REDIS_URL) {
+                console.warn('[SessionRegistry] SESSION_REGISTRY=redis but REDIS_URL is missing. Falling back to memory.');
+                return createMemoryAdapter();
+            }
+            return createRedisAdapter(config.REDIS_URL, hashKey);
+        case 'memory':
+            return createMemoryAdapter();
+        default:
+            console.warn(`[SessionRegistry] Unknown SESSION_REGISTRY "${config.SESSION_REGISTRY}". Falling back to memory.`);
+            return createMemoryAdapter();
+    }
+}
+
+const adapter = createAdapter();
+const jobAdapter = createAdapter({ filePath: config.JOB_REGISTRY_FILE, hashKey: 'calendly:jobs' });
+
+// Registry failures must never break a live session, so every public call logs and swallows errors
+async function safely(action, fallback) {
+    try {
+        return await action();
+    } catch (e) {
+        console.warn(`[SessionRegistry] ${adapter.name} adapter error: ${e.message}`);
+        return fallback;
+    }
+}
+
+// --- Public API ---
+
+/**
+ * Records a new session owned by this process.
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [meta] - Extra metadata (baseUrl, state, masterSessionId...)
+ * @returns {Promise<Object>} The stored record
+ */
+async function registerSession(sessionId, meta = {}) {
+    const now = Date.now();
+    const record = {
+        sessionId,
+        state: 'ready',
+        ...meta,
+        ownerId: INSTANCE_ID,
+        ownerUrl: INSTANCE_URL,
+        createdAt: now,
+        updatedAt: now,
+        lastActiveTime: now
+    };
+    await safely(() => adapter.set(sessionId, record));
+    return record;
+}
+
+/**
+ * Merges changes into an existing record. Unknown sessions are ignored.
+ * @param {string} sessionId - Session identifier
+ * @param {Object} patch - Fields to change
+ * @returns {Promise<Object|null>} The updated record, or null if it doesn't exist
+ */
+async function updateSession(sessionId, patch) {
+    return safely(async () => {
+        const existing = await adapter.get(sessionId);
+        if (!existing) return null;
+        const record = { ...existing, ...patch, updatedAt: Date.now() };
+        await adapter.set(sessionId, record);
+        return record;
+    }, null);
+}
+
+/**
+ * Updates the session state and bumps its last activity time.
+ * @param {string} sessionId - Session identifier
+ * @param {string} state - New state, e.g. 'ready', 'booking', 'prepared'
+ */
+async function markSessionState(sessionId, state) {
+    return updateSession(sessionId, { state, lastActiveTime: Date.now() });
+}
+
+async function getSession(sessionId) {
+    return safely(() => adapter.get(sessionId), null);
+}
+
+async function removeSession(sessionId) {
+    return safely(() => adapter.remove(sessionId));
+}
+
+/**
+ * Lists registry records, optionally only those owned by one instance.
+ * @param {Object} [filter]
+ * @param {string} [filter.ownerId] - Only return records owned by this instance
+ */
+async function listSessions({ ownerId } = {}) {
+    const records = await safely(() => adapter.list(), []);
+    return ownerId ? records.filter(r => r.ownerId === ownerId) : records;
+}
+
+/**
+ * Works out where a session lives.
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<{location: 'local'|'remote'|'orphaned'|'unknown', record: Object|null}>}
+ *  - local: owned by this process (caller still needs to check activeSessions)
+ *  - remote: owned by another live replica, see record.ownerUrl
+ *  - orphaned: its owner crashed or stopped refreshing it, the browser is gone
+ *  - unknown: no record at all
+ */
+async function locateSession(sessionId) {
+    const record = await getSession(sessionId);
+    if (!record) return { location: 'unknown', record: null };
+    if (record.state === 'orphaned') return { location: 'orphaned', record };
+    if (record.ownerId === INSTANCE_ID) return { location: 'local', record };
+    if (Date.now() - record.updatedAt > STALE_AFTER_MS) return { location: 'orphaned', record };
+    return { location: 'remote', record };
+}
+
+/**
+ * Marks records this instance owned before a restart as orphaned: their browsers
+ * died with the previous process, but callers should get a clear answer instead of a 404.
+ * @param {Set<string>} liveSessionIds - Sessions actually held by this process
+ */
+async function reconcileOwnedSessions(liveSessionIds) {
+    const owned = await listSessions({ ownerId: INSTANCE_ID });
+    for (const record of owned) {
+        if (!liveSessionIds.has(record.sessionId) && record.state !== 'orphaned') {
+            await updateSession(record.sessionId, { state: 'orphaned', orphanedAt: Date.now() });
+            console.log(`[SessionRegistry] Marked session ${record.sessionId} orphaned (browser lost with previous process).`);
+        }
+    }
+}
+
+/**
+ * Refreshes every record owned by this process so other replicas know it is alive.
+ * @param {Object} liveSessions - The activeSessions map
+ */
+async function heartbeat(liveSessions) {
+    await Promise.all(Object.entries(liveSessions).map(([sessionId, session]) =>
+        updateSession(sessionId, { lastActiveTime: session.lastActiveTime || session.startTime })
+    ));
+}
+
+/**
+ * Records that a background job runs in this process, so polls that land on another
+ * replica can be forwarded here.
+ * @param {string} jobId
+ */
+async function registerJob(jobId) {
+    await safely(() => jobAdapter.set(jobId, { jobId, ownerId: INSTANCE_ID, ownerUrl: INSTANCE_URL, createdAt: Date.now() }));
+}
+
+async function removeJob(jobId) {
+    return safely(() => jobAdapter.remove(jobId));
+}
+
+/**
+ * Works out where a job lives.
+ * @param {string} jobId
+ * @returns {Promise<{location: 'local'|'remote'|'unknown', record: Object|null}>}
+ */
+async function locateJob(jobId) {
+    const record = await safely(() => jobAdapter.get(jobId), null);
+    if (!record) return { location: 'unknown', record: null };
+    return { location: record.ownerId === INSTANCE_ID ? 'local' : 'remote', record };
+}
+
+module.exports = {
+    INSTANCE_ID,
+    INSTANCE_URL,
+    registerSession,
+    updateSession,
+    markSessionState,
+    getSession,
+    removeSession,
+    listSessions,
+    locateSession,
+    reconcileOwnedSessions,
+    heartbeat,
+    registerJob,
+    removeJob,
+    locateJob,
+    // Exposed so other stores can reuse the same backends
+    createMemoryAdapter,
+    createFileAdapter,
+    createRedisAdapter
+};
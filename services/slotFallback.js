@@ -0,0 +1,212 @@
+// services/slotFallback.js
+//
+// Decides what to book when the requested time is no longer offered. The caller picks
+// a policy per request; the default ('fail') never books a different time. Every
+// booking response carries a `slot` object saying which time was booked and why.
+
+const { DateTime } = require('luxon');
+const { parseEventUrl } = require('./schedulingApiClient');
+const { getAvailability, buildBookingUrl } = require('./availabilityService');
+const { bookingFailure } = require('../utils/bookingErrors');
+
+const FALLBACK_POLICIES = ['fail', 'nearest-same-day', 'nearest-within-hours', 'alternatives'];
+const MAX_WITHIN_HOURS = 72;
+const MAX_ALTERNATIVES = 10;
+// Zone for the lookup window's days when the caller names none (the API's default). Slots
+// are compared by instant and the window is padded by a day, so the zone only picks the days.
+const DEFAULT_LOOKUP_TIMEZONE = 'America/Los_Angeles';
+
+/**
+ * Start time of a booking URL or an ISO 8601 string.
+ * @param {string} value
+ * @returns {DateTime|null} In the offset the value was written with
+ */
+function slotStart(value) {
+    if (typeof value !== 'string') return null;
+    const parsed = /^https?:\/\//i.test(value) ? parseEventUrl(value) : null;
+    const iso = parsed ? parsed.startTime : value;
+    if (!iso || !iso.includes('T')) return null;
+    const start = DateTime.fromISO(iso, { setZone: true });
+    return start.isValid ? start : null;
+}
+
+/**
+ * Validates the request's `fallback` field.
+ * Accepts a policy name, or { policy, withinHours, alternatives }.
+ * @param {string|Object} [fallback]
+ * @returns {{policy: string, withinHours?: number, alternatives?: string[]}|{error: string}}
+ */
+function parseFallback(fallback) {
+    if (fallback === undefined || fallback === null) return { policy: 'fail' };
+    const options = typeof fallback === 'string' ? { policy: fallback } : fallback;
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        return { error: `fallback must be a policy name or an object with a policy (${FALLBACK_POLICIES.join(', ')}).` };
+    }
+    const { policy, withinHours, alternatives } = options;
+    if (!FALLBACK_POLICIES.includes(policy)) {
+        return { error: `Invalid fallback policy "${policy}". Expected one of: ${FALLBACK_POLICIES.join(', ')}.` };
+    }
+    if (policy === 'nearest-within-hours') {
+        const hours = Number(withinHours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_WITHIN_HOURS) {
+            return { error: `fallback.withinHours must be a number of hours between 0 and ${MAX_WITHIN_HOURS}.` };
+        }
+        return { policy, withinHours: hours };
+    }
+    if (policy === 'alternatives') {
+        if (!Array.isArray(alternatives) || alternatives.length === 0 || alternatives.length > MAX_ALTERNATIVES) {
+            return { error: `fallback.alternatives must list 1 to ${MAX_ALTERNATIVES} booking URLs or ISO 8601 start times, best first.` };
+        }
+        const invalid = alternatives.filter(alternative => !slotStart(alternative));
+        if (invalid.length) return { error: `Invalid fallback alternative(s): ${invalid.join(', ')}.` };
+        return { policy, alternatives };
+    }
+    return { policy };
+}
+
+/**
+ * Human-readable distance between two times, e.g. "1 hour 30 minutes later".
+ */
+function describeShift(requested, booked) {
+    const minutes = Math.round(booked.diff(requested, 'minutes').minutes);
+    const hours = Math.floor(Math.abs(minutes) / 60);
+    const rest = Math.abs(minutes) % 60;
+    const parts = [];
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (rest) parts.push(`${rest} minute${rest === 1 ? '' : 's'}`);
+    return `${parts.join(' ')} ${minutes > 0 ? 'later' : 'earlier'}`;
+}
+
+/**
+ * Orders the open slots the policy allows, best first. Slots that match the requested
+ * time are never returned (the caller books those directly).
+ * @param {DateTime} requested - Requested start, in the invitee's offset (decides "same day")
+ * @param {Array<{start: string}>} slots - Open slots (ISO start times, any offset)
+ * @param {Object} fallback - Result of parseFallback
+ * @returns {Array<Object>} The slots, each with reason added
+ */
+function rankFallbackSlots(requested, slots, fallback) {
+    const candidates = slots
+        .map(slot => ({ slot, start: DateTime.fromISO(slot.start, { setZone: true }) }))
+        .filter(({ start }) => start.isValid && start.toMillis() !== requested.toMillis());
+    const byDistance = (a, b) =>
+        Math.abs(a.start.diff(requested).milliseconds) - Math.abs(b.start.diff(requested).milliseconds) || a.start - b.start;
+
+    let ranked = [];
+    if (fallback.policy === 'nearest-same-day') {
+        const day = requested.toISODate();
+        ranked = candidates
+            .filter(({ start }) => start.setZone(requested.zone).toISODate() === day)
+            .sort(byDistance)
+            .map(({ slot, start }) => ({ ...slot, reason: `nearest open slot on the same day (${describeShift(requested, start)})` }));
+    } else if (fallback.policy === 'nearest-within-hours') {
+        ranked = candidates
+            .filter(({ start }) => Math.abs(start.diff(requested, 'hours').hours) <= fallback.withinHours)
+            .sort(byDistance)
+            .map(({ slot, start }) => ({ ...slot, reason: `nearest open slot within ${fallback.withinHours} hours (${describeShift(requested, start)})` }));
+    } else if (fallback.policy === 'alternatives') {
+        fallback.alternatives.forEach((alternative, index) => {
+            const wanted = slotStart(alternative);
+            const match = candidates.find(({ start }) => start.toMillis() === wanted.toMillis());
+            if (match) ranked.push({ ...match.slot, reason: `alternative #${index + 1} from the request (${describeShift(requested, match.start)})` });
+        });
+    }
+    return ranked;
+}
+
+/**
+ * What the response says about the booked time.
+ * @returns {{policy: string, requestedStart: string|null, bookedStart: string|null, bookingUrl: string|null, fallbackUsed: boolean, reason: string|null}}
+ */
+function describeSlot(policy, requested, booked, bookingUrl, reason = null) {
+    const iso = time => (time ? time.toISO({ suppressMilliseconds: true }) : null);
+    return {
+        policy,
+        requestedStart: iso(requested),
+        bookedStart: iso(booked),
+        bookingUrl,
+        fallbackUsed: Boolean(booked && requested && booked.toMillis() !== requested.toMillis()),
+        reason
+    };
+}
+
+/**
+ * Checks the requested slot before booking and swaps in a fallback slot when it is gone
+ * and the policy allows one. With the 'fail' policy nothing is looked up.
+ * @param {string} fullBookingUrl - Requested slot's booking URL
+ * @param {Object} fallback - Result of parseFallback
+ * @param {Function} [logCapture=console.log] - Function to capture logs
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - Zone to look up days in: the invitee's, else the session's
+ * @returns {Promise<{success: boolean, bookingUrl?: string, slot: Object, error?: string, errorCode?: string, retryable?: boolean}>}
+ *  bookingUrl is the URL to book (the requested one unless a fallback was chosen).
+ *  Fails with SLOT_TAKEN when the slot is gone and no fallback slot qualifies.
+ */
+async function resolveBookingSlot(fullBookingUrl, fallback, logCapture = console.log, { timezone = DEFAULT_LOOKUP_TIMEZONE } = {}) {
+    const requested = slotStart(fullBookingUrl);
+    const keep = () => ({ success: true, bookingUrl: fullBookingUrl, slot: describeSlot(fallback.policy, requested, requested, fullBookingUrl) });
+    if (fallback.policy === 'fail' || !requested) return keep();
+
+    // Lookup window: every day the policy could book on, padded for the timezone difference
+    const starts = [requested, ...(fallback.alternatives || []).map(slotStart)];
+    const hours = fallback.policy === 'nearest-within-hours' ? fallback.withinHours : 0;
+    const from = DateTime.min(...starts).minus({ hours }).setZone(timezone).minus({ days: 1 });
+    const to = DateTime.max(...starts).plus({ hours }).setZone(timezone).plus({ days: 1 });
+
+    logCapture(`[SlotFallback] Checking ${requested.toISO()} is still open (fallback policy '${fallback.policy}')...`);
+    const availability = await getAvailability(fullBookingUrl, { from: from.toISODate(), to: to.toISODate(), timezone }, logCapture);
+    if (!availability.success) {
+        // Let the booking path find out for itself
+        logCapture(`[SlotFallback] ⚠️ Could not check availability (${availability.error}). Booking the requested slot.`);
+        return keep();
+    }
+
+    const open = availability.slots.some(slot => DateTime.fromISO(slot.start).toMillis() === requested.toMillis());
+    if (open) {
+        logCapture('[SlotFallback] Requested slot is open.');
+        return keep();
+    }
+
+    const [choice] = rankFallbackSlots(requested, availability.slots, fallback);
+    if (!choice) {
+        const error = `Requested slot ${requested.toISO({ suppressMilliseconds: true })} is no longer available and no open slot matches the '${fallback.policy}' fallback.`;
+        logCapture(`[SlotFallback] ❌ ${error}`);
+        return bookingFailure('SLOT_TAKEN', error, { slot: describeSlot(fallback.policy, requested, null, null) });
+    }
+
+    const booked = DateTime.fromISO(choice.start, { setZone: true }).setZone(requested.zone);
+    const parsed = parseEventUrl(fullBookingUrl);
+    const baseUrl = `${new URL(fullBookingUrl).origin}/${parsed.profileSlug}/${parsed.eventTypeSlug}`;
+    const bookingUrl = buildBookingUrl(baseUrl, booked);
+    const reason = `Requested time is no longer available; fell back to the ${choice.reason}.`;
+    logCapture(`[SlotFallback] ⚠️ ${reason} New slot: ${booked.toISO()}`);
+    return { success: true, bookingUrl, slot: describeSlot(fallback.policy, requested, booked, bookingUrl, reason) };
+}
+
+/**
+ * The slot to report once a booking path has run. bookedStart is null when nothing was
+ * booked. The DOM path can still fall back on the page (the slot went between the check
+ * and the click); its choice wins.
+ * @param {Object} resolved - Result of resolveBookingSlot
+ * @param {Object} result - Booking result (slot is set when the page picked another time)
+ * @returns {Object} See describeSlot
+ */
+function bookedSlot(resolved, result) {
+    if (!result.success) return { ...resolved.slot, bookedStart: null };
+    const pageSlot = result.slot;
+    if (!pageSlot || !pageSlot.fallbackUsed) return resolved.slot;
+    const booked = DateTime.fromISO(pageSlot.bookedStart, { setZone: true });
+    const parsed = parseEventUrl(resolved.bookingUrl);
+    const bookingUrl = buildBookingUrl(`${new URL(resolved.bookingUrl).origin}/${parsed.profileSlug}/${parsed.eventTypeSlug}`, booked);
+    return { ...resolved.slot, bookedStart: pageSlot.bookedStart, bookingUrl, fallbackUsed: true, reason: pageSlot.reason };
+}
+
+module.exports = {
+    FALLBACK_POLICIES,
+    slotStart,
+    parseFallback,
+    rankFallbackSlots,
+    describeSlot,
+    resolveBookingSlot,
+    bookedSlot
+};
@@ -0,0 +1,131 @@
+// services/widgetTimezone.js
+//
+// Sets the timezone selector on a Calendly booking page, so times are shown (and the
+// booking is made) in the invitee's timezone rather than the browser's.
+
+const { DateTime } = require('luxon');
+
+const PICKER_SELECTOR = '#timezone-field, [data-testid*="timezone" i] button, button[aria-label*="time zone" i], button[aria-label*="timezone" i]';
+const SEARCH_SELECTOR = '[role="listbox"] input, [role="dialog"] input, input[placeholder*="search" i], input[aria-label*="time zone" i]';
+const OPTION_SELECTOR = '[role="option"]';
+// The selector shows the zone's current time, e.g. "Eastern Time - US & Canada (3:04pm)"
+const CLOCK_PATTERN = /(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?/i;
+
+/**
+ * Minutes past midnight of the clock a label shows, or null if it shows none.
+ */
+function _labelMinutes(label) {
+    const match = CLOCK_PATTERN.exec(label || '');
+    if (!match) return null;
+    let hours = parseInt(match[1], 10) % (match[3] ? 12 : 24);
+    if (match[3] && match[3][0].toLowerCase() === 'p') hours += 12;
+    return hours * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Whether a label's clock shows the current time in `timezone` (within a minute).
+ */
+function _showsTimeIn(label, timezone) {
+    const minutes = _labelMinutes(label);
+    if (minutes === null) return false;
+    const now = DateTime.now().setZone(timezone);
+    const diff = Math.abs(minutes - (now.hour * 60 + now.minute));
+    return Math.min(diff, 1440 - diff) <= 1;
+}
+
+/**
+ * Names Calendly may list a timezone under: the generic English name ("Eastern Time")
+ * and the IANA city ("New York").
+ */
+function _zoneNames(timezone) {
+    const generic = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longGeneric' })
+        .formatToParts(new Date()).find(part => part.type === 'timeZoneName')?.value;
+    const city = timezone.split('/').pop().replace(/_/g, ' ');
+    return [generic, city].filter(name => name && !/^GMT/.test(name));
+}
+
+/**
+ * Picks the option for `timezone`. An option named after the zone wins; otherwise one
+ * whose clock matches, but only if the zone's UTC offset is the same now as at the
+ * slot, because a clock match says nothing about a DST change in between.
+ * @returns {number} Index into labels, or -1
+ */
+function _chooseOption(labels, timezone, names, slot) {
+    const named = labels.findIndex(label => names.some(name => label.toLowerCase().includes(name.toLowerCase())) && _showsTimeIn(label, timezone));
+    if (named !== -1) return named;
+    const offsetStable = !slot || DateTime.now().setZone(timezone).offset === slot.setZone(timezone).offset;
+    return offsetStable ? labels.findIndex(label => _showsTimeIn(label, timezone)) : -1;
+}
+
+/**
+ * Sets the page's timezone selector to the invitee's timezone and checks the page took it.
+ * If the selector can't be found or has no matching option, nothing is changed and the
+ * page keeps showing times in `browserTimezone`.
+ * @param {import('playwright').Page} page - Page showing the Calendly calendar
+ * @param {string} timezone - Invitee's IANA timezone
+ * @param {Object} options
+ * @param {string} options.browserTimezone - Timezone the page shows before any change (the browser's)
+ * @param {DateTime} [options.slot] - Slot being booked, for the DST check
+ * @param {Function} [options.log=console.log] - Logging function
+ * @returns {Promise<{requested: string, timezone: string, selected: boolean, changed: boolean, label: string|null, error?: string}>}
+ *  timezone is the one the page now shows times in; changed without selected means an
+ *  option was picked but the page could not be confirmed to show the requested zone.
+ */
+async function selectWidgetTimezone(page, timezone, { browserTimezone, slot = null, log = console.log }) {
+    const report = { requested: timezone, timezone: browserTimezone, selected: false, changed: false, label: null };
+    const names = _zoneNames(timezone);
+
+    const picker = page.locator(PICKER_SELECTOR).first();
+    if (!(await picker.isVisible({ timeout: 3000 }).catch(() => false))) {
+        report.error = 'The booking page has no timezone selector.';
+        log(`⚠️ ${report.error}`);
+        return report;
+    }
+    report.label = (await picker.innerText().catch(() => '')).trim();
+    if (names.some(name => report.label.toLowerCase().includes(name.toLowerCase())) && _showsTimeIn(report.label, timezone)) {
+        log(`Timezone selector already shows ${timezone} (${report.label}).`);
+        return { ...report, timezone, selected: true };
+    }
+
+    log(`Setting timezone selector to ${timezone} (currently ${report.label || 'unknown'})...`);
+    await picker.click();
+    const options = page.locator(OPTION_SELECTOR);
+    const search = page.locator(SEARCH_SELECTOR).first();
+    const canSearch = await search.isVisible({ timeout: 1500 }).catch(() => false);
+
+    // Search by each name in turn (Calendly filters on the label), then scan the full list
+    let choice = -1;
+    for (const query of canSearch ? [...names, ''] : ['']) {
+        if (canSearch) {
+            await search.fill(query);
+            await page.waitForTimeout(300);
+        }
+        await options.first().waitFor({ state: 'visible', timeout: 2000 }).catch(() => {});
+        const labels = (await options.allInnerTexts().catch(() => [])).map(label => label.replace(/\s+/g, ' ').trim());
+        choice = _chooseOption(labels, timezone, names, slot);
+        if (choice !== -1) break;
+    }
+    if (choice === -1) {
+        await page.keyboard.press('Escape').catch(() => {});
+        report.error = `The timezone selector has no option for ${timezone}${names.length ? ` (looked for ${names.join(', ')})` : ''}.`;
+        log(`⚠️ ${report.error}`);
+        return report;
+    }
+
+    await options.nth(choice).click();
+    report.changed = true;
+    await page.waitForTimeout(500);
+
+    // The selector's clock must now read the invitee's local time
+    report.label = (await picker.innerText().catch(() => '')).trim();
+    if (!_showsTimeIn(report.label, timezone)) {
+        report.timezone = null;
+        report.error = `Picked a timezone option but the selector shows "${report.label}", not the time in ${timezone}.`;
+        log(`❌ ${report.error}`);
+        return report;
+    }
+    log(`✅ Timezone selector set to ${report.label}.`);
+    return { ...report, timezone, selected: true };
+}
+
+module.exports = { selectWidgetTimezone };
@@ -4,24 +4,42 @@ const { chromium } = require('playwright');
 const crypto = require('crypto');
 require('dotenv').config(); // Still needs .env vars for proxy credentials
 const { standardizeBrowserProfile, standardizeBrowserSession, removeAllRoutes } = require('./utils/browserUtils');
+const { buildProfile, contextOptions, applyFingerprint, describeProfile } = require('./utils/fingerprintProfiles');
+const sessionRegistry = require('./services/sessionRegistry');
+const proxyManager = require('./services/proxyManager');
+const ipReputation = require('./services/ipReputation');
+const { locationForIp } = require('./services/geoLocation');
+const { errorFields, codedError, bookingFailure } = require('./utils/bookingErrors');
+const config = require('./config');
+const { DateTime } = require('luxon');
+const { parseEventUrl } = require('./services/schedulingApiClient');
 
 // Define your activeSessions object before using it
 const activeSessions = {};
+// Predictive groups (one browser per candidate slot), keyed by masterSessionId
+const predictiveGroups = {};
 
 // --- Configuration ---
 const SESSION_TIMEOUT_MS = 2 * 60 * 60 * 1000; // 2 hours
 const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;    // 5 minutes
-const MAX_IP_RETRIES = 8; // Increased max retries for problematic IPs to improve success rate
+const MAX_IP_RETRIES = 8; // Relaunches per startup race for attempts that landed on a known-bad exit IP
 const CONCURRENT_STARTUP_ATTEMPTS = 5; // Number of concurrent attempts
+const POOL_STARTUP_ATTEMPTS = config.POOL_STARTUP_ATTEMPTS; // Concurrent attempts per pool member (background, so fewer)
+const POOL_RECYCLE_MS = Math.min(config.POOL_RECYCLE_MS, SESSION_TIMEOUT_MS / 2); // Recycle idle pool members well before session timeout
+const POOL_CHECK_INTERVAL_MS = 60 * 1000;    // 1 minute
+const POOL_RETRY_BASE_MS = 5 * 1000;         // First backoff after a failed warm-up
+const POOL_RETRY_MAX_MS = 5 * 60 * 1000;     // Backoff cap
 // PROXY_LIST_PATH is no longer needed
+// Block and error pages served with a 200 (Cloudflare challenges, Calendly's own error page)
+const BLOCK_PAGE_PATTERNS = /access denied|attention required|you have been blocked|just a moment|verify you are human|too many requests|something went wrong/i;
 
 // --- State ---
-// REMOVED browserPool array
 // Active user sessions
-// Structure: { page: PlaywrightPage, browser: PlaywrightBrowser, context: PlaywrightContext, logCapture: function, startTime: number }
+// Structure: { page: PlaywrightPage, browser: PlaywrightBrowser, context: PlaywrightContext, baseUrl: string, logCapture: function, startTime: number }
 
-// REMOVED initializeBrowserPool function
-// REMOVED getProxySettingsForPoolEntry function
+// Warm browser pool, keyed by base URL
+// Structure: { [baseUrl]: { size: number, members: [{ browser, context, page, baseUrl, warmedAt, warmupDuration }], refilling: boolean, consecutiveFailures: number } }
+const browserPool = {};
 
 // --- Step 1: Start Session (Launches browser with Rotating Proxy) ---
 
@@ -172,34 +190,32 @@ async function simulateHumanMouseMovement(page, sessionId, logCapture) {
  * @param {string} baseUrl The target URL to navigate to initially.
  * @param {Function} logCapture Function to capture logs.
  * @param {number} attemptNumber Identifier for logging purposes.
+ * @param {string[]} [racingEndpoints=[]] Proxy endpoint ids other instances of the race use; this one's is added.
  * @returns {Promise<object>} Resolves with session details on success, rejects on failure.
  */
-async function _launchAndNavigateInstance(baseUrl, logCapture, attemptNumber) {
+async function _launchAndNavigateInstance(baseUrl, logCapture, attemptNumber, racingEndpoints = []) {
     const instanceSessionId = crypto.randomUUID(); // Temporary ID for this instance
     const instanceStartTime = Date.now();
     logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Starting instance...`);
 
-    // --- Configure Rotating Proxy ---
-    const ZD_USERNAME = process.env.ZD_PROXY_USERNAME;
-    const ZD_PASSWORD = process.env.ZD_PROXY_PASSWORD;
+    // --- Pick a proxy (see services/proxyManager.js) ---
+    // Spread the race over endpoints; acquireProxy only reuses one when there are too few
+    const proxy = proxyManager.acquireProxy({ exclude: racingEndpoints });
+    if (proxy) racingEndpoints.push(proxy.endpointId);
 
-    if (!ZD_USERNAME || !ZD_PASSWORD) {
-        const errorMsg = "ZD_PROXY_USERNAME or ZD_PROXY_PASSWORD missing in .env";
+    if (!proxy && proxyManager.proxyRequired()) {
+        const errorMsg = "No usable proxy endpoint: check PROXY_PROVIDER and its PROXY_* settings in .env";
         logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] ❌ ERROR: ${errorMsg}`);
         // Note: No browser to return here yet
-        return Promise.reject({ success: false, error: errorMsg, duration: 0, browser: null, instanceSessionId });
+        return Promise.reject({ success: false, error: errorMsg, errorCode: 'BROWSER_LAUNCH_FAILED', duration: 0, browser: null, instanceSessionId });
     }
-
-    const proxySettings = {
-        server: 'http://isp.oxylabs.io:8000',
-        username: ZD_USERNAME,
-        password: ZD_PASSWORD
-    };
-    logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Using proxy: ${proxySettings.server}`);
+    logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] ${proxy ? `Using proxy: ${proxy.endpointId}` : 'No proxy (PROXY_PROVIDER=none)'}`);
 
     let browser = null; // Initialize browser to null
     let context;
     let page;
+    let ipInfo = null; // Exit IP as seen by ipinfo.io
+    let fingerprint = null; // One profile for the session's whole life, set once the exit IP is known
 
     try {
         // 1. Launch Browser with enhanced stealth settings
@@ -248,152 +264,69 @@ async function _launchAndNavigateInstance(baseUrl, logCapture, attemptNumber) {
         
         browser = await chromium.launch({
             headless: true,
-            proxy: proxySettings,
+            ...(proxy ? { proxy: proxy.settings } : {}),
             args: [...baseArgs, ...selectedOptionalArgs]
         });
 
-        // Randomize viewport (same logic as before)
-        const widthVariation = Math.floor(Math.random() * 80);
-        const heightVariation = Math.floor(Math.random() * 60);
-        const viewportWidth = 1280 + (widthVariation - 40);
-        const viewportHeight = 800 + (heightVariation - 30);
+        // --- IP Detection (No Retry Here) ---
+        // In a throwaway context, before the session's own: the exit IP decides where the
+        // session's browser claims to be, and known-bad IPs are dropped before touching Calendly
+        try {
+            logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Detecting IP...`);
+            const probe = await browser.newContext({ ignoreHTTPSErrors: true });
+            try {
+                const response = await (await probe.newPage()).goto('https://ipinfo.io/json', { timeout: 10000 });
+                ipInfo = await response.json();
+            } finally {
+                await probe.close().catch(() => {});
+            }
+            logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] IP Info: ${ipInfo.ip}`);
 
-        // 2. Create context (same logic as before)
-        logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Creating context...`);
+            // Reject known-bad exit IPs before touching Calendly
+            const problem = ipReputation.checkIp(ipInfo?.ip) || (proxyManager.isIpQuarantined(ipInfo?.ip) ? 'quarantined by the proxy manager' : null);
+            if (problem) {
+                logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] ❌ Problematic IP detected: ${ipInfo.ip} (${problem}). Failing this attempt.`);
+                const badIpError = codedError('PROXY_BLOCKED', `Problematic IP detected: ${ipInfo.ip} (${problem})`);
+                badIpError.knownBadIp = true; // Already known bad; not a new data point
+                throw badIpError; // Fail this attempt
+            }
+        } catch (ipError) {
+            // If the error was specifically the 'Problematic IP' error, re-throw to fail the attempt.
+            if (ipError.knownBadIp) {
+                throw ipError;
+            }
+            // Otherwise, log as a warning and continue (maybe ipinfo.io was down)
+            logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] WARN: IP detection failed/skipped: ${ipError.message}`);
+        }
+        // --- End IP Detection ---
+
+        // The session's identity: a fingerprint profile placed where its exit IP is
+        const { location, place, pinned } = locationForIp(ipInfo?.ip || null, ipInfo);
+        fingerprint = buildProfile(config.FINGERPRINT_PROFILE, location);
+        logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Location: ${place ? `${[place.city, place.region, place.country].filter(Boolean).join(', ')} (${place.source})` : 'unknown, using defaults'}${pinned.length ? `; pinned: ${pinned.join(', ')}` : ''}.`);
+
+        // 2. Create context with the session's fingerprint profile (utils/fingerprintProfiles.js)
+        logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Creating context as ${describeProfile(fingerprint)}...`);
         context = await browser.newContext({
+            ...contextOptions(fingerprint),
             ignoreHTTPSErrors: true,
-            locale: 'en-US',
-            timezoneId: 'America/Los_Angeles',
-            userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
-            viewport: { width: viewportWidth, height: viewportHeight },
-            deviceScaleFactor: Math.random() > 0.5 ? 1 : 1.25,
-            hasTouch: false,
-            isMobile: false,
             javaScriptEnabled: true,
-            acceptDownloads: false,
-            extraHTTPers: {
-                'Accept-Language': 'en-US,en;q=0.9',
-                'X-Forwarded-For': '128.97.27.37', // UCLA IP
-                'Sec-Ch-Ua': '"Google Chrome";v="124", " Not;A Brand";v="99"',
-                'Sec-Ch-Ua-Mobile': '?0',
-                'Sec-Ch-Ua-Platform': '"macOS"',
-            },
-            geolocation: {
-                latitude: 34.052235 + (Math.random() - 0.5) * 0.01,
-                longitude: -118.243683 + (Math.random() - 0.5) * 0.01,
-                accuracy: 100
-            },
-            permissions: ['geolocation']
+            acceptDownloads: false
         });
 
-        // Add init script (same logic as before)
-        await context.addInitScript(() => {
-           Object.defineProperty(navigator, 'webdriver', { get: () => false });
-            
-            // Add realistic browser features
-            if (!window.chrome) {
-                window.chrome = {
-                    runtime: {},
-                    loadTimes: function() {},
-                    csi: function() {},
-                    app: {}
-                };
-            }
-            
-            // Add more realistic plugins
-            const originalPlugins = Navigator.prototype.plugins;
-            Object.defineProperty(Navigator.prototype, 'plugins', {
-                get: () => {
-                    const plugins = [
-                        { name: 'Chrome PDF Plugin', filename: 'internal-pdf-viewer', description: 'Portable Document Format' },
-                        { name: 'Chrome PDF Viewer', filename: 'mhjfbmdgcfjbbpaeojofohoefgiehjai', description: 'Portable Document Format' },
-                        { name: 'Native Client', filename: 'internal-nacl-plugin', description: '' }
-                    ];
-                    
-                    // Add plugin methods and properties
-                    plugins.forEach(plugin => {
-                        plugin.item = () => plugin;
-                        plugin.namedItem = () => plugin;
-                        plugin.length = 1;
-                    });
-                    
-                    return plugins;
-                }
-            });
-            
-            // Override permissions API
-            if (navigator.permissions) {
-                navigator.permissions.query = (parameters) => 
-                    Promise.resolve({ state: 'granted', onchange: null });
-            }
-            
-            // Override geolocation API
-            if (navigator.geolocation) {
-                navigator.geolocation.getCurrentPosition = function(success) {
-                    // Add slight random variation to coordinates
-                    const latVariation = (Math.random() - 0.5) * 0.01;
-                    const longVariation = (Math.random() - 0.5) * 0.01;
-                    
-                    success({ 
-                        coords: {
-                            latitude: 34.052235 + latVariation,
-                            longitude: -118.243683 + longVariation,
-                            accuracy: 100,
-                            altitude: null,
-                            altitudeAccuracy: null,
-                            heading: null,
-                            speed: null
-                        },
-                        timestamp: Date.now()
-                    });
-                };
-            }
-            
-            // Set timezone with more natural implementation
-            Object.defineProperty(Intl, 'DateTimeFormat', {
-                writable: true,
-                configurable: true
-            });
-            const originalDateTimeFormat = Intl.DateTimeFormat;
-            Intl.DateTimeFormat = function(...args) {
-                if (args.length > 0 && args[1] && args[1].timeZone) {
-                    args[1].timeZone = 'America/Los_Angeles';
-                }
-                return new originalDateTimeFormat(...args);
-            };
-            Intl.DateTimeFormat.prototype = originalDateTimeFormat.prototype;
-            
-            // Add hardware concurrency and device memory with slight variation
-            Object.defineProperty(navigator, 'hardwareConcurrency', {
-                get: () => Math.floor(Math.random() * 4) + 4 // 4-8 cores
-            });
-            
-            if (!navigator.deviceMemory) {
-                Object.defineProperty(navigator, 'deviceMemory', {
-                    get: () => Math.pow(2, Math.floor(Math.random() * 3) + 2) // 4, 8, or 16 GB
-                });
-            }
-            
-            // Add realistic battery API
-            if (!navigator.getBattery) {
-                navigator.getBattery = () => Promise.resolve({
-                    charging: Math.random() > 0.3, // 70% chance to be charging
-                    chargingTime: Math.random() > 0.5 ? Infinity : Math.floor(Math.random() * 3600),
-                    dischargingTime: Math.floor(Math.random() * 7200) + 1800,
-                    level: 0.25 + Math.random() * 0.75 // Random battery level between 25% and 100%
-                });
-            }
-            
+        // Every page reports the same profile, on every read
+        await context.addInitScript(applyFingerprint, fingerprint);
+        await context.addInitScript((timezone) => {
             // Add common browser storage items
             try {
                 localStorage.setItem('_ga', `GA1.2.${Math.floor(Math.random() * 1000000000)}.${Math.floor(Date.now()/1000)}`);
                 localStorage.setItem('CookieConsent', 'true');
-                localStorage.setItem('timezone', 'America/Los_Angeles');
+                localStorage.setItem('timezone', timezone);
                 localStorage.setItem('returning_visitor', 'true');
             } catch (e) {
                 // Ignore localStorage errors
             }
-        });
+        }, fingerprint.timezone);
 
         // Create page
         page = await context.newPage();
@@ -422,34 +355,14 @@ async function _launchAndNavigateInstance(baseUrl, logCapture, attemptNumber) {
             logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] WARN: Cookie consent check failed: ${e.message}`);
         }
 
-        // --- IP Detection (No Retry Here) ---
-        let ipInfo = null;
-        try {
-            logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Detecting IP...`);
-            const response = await page.goto('https://ipinfo.io/json', { timeout: 10000 });
-            ipInfo = await response.json();
-            logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] IP Info: ${ipInfo.ip}`);
-
-            const problematicIPs = [ /* ... same list ... */ ];
-            if (ipInfo && problematicIPs.includes(ipInfo.ip)) {
-                logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] ❌ Problematic IP detected: ${ipInfo.ip}. Failing this attempt.`);
-                throw new Error(`Problematic IP detected: ${ipInfo.ip}`); // Fail this attempt
-            }
-        } catch (ipError) {
-            // If the error was specifically the 'Problematic IP' error, re-throw to fail the attempt.
-            if (ipError.message.includes('Problematic IP detected')) {
-                throw ipError;
-            }
-            // Otherwise, log as a warning and continue (maybe ipinfo.io was down)
-            logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] WARN: IP detection failed/skipped: ${ipError.message}`);
-        }
-        // --- End IP Detection ---
+        let navigationStart = null;
 
         // Standardization and Human Behavior (same logic as before)
-        await standardizeBrowserSession(browser, page, instanceSessionId, logCapture); // Use temp ID for standardization logs
+        await standardizeBrowserSession(browser, page, instanceSessionId, logCapture, fingerprint); // Use temp ID for standardization logs
         await humanDelay(page, 500, 1500);
 
         logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Navigating to ${baseUrl}...`);
+        navigationStart = Date.now();
         // Pre-warm (same logic as before)
         try {
             await page.evaluate(async (url) => {
@@ -498,6 +411,12 @@ async function _launchAndNavigateInstance(baseUrl, logCapture, attemptNumber) {
             }
         }
 
+        // A 200 can still be a block or error page
+        const landedTitle = await page.title().catch(() => '');
+        if (BLOCK_PAGE_PATTERNS.test(landedTitle)) {
+            throw codedError('PROXY_BLOCKED', `Calendly served a block/error page ("${landedTitle}")`);
+        }
+
         // Human Interaction Post-Navigation (same logic as before)
         logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Simulating human interaction...`);
         await simulateHumanMouseMovement(page, instanceSessionId, logCapture);
@@ -507,6 +426,8 @@ async function _launchAndNavigateInstance(baseUrl, logCapture, attemptNumber) {
 
         const pageTitle = await page.title().catch(() => 'Unknown Title');
         logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Interaction complete. Title: ${pageTitle}`);
+        proxyManager.recordOutcome({ endpointId: proxy?.endpointId, ip: ipInfo?.ip }, { success: true, latencyMs: Date.now() - navigationStart });
+        ipReputation.recordSuccess(ipInfo?.ip);
 
         // If we reached here, the instance is successful
         const instanceDuration = (Date.now() - instanceStartTime) / 1000;
@@ -516,6 +437,9 @@ async function _launchAndNavigateInstance(baseUrl, logCapture, attemptNumber) {
             context,
             page,
             instanceSessionId, // Return the temp ID used
+            proxyIp: ipInfo?.ip || null,
+            proxyEndpointId: proxy?.endpointId || null,
+            fingerprint,
             duration: parseFloat(instanceDuration.toFixed(2))
         };
 
@@ -530,34 +454,48 @@ async function _launchAndNavigateInstance(baseUrl, logCapture, attemptNumber) {
             await browser.close().catch(e => logCapture(`[Attempt-${attemptNumber}/${instanceSessionId}] Error closing browser on failure: ${e.message}`));
         }
         const instanceDuration = (Date.now() - instanceStartTime) / 1000;
+        const { errorCode } = errorFields(error); // PROXY_BLOCKED, NAVIGATION_FAILED, BROWSER_LAUNCH_FAILED...
+        if (!error.knownBadIp) {
+            proxyManager.recordOutcome({ endpointId: proxy?.endpointId, ip: ipInfo?.ip }, { success: false, errorCode, error: error.message });
+            ipReputation.recordFailure(ipInfo?.ip, { errorCode, error: error.message });
+        }
         // Reject the promise with necessary info for cleanup
         return Promise.reject({
             success: false,
             error: error.message,
+            errorCode,
             duration: parseFloat(instanceDuration.toFixed(2)),
             browser: null, // Already closed or never opened
+            knownBadIp: Boolean(error.knownBadIp),
             instanceSessionId
         });
     }
 }
 
 /**
- * Starts a session by launching multiple concurrent browser instances
- * and selecting the first one that successfully navigates to the target URL.
+ * Launches several browser instances concurrently and keeps the first one that
+ * successfully navigates to the target URL. Every other instance is closed.
  * @param {string} baseUrl The target URL to navigate to initially.
- * @param {Function} [logCapture=console.log] Function to capture logs.
- * @returns {Promise<object>} Object indicating success/failure, sessionId, and duration.
+ * @param {Function} logCapture Function to capture logs (already prefixed by the caller).
+ * @param {number} attemptCount Number of concurrent attempts to launch.
+ * @returns {Promise<object>} { winnerResult, winnerIndex, errors } - winnerResult is null if every attempt failed.
  */
-async function startSession(baseUrl, logCapture = console.log) {
-    const overallStartTime = Date.now();
-    const masterLogPrefix = `[Master-${crypto.randomUUID().substring(0, 8)}]`; // Short unique ID for this startSession call
-    logCapture(`${masterLogPrefix} Starting concurrent session initialization (${CONCURRENT_STARTUP_ATTEMPTS} attempts) for: ${baseUrl}`);
+async function _raceLaunchInstances(baseUrl, logCapture, attemptCount) {
+    // Attempts that land on a known-bad exit IP fail fast; relaunch them (fresh proxy/IP)
+    // from a budget shared by the whole race
+    let ipRetriesLeft = MAX_IP_RETRIES;
+    const racingEndpoints = [];
+    const launchAttempt = (attemptNumber) => _launchAndNavigateInstance(baseUrl, logCapture, attemptNumber, racingEndpoints)
+        .catch(failure => {
+            if (!failure.knownBadIp || ipRetriesLeft <= 0) throw failure;
+            ipRetriesLeft--;
+            logCapture(`Attempt ${attemptNumber} hit a known-bad IP; relaunching (${ipRetriesLeft} IP retries left).`);
+            return launchAttempt(attemptNumber);
+        });
 
     const attempts = [];
-    for (let i = 1; i <= CONCURRENT_STARTUP_ATTEMPTS; i++) {
-        // Create a specific logger for each attempt
-        const attemptLogCapture = (msg) => logCapture(`${masterLogPrefix} ${msg}`);
-        attempts.push(_launchAndNavigateInstance(baseUrl, attemptLogCapture, i));
+    for (let i = 1; i <= attemptCount; i++) {
+        attempts.push(launchAttempt(i));
     }
 
     // Wait for all attempts to settle (either resolve or reject)
@@ -571,7 +509,7 @@ async function startSession(baseUrl, logCapture = console.log) {
         if (results[i].status === 'fulfilled' && results[i].value.success) {
             winnerResult = results[i].value;
             winnerIndex = i;
-            logCapture(`${masterLogPrefix} Attempt ${winnerIndex + 1} succeeded first.`);
+            logCapture(`Attempt ${winnerIndex + 1} succeeded first.`);
             break; // Found the winner
         }
     }
@@ -587,16 +525,16 @@ async function startSession(baseUrl, logCapture = console.log) {
         if (result.status === 'fulfilled' && result.value.browser) {
             // Successful attempt, but not the winner
             browserToClose = result.value.browser;
-            logCapture(`${masterLogPrefix} Cleaning up successful-but-slower attempt ${i + 1}`);
+            logCapture(`Cleaning up successful-but-slower attempt ${i + 1}`);
         } else if (result.status === 'rejected' && result.reason.browser) {
             // Failed attempt, but browser might have been launched before failure
              // NOTE: _launchAndNavigateInstance now closes its own browser on failure,
              // so reason.browser should ideally be null. This is belt-and-suspenders.
             browserToClose = result.reason.browser;
-             logCapture(`${masterLogPrefix} Cleaning up failed attempt ${i + 1} (browser should already be closed)`);
+             logCapture(`Cleaning up failed attempt ${i + 1} (browser should already be closed)`);
         } else if (result.status === 'rejected') {
             // Failed attempt before browser launch or browser already closed
-             logCapture(`${masterLogPrefix} Noting failed attempt ${i + 1} (no browser to close)`);
+             logCapture(`Noting failed attempt ${i + 1} (no browser to close)`);
         }
 
 
@@ -608,63 +546,344 @@ async function startSession(baseUrl, logCapture = console.log) {
                      page.unrouteAll({ behavior: 'ignoreErrors' })
                          .catch(() => {}) // Ignore unroute errors
                          .finally(() => browserToClose.close()) // Ensure close is called
-                         .catch(e => logCapture(`${masterLogPrefix} Error closing loser browser ${i + 1}: ${e.message}`))
+                         .catch(e => logCapture(`Error closing loser browser ${i + 1}: ${e.message}`))
                  );
              } else {
                  cleanupPromises.push(
                      browserToClose.close()
-                         .catch(e => logCapture(`${masterLogPrefix} Error closing loser browser ${i + 1}: ${e.message}`))
+                         .catch(e => logCapture(`Error closing loser browser ${i + 1}: ${e.message}`))
                  );
             }
         }
     }
     // Wait for cleanup of losers to complete
     await Promise.allSettled(cleanupPromises);
-    logCapture(`${masterLogPrefix} Loser cleanup complete.`);
+    logCapture(`Loser cleanup complete.`);
+
+    // Combine error messages of the failed attempts
+    const errors = results
+        .map((r, idx) => r.status === 'rejected' ? `Attempt ${idx + 1}: ${r.reason.error || 'Unknown error'}` : null)
+        .filter(Boolean)
+        .join('; ');
+    // A block on any attempt is the most useful thing to report: retry on a fresh proxy IP
+    const failureCodes = results.filter(r => r.status === 'rejected').map(r => r.reason.errorCode).filter(Boolean);
+    const errorCode = failureCodes.includes('PROXY_BLOCKED') ? 'PROXY_BLOCKED' : (failureCodes[0] || 'BROWSER_LAUNCH_FAILED');
+
+    return { winnerResult, winnerIndex, errors, errorCode };
+}
+
+/**
+ * Starts a session. Hands out a pre-warmed browser from the pool when one is ready
+ * for this base URL; otherwise launches multiple concurrent browser instances
+ * and selects the first one that successfully navigates to the target URL.
+ * @param {string} baseUrl The target URL to navigate to initially.
+ * @param {Function} [logCapture=console.log] Function to capture logs.
+ * @returns {Promise<object>} Object indicating success/failure, sessionId, duration and whether the browser came from the pool
+ *  (errorCode on failure, see utils/bookingErrors.js).
+ */
+async function startSession(baseUrl, logCapture = console.log) {
+    const overallStartTime = Date.now();
+    const masterLogPrefix = `[Master-${crypto.randomUUID().substring(0, 8)}]`; // Short unique ID for this startSession call
 
+    // --- Warm Pool First ---
+    let winnerResult = _takeFromPool(baseUrl);
+    const fromPool = Boolean(winnerResult);
+    if (fromPool) {
+        logCapture(`${masterLogPrefix} Using pre-warmed browser from pool for: ${baseUrl} (warmed ${Math.round((Date.now() - winnerResult.warmedAt) / 1000)}s ago)`);
+    }
+    if (browserPool[baseUrl]) {
+        browserPool[baseUrl].lastUsedAt = Date.now();
+        _refillPool(baseUrl); // Top the pool back up in the background
+    } else if (config.POOL_SIZE > 0 && config.POOL_AUTO_REGISTER) {
+        if (Object.keys(browserPool).length < config.POOL_MAX_URLS) {
+            registerPoolUrl(baseUrl, config.POOL_SIZE, { auto: true }); // Keep browsers warm for this base URL while it's in use
+        } else {
+            logCapture(`${masterLogPrefix} Not pooling ${baseUrl}: ${config.POOL_MAX_URLS} base URLs are already pooled (POOL_MAX_URLS).`);
+        }
+    }
+
+    let errors = '';
+    let errorCode = null;
+    if (!winnerResult) {
+        logCapture(`${masterLogPrefix} Starting concurrent session initialization (${CONCURRENT_STARTUP_ATTEMPTS} attempts) for: ${baseUrl}`);
+        const race = await _raceLaunchInstances(baseUrl, (msg) => logCapture(`${masterLogPrefix} ${msg}`), CONCURRENT_STARTUP_ATTEMPTS);
+        winnerResult = race.winnerResult;
+        errors = race.errors;
+        errorCode = race.errorCode;
+    }
 
     // --- Handle Outcome ---
     if (winnerResult) {
         // Assign a *new* final sessionId for the winner
         const finalSessionId = crypto.randomUUID();
-        const { browser, context, page, duration: instanceDuration } = winnerResult;
+        const { browser, context, page } = winnerResult;
 
         // Store the winning session in activeSessions
         activeSessions[finalSessionId] = {
             page,
             browser,
             context,
+            baseUrl,
             logCapture: (msg) => logCapture(`[${finalSessionId}] ${msg}`), // Use final ID for session logs
             startTime: overallStartTime, // Use the overall start time
-            lastActiveTime: Date.now()
+            lastActiveTime: Date.now(),
+            proxyIp: winnerResult.proxyIp || null, // Exit IP seen by ipinfo.io (null if detection failed)
+            proxyEndpointId: winnerResult.proxyEndpointId || null,
+            fingerprint: winnerResult.fingerprint, // Profile every layer applies (utils/fingerprintProfiles.js)
+            fromPool
         };
+        // Later API calls and booking outcomes for this session go to the same proxy
+        proxyManager.assignSession(finalSessionId, { endpointId: winnerResult.proxyEndpointId, ip: winnerResult.proxyIp });
+        // Record ownership so restarts and other replicas can locate this session
+        await sessionRegistry.registerSession(finalSessionId, { baseUrl, state: 'ready' });
 
-        logCapture(`${masterLogPrefix} Session ${finalSessionId} (from attempt ${winnerIndex + 1}) established successfully.`);
+        logCapture(`${masterLogPrefix} Session ${finalSessionId} (${fromPool ? 'from warm pool' : 'cold launch'}) established successfully.`);
         const totalDuration = (Date.now() - overallStartTime) / 1000;
         return {
             success: true,
             sessionId: finalSessionId,
+            fromPool,
             duration: parseFloat(totalDuration.toFixed(2))
         };
 
     } else {
         // All attempts failed
         logCapture(`${masterLogPrefix} ❌ All ${CONCURRENT_STARTUP_ATTEMPTS} attempts failed.`);
-        // Combine error messages (optional)
-        const errors = results
-            .filter(r => r.status === 'rejected')
-            .map((r, idx) => `Attempt ${idx + 1}: ${r.reason.error || 'Unknown error'}`)
-            .join('; ');
-
         const totalDuration = (Date.now() - overallStartTime) / 1000;
         return {
             success: false,
             error: `All concurrent session attempts failed. Errors: ${errors}`,
+            errorCode,
             duration: parseFloat(totalDuration.toFixed(2))
         };
     }
 }
 
+// --- Warm Browser Pool ---
+// Keeps browsers already navigated to each registered base URL so startSession can
+// hand one out instantly. Members are refilled in the background and recycled before
+// they get old enough to go stale.
+
+/**
+ * Checks whether a pooled browser is still usable.
+ * @param {object} member Pool member ({ browser, page, ... })
+ * @returns {boolean}
+ */
+function _isPoolMemberHealthy(member) {
+    return Boolean(member.browser && member.browser.isConnected() && member.page && !member.page.isClosed());
+}
+
+/**
+ * Closes a pool member's browser, ignoring errors.
+ * @param {object} member Pool member
+ * @param {string} reason Why it is being closed (for logs)
+ */
+async function _closePoolMember(member, reason) {
+    console.log(`[Pool] Closing pooled browser for ${member.baseUrl} (${reason}).`);
+    if (member.page && !member.page.isClosed()) {
+        await member.page.unrouteAll({ behavior: 'ignoreErrors' }).catch(() => {});
+    }
+    await member.browser.close().catch(e => console.error(`[Pool] Error closing pooled browser: ${e.message}`));
+}
+
+/**
+ * Removes and returns a healthy warm browser for the base URL, or null if none is ready.
+ * @param {string} baseUrl The base URL the browser should already be on.
+ * @returns {object|null} { browser, context, page, warmedAt } or null
+ */
+function _takeFromPool(baseUrl) {
+    const pool = browserPool[baseUrl];
+    if (!pool) return null;
+
+    while (pool.members.length > 0) {
+        const member = pool.members.shift();
+        if (_isPoolMemberHealthy(member)) {
+            return member;
+        }
+        _closePoolMember(member, 'unhealthy when handed out');
+    }
+    return null;
+}
+
+/**
+ * Finds a warm page already on the base URL without taking it out of service, so
+ * read-only requests can reuse its cookies and proxy IP. Pool members are preferred;
+ * otherwise an active session on the same base URL is used.
+ * @param {string} baseUrl The base URL the page should be on.
+ * @returns {{page: object, source: string, id: string|null}|null} Null if nothing warm is available.
+ */
+function findWarmPage(baseUrl) {
+    const pool = browserPool[baseUrl];
+    const member = pool && pool.members.find(_isPoolMemberHealthy);
+    if (member) {
+        return { page: member.page, source: 'pool', id: null };
+    }
+    const entry = Object.entries(activeSessions).find(([, session]) =>
+        session.baseUrl === baseUrl && session.page && !session.page.isClosed()
+    );
+    if (entry) {
+        return { page: entry[1].page, source: 'session', id: entry[0] };
+    }
+    return null;
+}
+
+/**
+ * Registers a base URL with the warm pool (or changes its size) and starts filling it.
+ * @param {string} baseUrl The base URL to keep warm browsers for.
+ * @param {number} [size=config.POOL_SIZE] Number of ready browsers to keep.
+ * @param {Object} [options]
+ * @param {boolean} [options.auto=false] Registered on first use rather than by config or an admin; such pools
+ *  are dropped when idle or failing (see recyclePoolMembers and _refillPool).
+ * @returns {object} The pool status for this base URL.
+ */
+function registerPoolUrl(baseUrl, size = config.POOL_SIZE, { auto = false } = {}) {
+    if (!browserPool[baseUrl]) {
+        browserPool[baseUrl] = { size, members: [], refilling: false, consecutiveFailures: 0, autoRegistered: auto, lastUsedAt: Date.now() };
+        console.log(`[Pool] Registered ${baseUrl} with size ${size}${auto ? ' (auto)' : ''}.`);
+    } else if (!auto) {
+        browserPool[baseUrl].autoRegistered = false; // Explicitly registered: keep it
+    }
+    if (browserPool[baseUrl].size !== size) {
+        console.log(`[Pool] Resizing ${baseUrl} from ${browserPool[baseUrl].size} to ${size}.`);
+        browserPool[baseUrl].size = size;
+    }
+
+    const pool = browserPool[baseUrl];
+    // Shrink immediately if the new size is smaller
+    while (pool.members.length > pool.size) {
+        _closePoolMember(pool.members.pop(), 'pool resized');
+    }
+    _refillPool(baseUrl);
+    return _describePool(baseUrl);
+}
+
+/**
+ * Stops keeping warm browsers for a base URL and closes the ones it has.
+ * @param {string} baseUrl The base URL to remove.
+ * @returns {Promise<boolean>} False if the URL wasn't registered.
+ */
+async function unregisterPoolUrl(baseUrl) {
+    const pool = browserPool[baseUrl];
+    if (!pool) return false;
+    delete browserPool[baseUrl];
+    await Promise.allSettled(pool.members.map(member => _closePoolMember(member, 'base URL unregistered')));
+    console.log(`[Pool] Unregistered ${baseUrl}.`);
+    return true;
+}
+
+/**
+ * Launches browsers one at a time until the pool for a base URL is full.
+ * Runs in the background; only one refill loop per base URL at a time.
+ * @param {string} baseUrl The base URL to refill.
+ */
+async function _refillPool(baseUrl) {
+    const pool = browserPool[baseUrl];
+    if (!pool || pool.refilling) return;
+    pool.refilling = true;
+
+    try {
+        while (browserPool[baseUrl] === pool && pool.members.length < pool.size) {
+            const logPrefix = `[Pool-${crypto.randomUUID().substring(0, 8)}]`;
+            console.log(`${logPrefix} Warming browser ${pool.members.length + 1}/${pool.size} for ${baseUrl}...`);
+            const { winnerResult, errors } = await _raceLaunchInstances(
+                baseUrl,
+                (msg) => console.log(`${logPrefix} ${msg}`),
+                POOL_STARTUP_ATTEMPTS
+            );
+
+            if (!winnerResult) {
+                pool.consecutiveFailures++;
+                if (pool.autoRegistered && pool.consecutiveFailures >= config.POOL_MAX_FAILURES) {
+                    console.error(`${logPrefix} ❌ Failed to warm browser for ${baseUrl} ${pool.consecutiveFailures} times in a row (${errors}). Dropping its auto-registered pool.`);
+                    await unregisterPoolUrl(baseUrl);
+                    break;
+                }
+                const backoffMs = Math.min(POOL_RETRY_BASE_MS * Math.pow(2, pool.consecutiveFailures - 1), POOL_RETRY_MAX_MS);
+                console.error(`${logPrefix} ❌ Failed to warm browser for ${baseUrl} (${errors}). Retrying in ${backoffMs / 1000}s.`);
+                await new Promise(resolve => setTimeout(resolve, backoffMs).unref());
+                continue;
+            }
+
+            pool.consecutiveFailures = 0;
+            const member = {
+                browser: winnerResult.browser,
+                context: winnerResult.context,
+                page: winnerResult.page,
+                baseUrl,
+                proxyIp: winnerResult.proxyIp,
+                proxyEndpointId: winnerResult.proxyEndpointId,
+                fingerprint: winnerResult.fingerprint,
+                warmedAt: Date.now(),
+                warmupDuration: winnerResult.duration
+            };
+
+            // The URL may have been unregistered or shrunk while we were launching
+            if (browserPool[baseUrl] !== pool || pool.members.length >= pool.size) {
+                await _closePoolMember(member, 'no longer needed');
+                break;
+            }
+            pool.members.push(member);
+            console.log(`${logPrefix} ✅ Pool for ${baseUrl} now has ${pool.members.length}/${pool.size} ready browsers.`);
+        }
+    } catch (error) {
+        console.error(`[Pool] Unexpected error refilling pool for ${baseUrl}: ${error.message}`);
+    } finally {
+        pool.refilling = false;
+    }
+}
+
+/**
+ * Drops auto-registered pools that have gone unused for POOL_IDLE_MS, closes pooled browsers that
+ * have sat idle long enough to risk going stale (well before SESSION_TIMEOUT_MS) or that have
+ * crashed, then refills every pool.
+ */
+function recyclePoolMembers() {
+    const now = Date.now();
+    for (const [baseUrl, pool] of Object.entries(browserPool)) {
+        // Auto-registered pools only stay while their URL is in use
+        if (pool.autoRegistered && now - pool.lastUsedAt >= config.POOL_IDLE_MS) {
+            console.log(`[Pool] Dropping auto-registered pool for ${baseUrl}: unused for ${Math.floor((now - pool.lastUsedAt) / 1000 / 60)} minutes.`);
+            unregisterPoolUrl(baseUrl).catch(e => console.error(`[Pool] Error dropping pool for ${baseUrl}: ${e.message}`));
+            continue;
+        }
+        const keep = [];
+        for (const member of pool.members) {
+            if (!_isPoolMemberHealthy(member)) {
+                _closePoolMember(member, 'unhealthy');
+            } else if (now - member.warmedAt >= POOL_RECYCLE_MS) {
+                _closePoolMember(member, `idle for ${Math.floor((now - member.warmedAt) / 1000 / 60)} minutes`);
+            } else {
+                keep.push(member);
+            }
+        }
+        pool.members = keep;
+        _refillPool(baseUrl);
+    }
+}
+
+function _describePool(baseUrl) {
+    const pool = browserPool[baseUrl];
+    const now = Date.now();
+    return {
+        baseUrl,
+        size: pool.size,
+        ready: pool.members.length,
+        refilling: pool.refilling,
+        consecutiveFailures: pool.consecutiveFailures,
+        autoRegistered: pool.autoRegistered,
+        lastUsedAt: new Date(pool.lastUsedAt).toISOString(),
+        memberAgesSeconds: pool.members.map(member => Math.round((now - member.warmedAt) / 1000))
+    };
+}
+
+/**
+ * Summarises every registered pool.
+ * @returns {object[]} One entry per base URL with size, ready count and member ages.
+ */
+function getPoolStatus() {
+    return Object.keys(browserPool).map(_describePool);
+}
+
 // --- Session Cleanup Logic (Simplified: Just close the session's browser) ---
 async function closeSession(sessionId) {
     const session = activeSessions[sessionId];
@@ -685,25 +904,56 @@ async function closeSession(sessionId) {
             });
         }
         
-        delete activeSessions[sessionId];
+        await releaseSession(sessionId);
         logCapture(`[${sessionId}] Session closed and removed from active sessions.`);
         return true;
     } catch (e) {
         console.error(`Error closing session ${sessionId}:`, e);
-        delete activeSessions[sessionId]; // Still remove from active sessions
+        await releaseSession(sessionId); // Still remove from active sessions
         return false;
     }
 }
 
+/**
+ * Forgets a session without touching its browser: removes it from activeSessions
+ * and from the shared session registry. Callers close the browser themselves.
+ * @param {string} sessionId - Session identifier
+ */
+async function releaseSession(sessionId) {
+    delete activeSessions[sessionId];
+    await sessionRegistry.removeSession(sessionId);
+}
+
 // --- Start Periodic Cleanup --- (No change)
 console.log(`[SessionManager] Initializing idle session cleanup. Timeout: ${SESSION_TIMEOUT_MS / 1000 / 60} mins, Check Interval: ${CLEANUP_INTERVAL_MS / 1000 / 60} mins.`);
 startIdleSessionCleanup();
 const cleanupIntervalId = setInterval(startIdleSessionCleanup, CLEANUP_INTERVAL_MS);
 
+// --- Session Registry Sync ---
+// Anything this instance owned before a restart lost its browser; mark it orphaned.
+console.log(`[SessionManager] Session registry instance: ${sessionRegistry.INSTANCE_ID}`);
+sessionRegistry.reconcileOwnedSessions(new Set(Object.keys(activeSessions)))
+    .catch(e => console.error(`[SessionManager] Registry reconciliation failed: ${e.message}`));
+const registryHeartbeatId = setInterval(() => {
+    sessionRegistry.heartbeat(activeSessions)
+        .catch(e => console.error(`[SessionManager] Registry heartbeat failed: ${e.message}`));
+}, config.SESSION_REGISTRY_HEARTBEAT_MS);
+registryHeartbeatId.unref();
+
+// --- Start Warm Pool ---
+if (config.POOL_SIZE > 0 && config.POOL_BASE_URLS.length > 0) {
+    console.log(`[SessionManager] Warming pool of ${config.POOL_SIZE} browsers for: ${config.POOL_BASE_URLS.join(', ')}`);
+    config.POOL_BASE_URLS.forEach(baseUrl => registerPoolUrl(baseUrl));
+}
+const poolRecycleIntervalId = setInterval(recyclePoolMembers, POOL_CHECK_INTERVAL_MS);
+poolRecycleIntervalId.unref();
+
 // --- Graceful Shutdown (Simplified: Close browsers in activeSessions) ---
 process.on('SIGINT', async () => {
   console.log('\n[SessionManager] Received SIGINT. Shutting down...');
   clearInterval(cleanupIntervalId);
+  clearInterval(registryHeartbeatId);
+  clearInterval(poolRecycleIntervalId);
   console.log('[SessionManager] Closing browsers for all remaining active sessions...');
   const closePromises = Object.values(activeSessions).map(async (session) => {
       // Log which session's browser is being closed
@@ -716,16 +966,35 @@ process.on('SIGINT', async () => {
       } catch (e) {
           console.error(`[SessionManager] Error closing browser for session ${sessionId}: ${e.message}`);
       }
+      await sessionRegistry.removeSession(sessionId);
   });
   await Promise.allSettled(closePromises);
+  console.log('[SessionManager] Closing warm pool browsers...');
+  await Promise.allSettled(Object.keys(browserPool).map(unregisterPoolUrl));
   console.log('[SessionManager] All active session browsers closed. Exiting.');
   process.exit(0);
 });
 
-// --- Exports --- (Removed pool related)
+// --- Exports ---
 module.exports = {
     startSession,
     startPredictiveSession,
+    getPredictiveGroup,
+    findPredictiveOption,
+    describePredictiveOption,
+    addPredictiveOption,
+    repointPredictiveOption,
+    dropPredictiveOption,
+    listPredictiveGroups,
+    refillPredictiveOption,
+    describePredictiveGroup,
+    cancelPredictiveSession,
+    closeSession,
+    releaseSession,
+    registerPoolUrl,
+    unregisterPoolUrl,
+    getPoolStatus,
+    findWarmPage,
     activeSessions
 };
 
@@ -763,246 +1032,599 @@ function startIdleSessionCleanup() {
                 }
                 
                 // Remove from active sessions
-                delete activeSessions[sessionId];
+                releaseSession(sessionId);
                 console.log(`[SessionManager] Idle session ${sessionId} cleaned up.`);
             } catch (error) {
                 console.error(`[SessionManager] Error during cleanup of session ${sessionId}:`, error.message);
                 // Still remove from active sessions if cleanup failed
-                delete activeSessions[sessionId];
+                releaseSession(sessionId);
             }
         }
     }
+    _prunePredictiveGroups();
 }
 
 /**
- * Starts a predictive session with two separate browser instances for two potential meeting times
+ * Browses the base URL like a person before moving on to a slot. Options alternate
+ * between two patterns so parallel browsers don't behave identically.
+ * @param {import('playwright').Page} page
+ * @param {number} rank - Option rank (picks the pattern)
+ * @param {Function} logCapture
+ */
+async function _browseBaseUrl(page, rank, logCapture) {
+    logCapture('Interacting with base URL before proceeding to booking URL...');
+    if (rank % 2 === 1) {
+        // Perform some scrolling
+        await page.evaluate(() => {
+            return new Promise(resolve => {
+                // Scroll down slowly
+                let totalScroll = 0;
+                const maxScroll = 300 + Math.random() * 200;
+
+                const scrollStep = () => {
+                    const step = 10 + Math.random() * 20;
+                    window.scrollBy(0, step);
+                    totalScroll += step;
+
+                    if (totalScroll < maxScroll) {
+                        setTimeout(scrollStep, 100 + Math.random() * 150);
+                    } else {
+                        // After scrolling down, scroll back up partially
+                        setTimeout(() => {
+                            window.scrollBy(0, -100 - Math.random() * 100);
+                            setTimeout(resolve, 500);
+                        }, 1000);
+                    }
+                };
+
+                setTimeout(scrollStep, 500 + Math.random() * 500);
+            });
+        });
+
+        // Move mouse randomly
+        const viewportSize = await page.viewportSize();
+        if (viewportSize) {
+            await page.mouse.move(
+                Math.random() * viewportSize.width * 0.8,
+                Math.random() * viewportSize.height * 0.8
+            );
+            await page.waitForTimeout(300 + Math.random() * 500);
+        }
+
+        // Wait a bit more with natural delay
+        await page.waitForTimeout(1500 + Math.random() * 1000);
+        return;
+    }
+
+    // Perform some scrolling (slightly different pattern for variation)
+    await page.evaluate(() => {
+        return new Promise(resolve => {
+            // Scroll down in steps
+            let scrollPosition = 0;
+            const scrollTargets = [
+                150 + Math.random() * 50,
+                300 + Math.random() * 100,
+                200 + Math.random() * 100 // Scroll back up a bit
+            ];
+
+            const performScroll = (index) => {
+                if (index >= scrollTargets.length) {
+                    resolve();
+                    return;
+                }
+
+                const target = scrollTargets[index];
+                const scrollDiff = target - scrollPosition;
+                window.scrollBy(0, scrollDiff);
+                scrollPosition = target;
+
+                setTimeout(() => performScroll(index + 1), 1000 + Math.random() * 500);
+            };
+
+            setTimeout(() => performScroll(0), 400 + Math.random() * 300);
+        });
+    });
+
+    // Tab through elements a couple times
+    const tabCount = 1 + Math.floor(Math.random() * 3);
+    for (let i = 0; i < tabCount; i++) {
+        await page.keyboard.press('Tab');
+        await page.waitForTimeout(300 + Math.random() * 400);
+    }
+
+    // Wait a bit more with natural delay (slightly different from the other pattern)
+    await page.waitForTimeout(1200 + Math.random() * 1500);
+}
+
+/**
+ * Runs fn over items with at most `limit` calls in flight. Results keep the input order.
+ */
+async function _mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    return results;
+}
+
+/**
+ * New, not yet started option of a predictive group.
+ * @param {string} bookingUrl - Slot booking URL
+ * @param {number} rank - 1 = preferred
+ */
+function _newPredictiveOption(bookingUrl, rank) {
+    const parsed = parseEventUrl(bookingUrl);
+    return {
+        slotId: crypto.randomBytes(4).toString('hex'),
+        rank,
+        bookingUrl,
+        startTime: parsed ? parsed.startTime : null,
+        sessionId: null,
+        state: 'queued',
+        error: null,
+        errorCode: null,
+        prepResult: null,
+        preparedAt: null,
+        freshness: null
+    };
+}
+
+/**
+ * Public view of a predictive option. An option whose browser has gone reports 'closed'.
+ * @param {Object} option - Option record from a predictive group
+ * @returns {{slotId: string, rank: number, bookingUrl: string, startTime: string|null, sessionId: string|null,
+ *   state: string, ready: boolean, error: string|null, errorCode: string|null, phone: Object|null, questions: Object|null, guests: Object|null,
+ *   preparedAt: string|null, freshness: Object|null}}
+ *  freshness is the keep-alive's last check (see services/predictiveKeepAlive.js), null before the first one.
+ */
+function describePredictiveOption(option) {
+    const session = option.sessionId ? activeSessions[option.sessionId] : null;
+    const live = ['preparing', 'prepared', 'not-ready', 'submitting'].includes(option.state);
+    const state = live && !session ? 'closed' : option.state;
+    return {
+        slotId: option.slotId,
+        rank: option.rank,
+        bookingUrl: option.bookingUrl,
+        startTime: option.startTime,
+        sessionId: option.sessionId,
+        state,
+        ready: state === 'prepared' && Boolean(session && session.formReady) && option.freshness?.slotOffered !== false,
+        error: option.error,
+        errorCode: option.errorCode,
+        phone: option.prepResult?.phone || null,
+        questions: option.prepResult?.questions || null,
+        guests: option.prepResult?.guests || null,
+        preparedAt: option.preparedAt ? new Date(option.preparedAt).toISOString() : null,
+        freshness: option.freshness
+    };
+}
+
+/**
+ * Starts a browser for one option, warms it on the base URL, then opens the slot and
+ * fills in the form. Failures are recorded on the option rather than thrown.
+ * @param {Object} group - Predictive group
+ * @param {Object} option - Option record (updated in place)
+ * @param {Function} logCapture
+ */
+async function _prepareOption(group, option, logCapture) {
+    const log = (msg) => logCapture(`[Option${option.rank}] ${msg}`);
+
+    option.state = 'starting';
+    log(`Launching browser starting with base URL: ${group.baseUrl}`);
+    const started = await startSession(group.baseUrl, log);
+    if (!started.success) {
+        Object.assign(option, { state: 'failed', error: `Session failed: ${started.error}`, errorCode: errorFields(started).errorCode });
+        log(`❌ ${option.error}`);
+        return;
+    }
+
+    option.sessionId = started.sessionId;
+    if (group.cancelled) {
+        // The predictive session was cancelled while this browser was launching
+        log(`Predictive session was cancelled; closing session ${started.sessionId}.`);
+        await closeSession(started.sessionId);
+        option.state = 'closed';
+        return;
+    }
+    activeSessions[started.sessionId].clientInfo = { ...group.clientInfo };
+    activeSessions[started.sessionId].masterSessionId = group.masterSessionId;
+    await _fillOption(group, option, { browse: true }, log);
+}
+
+/**
+ * Opens the option's slot in its browser and fills in the form. Also used to re-point
+ * a warm browser at another slot (browse: false, it is already past the base URL).
+ * @param {Object} group - Predictive group
+ * @param {Object} option - Option record with a live sessionId (updated in place)
+ * @param {Object} opts
+ * @param {boolean} opts.browse - Browse the base URL first
+ * @param {Function} log
+ */
+async function _fillOption(group, option, { browse }, log) {
+    const { prepareBooking } = require('./services/predictiveBookingService');
+    const session = activeSessions[option.sessionId];
+    const { clientInfo, masterSessionId } = group;
+    const { name, email, phone, guests = [] } = clientInfo;
+    option.state = 'preparing';
+    session.formReady = false;
+    session.bookingUrl = option.bookingUrl;
+    session.predictiveSlotId = option.slotId;
+    // What the form will book, so the booking can be recorded when it is submitted
+    session.booking = { bookingUrl: option.bookingUrl, invitee: { name, email, phone }, guests };
+    await sessionRegistry.updateSession(option.sessionId, { masterSessionId, state: 'preparing' });
+
+    let prepResult;
+    try {
+        if (browse) await _browseBaseUrl(session.page, option.rank, log);
+
+        // Now navigate to specific booking URL
+        log(`Navigating to specific booking URL: ${option.bookingUrl}`);
+        await session.page.goto(option.bookingUrl, {
+            waitUntil: 'domcontentloaded',
+            timeout: 30000
+        });
+
+        log('Preparing booking form...');
+        prepResult = await prepareBooking(session.page, option.bookingUrl, name, email, phone, log,
+            { answers: clientInfo.answers, guests: clientInfo.guests, notes: clientInfo.notes });
+    } catch (error) {
+        prepResult = { success: false, error: error.message, ...errorFields(error) };
+    }
+
+    // The browser may have been closed while the form was being prepared
+    if (!activeSessions[option.sessionId]) {
+        Object.assign(option, { state: 'closed', prepResult });
+        return;
+    }
+    session.prepResult = prepResult;
+    session.formReady = prepResult.success;
+    Object.assign(option, {
+        state: prepResult.success ? 'prepared' : 'not-ready',
+        error: prepResult.success ? null : prepResult.error,
+        errorCode: prepResult.success ? null : errorFields(prepResult).errorCode,
+        prepResult,
+        preparedAt: Date.now()
+    });
+    if (!prepResult.success) {
+        // We keep the session even if form filling failed
+        log(`⚠️ Warning: Preparation of the form failed: ${prepResult.error}`);
+    }
+    await sessionRegistry.markSessionState(option.sessionId, prepResult.success ? 'prepared' : 'ready');
+}
+
+/**
+ * Starts a predictive session: one browser per candidate slot, each with the booking form
+ * filled in and waiting for submit, so whichever time the lead picks books instantly.
+ * At most PREDICTIVE_MAX_CONCURRENT options are started at once.
  * @param {string} baseUrl - The base Calendly URL
- * @param {string} bookingUrl1 - First specific booking URL with date/time
- * @param {string} bookingUrl2 - Second specific booking URL with date/time
+ * @param {string[]} bookingUrls - Candidate slot booking URLs, preferred first
  * @param {Object} clientInfo - Client information for booking
  * @param {string} clientInfo.name - Client name
  * @param {string} clientInfo.email - Client email
  * @param {string} clientInfo.phone - Client phone in format "+1 1234567890"
+ * @param {Object} [clientInfo.answers] - Custom question answers keyed by label or position
+ * @param {string[]} [clientInfo.guests] - Guest emails
+ * @param {string} [clientInfo.notes] - Invitee notes
  * @param {Function} logCapture - Function to capture logs
- * @returns {Promise<Object>} Success/failure status and session IDs
+ * @param {Object} [options]
+ * @param {string} [options.apiKeyId] - API key that started the group
+ * @returns {Promise<{success: boolean, masterSessionId?: string, options?: Array<Object>, readyCount?: number,
+ *   error?: string, errorCode?: string, retryable?: boolean, duration: number}>}
+ *  options are in rank order (see describePredictiveOption). Succeeds when at least one
+ *  option has a live browser; check each option's ready flag before offering it.
  */
-async function startPredictiveSession(baseUrl, bookingUrl1, bookingUrl2, clientInfo, logCapture = console.log) {
+async function startPredictiveSession(baseUrl, bookingUrls, clientInfo, logCapture = console.log, { apiKeyId = null } = {}) {
     const masterSessionId = crypto.randomUUID();
     const startTime = Date.now();
-    logCapture(`[${masterSessionId}] Starting predictive session with two options...`);
-    
+    const group = {
+        masterSessionId,
+        baseUrl,
+        clientInfo: { ...clientInfo },
+        apiKeyId,
+        createdAt: startTime,
+        options: bookingUrls.map((bookingUrl, index) => _newPredictiveOption(bookingUrl, index + 1))
+    };
+    predictiveGroups[masterSessionId] = group;
+    logCapture(`[${masterSessionId}] Starting predictive session with ${group.options.length} options (up to ${config.PREDICTIVE_MAX_CONCURRENT} at once)...`);
+
     try {
-        // Import the new predictive booking service
-        const { prepareBooking } = require('./services/predictiveBookingService');
-        
-        // Start two separate browser sessions going first to the base URL
-        logCapture(`[${masterSessionId}] Launching first browser starting with base URL: ${baseUrl}`);
-        const session1Promise = startSession(baseUrl, 
-            (msg) => logCapture(`[Option1] ${msg}`));
-            
-        logCapture(`[${masterSessionId}] Launching second browser starting with base URL: ${baseUrl}`);
-        const session2Promise = startSession(baseUrl, 
-            (msg) => logCapture(`[Option2] ${msg}`));
-        
-        // Wait for both sessions to initialize
-        const [session1Result, session2Result] = await Promise.all([session1Promise, session2Promise]);
-        
-        // Check if both sessions started successfully
-        if (!session1Result.success || !session2Result.success) {
-            const errorMessage = !session1Result.success 
-                ? `First session failed: ${session1Result.error}` 
-                : `Second session failed: ${session2Result.error}`;
-                
-            throw new Error(errorMessage);
-        }
-        
-        const sessionId1 = session1Result.sessionId;
-        const sessionId2 = session2Result.sessionId;
-        
-        // Store client information in both sessions
-        if (activeSessions[sessionId1]) {
-            activeSessions[sessionId1].clientInfo = { ...clientInfo };
-            activeSessions[sessionId1].bookingUrl = bookingUrl1;
-            
-            // Wait a few seconds on base URL with some human-like interaction
-            const page1 = activeSessions[sessionId1].page;
-            logCapture(`[Option1] Interacting with base URL before proceeding to booking URL...`);
-            
-            // Perform some scrolling
-            await page1.evaluate(() => {
-                return new Promise(resolve => {
-                    // Scroll down slowly
-                    let totalScroll = 0;
-                    const maxScroll = 300 + Math.random() * 200;
-                    
-                    const scrollStep = () => {
-                        const step = 10 + Math.random() * 20;
-                        window.scrollBy(0, step);
-                        totalScroll += step;
-                        
-                        if (totalScroll < maxScroll) {
-                            setTimeout(scrollStep, 100 + Math.random() * 150);
-                        } else {
-                            // After scrolling down, scroll back up partially
-                            setTimeout(() => {
-                                window.scrollBy(0, -100 - Math.random() * 100);
-                                setTimeout(resolve, 500);
-                            }, 1000);
-                        }
-                    };
-                    
-                    setTimeout(scrollStep, 500 + Math.random() * 500);
-                });
-            });
-            
-            // Move mouse randomly
-            const viewportSize = await page1.viewportSize();
-            if (viewportSize) {
-                await page1.mouse.move(
-                    Math.random() * viewportSize.width * 0.8, 
-                    Math.random() * viewportSize.height * 0.8
-                );
-                await page1.waitForTimeout(300 + Math.random() * 500);
-            }
-            
-            // Wait a bit more with natural delay
-            await page1.waitForTimeout(1500 + Math.random() * 1000);
-            
-            // Now navigate to specific booking URL
-            logCapture(`[Option1] Navigating from base URL to specific booking URL: ${bookingUrl1}`);
-            await page1.goto(bookingUrl1, {
-                waitUntil: 'domcontentloaded',
-                timeout: 30000
-            });
-        }
-        
-        if (activeSessions[sessionId2]) {
-            activeSessions[sessionId2].clientInfo = { ...clientInfo };
-            activeSessions[sessionId2].bookingUrl = bookingUrl2;
-            
-            // Wait a few seconds on base URL with some human-like interaction
-            const page2 = activeSessions[sessionId2].page;
-            logCapture(`[Option2] Interacting with base URL before proceeding to booking URL...`);
-            
-            // Perform some scrolling (slightly different pattern for variation)
-            await page2.evaluate(() => {
-                return new Promise(resolve => {
-                    // Scroll down in steps
-                    let scrollPosition = 0;
-                    const scrollTargets = [
-                        150 + Math.random() * 50, 
-                        300 + Math.random() * 100,
-                        200 + Math.random() * 100 // Scroll back up a bit
-                    ];
-                    
-                    const performScroll = (index) => {
-                        if (index >= scrollTargets.length) {
-                            resolve();
-                            return;
-                        }
-                        
-                        const target = scrollTargets[index];
-                        const scrollDiff = target - scrollPosition;
-                        window.scrollBy(0, scrollDiff);
-                        scrollPosition = target;
-                        
-                        setTimeout(() => performScroll(index + 1), 1000 + Math.random() * 500);
-                    };
-                    
-                    setTimeout(() => performScroll(0), 400 + Math.random() * 300);
-                });
-            });
-            
-            // Tab through elements a couple times
-            const tabCount = 1 + Math.floor(Math.random() * 3);
-            for (let i = 0; i < tabCount; i++) {
-                await page2.keyboard.press('Tab');
-                await page2.waitForTimeout(300 + Math.random() * 400);
-            }
-            
-            // Wait a bit more with natural delay (slightly different from session 1)
-            await page2.waitForTimeout(1200 + Math.random() * 1500);
-            
-            // Now navigate to specific booking URL
-            logCapture(`[Option2] Navigating from base URL to specific booking URL: ${bookingUrl2}`);
-            await page2.goto(bookingUrl2, {
-                waitUntil: 'domcontentloaded',
-                timeout: 30000
-            });
-        }
-        
-        // Link the two sessions together under the master session
-        activeSessions[sessionId1].masterSessionId = masterSessionId;
-        activeSessions[sessionId2].masterSessionId = masterSessionId;
-        
-        // Now prepare both booking forms using the new service
-        logCapture(`[${masterSessionId}] Preparing booking form for option 1...`);
-        const prepareOption1 = prepareBooking(
-            activeSessions[sessionId1].page,
-            bookingUrl1,
-            clientInfo.name,
-            clientInfo.email,
-            clientInfo.phone,
-            (msg) => logCapture(`[Option1] ${msg}`)
-        );
-        
-        logCapture(`[${masterSessionId}] Preparing booking form for option 2...`);
-        const prepareOption2 = prepareBooking(
-            activeSessions[sessionId2].page,
-            bookingUrl2,
-            clientInfo.name,
-            clientInfo.email,
-            clientInfo.phone,
-            (msg) => logCapture(`[Option2] ${msg}`)
-        );
-        
-        // Wait for both preparations to complete
-        const [prepResult1, prepResult2] = await Promise.all([prepareOption1, prepareOption2]);
-        
-        // Check preparation results
-        if (!prepResult1.success || !prepResult2.success) {
-            const errorMessage = !prepResult1.success 
-                ? `Preparation of form 1 failed: ${prepResult1.error}` 
-                : `Preparation of form 2 failed: ${prepResult2.error}`;
-                
-            logCapture(`[${masterSessionId}] ⚠️ Warning: ${errorMessage}`);
-            // We won't throw here, as we still have the sessions even if form filling failed
-        }
-        
-        // Update session data with preparation results
-        if (activeSessions[sessionId1]) {
-            activeSessions[sessionId1].prepResult = prepResult1;
-            activeSessions[sessionId1].formReady = prepResult1.success;
-        }
-        
-        if (activeSessions[sessionId2]) {
-            activeSessions[sessionId2].prepResult = prepResult2;
-            activeSessions[sessionId2].formReady = prepResult2.success;
+        await _mapWithConcurrency(group.options, config.PREDICTIVE_MAX_CONCURRENT, option => _prepareOption(group, option, logCapture));
+
+        const options = group.options.map(describePredictiveOption);
+        if (!group.options.some(option => option.sessionId)) {
+            delete predictiveGroups[masterSessionId];
+            const [first] = group.options;
+            throw codedError(first.errorCode, `All ${group.options.length} option sessions failed. Option 1: ${first.error}`);
         }
-        
+
         const totalTime = (Date.now() - startTime) / 1000;
-        logCapture(`[${masterSessionId}] Predictive session initialized successfully in ${totalTime.toFixed(2)}s`);
-        logCapture(`[${masterSessionId}] Session 1 ID: ${sessionId1}, Form Ready: ${prepResult1.success}`);
-        logCapture(`[${masterSessionId}] Session 2 ID: ${sessionId2}, Form Ready: ${prepResult2.success}`);
-        
+        const readyCount = options.filter(option => option.ready).length;
+        logCapture(`[${masterSessionId}] Predictive session initialized in ${totalTime.toFixed(2)}s with ${readyCount}/${options.length} forms ready`);
+        for (const option of options) {
+            logCapture(`[${masterSessionId}] Option ${option.rank} (${option.slotId}, ${option.startTime}): session ${option.sessionId || '-'}, ${option.state}`);
+        }
+
         return {
             success: true,
-            sessionId1,
-            sessionId2,
             masterSessionId,
-            option1Ready: prepResult1.success,
-            option2Ready: prepResult2.success,
+            options,
+            readyCount,
             duration: parseFloat(totalTime.toFixed(2))
         };
-        
+
     } catch (error) {
         logCapture(`[${masterSessionId}] ❌ ERROR during predictive session start: ${error.message || error}`);
-        
+
         const totalTime = (Date.now() - startTime) / 1000;
         return {
             success: false,
             error: error.message || 'Unknown error',
+            ...errorFields(error),
             duration: parseFloat(totalTime.toFixed(2))
         };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Returns a predictive group held by this process, or null.
+ * @param {string} masterSessionId
+ */
+function getPredictiveGroup(masterSessionId) {
+    return predictiveGroups[masterSessionId] || null;
+}
+
+/**
+ * Finds the option a caller picked, by slot ID or by start time (any ISO 8601 offset).
+ * @param {string} masterSessionId
+ * @param {Object} selection
+ * @param {string} [selection.slotId]
+ * @param {string} [selection.startTime]
+ * @returns {Object|null} Option record
+ */
+function findPredictiveOption(masterSessionId, { slotId, startTime } = {}) {
+    const group = predictiveGroups[masterSessionId];
+    if (!group) return null;
+    if (slotId) return group.options.find(option => option.slotId === slotId) || null;
+    const wanted = DateTime.fromISO(startTime || '', { setZone: true });
+    if (!wanted.isValid) return null;
+    return group.options.find(option => {
+        const start = DateTime.fromISO(option.startTime || '', { setZone: true });
+        return start.isValid && start.toMillis() === wanted.toMillis();
+    }) || null;
+}
+
+/**
+ * Looks up a group (and optionally one of its options) that is about to be changed.
+ * @returns {{group: Object, option?: Object}|Object} The group and option, or a failed result
+ */
+function _predictiveChangeTarget(masterSessionId, slotId) {
+    const group = predictiveGroups[masterSessionId];
+    if (!group) {
+        return bookingFailure('SESSION_NOT_FOUND', `Predictive session ${masterSessionId} not found or has expired.`);
+    }
+    if (group.options.some(option => option.state === 'booked')) {
+        return bookingFailure('BOOKING_STATE_CONFLICT', `Predictive session ${masterSessionId} has already been booked.`);
+    }
+    if (group.options.some(option => option.state === 'submitting')) {
+        return bookingFailure('OPTION_BUSY', `Predictive session ${masterSessionId} is submitting a booking; it can't be changed now.`);
+    }
+    if (slotId === undefined) return { group };
+    const option = group.options.find(o => o.slotId === slotId);
+    if (!option) {
+        return bookingFailure('NOT_FOUND', `Predictive session ${masterSessionId} has no option with slotId ${slotId}.`);
+    }
+    return { group, option };
+}
+
+/**
+ * Checks a slot can join a group: same event type, a start time no other option has.
+ * @returns {string|null} Error message, or null if the slot fits
+ */
+function _slotConflict(group, bookingUrl, ignore = null) {
+    const parsed = typeof bookingUrl === 'string' ? parseEventUrl(bookingUrl) : null;
+    const base = parseEventUrl(group.baseUrl);
+    if (!parsed || !parsed.startTime) {
+        return `Invalid booking URL, expected https://calendly.com/<user>/<event>/<start time>: ${bookingUrl}.`;
+    }
+    if (parsed.profileSlug !== base.profileSlug || parsed.eventTypeSlug !== base.eventTypeSlug) {
+        return `Booking URL must be for the predictive session's event type (${group.baseUrl}).`;
+    }
+    const wanted = DateTime.fromISO(parsed.startTime, { setZone: true }).toMillis();
+    const taken = group.options.find(option => option !== ignore && DateTime.fromISO(option.startTime || '', { setZone: true }).toMillis() === wanted);
+    return taken ? `Option ${taken.rank} (${taken.slotId}) already holds ${taken.startTime}.` : null;
+}
+
+/**
+ * Adds a candidate slot to a live predictive session. It gets its own browser, ranked
+ * after the existing options.
+ * @param {string} masterSessionId
+ * @param {string} bookingUrl - Slot booking URL (same event type as the group)
+ * @param {Function} [logCapture=console.log]
+ * @returns {Promise<{success: boolean, masterSessionId?: string, option?: Object, options?: Array<Object>, error?: string, errorCode?: string, retryable?: boolean}>}
+ *  option is the new option (see describePredictiveOption); options is the whole group.
+ *  Fails (and the option is not kept) when no browser could be started; a browser whose
+ *  form could not be filled in is kept with ready: false, as in startPredictiveSession.
+ */
+async function addPredictiveOption(masterSessionId, bookingUrl, logCapture = console.log) {
+    const target = _predictiveChangeTarget(masterSessionId);
+    if (!target.group) return target;
+    const { group } = target;
+    if (group.options.length >= config.PREDICTIVE_MAX_OPTIONS) {
+        return bookingFailure('VALIDATION_ERROR', `Predictive session ${masterSessionId} already has ${group.options.length} options (max ${config.PREDICTIVE_MAX_OPTIONS}). Drop one first.`);
+    }
+    const conflict = _slotConflict(group, bookingUrl);
+    if (conflict) return bookingFailure('VALIDATION_ERROR', conflict);
+
+    const option = _newPredictiveOption(bookingUrl, Math.max(0, ...group.options.map(o => o.rank)) + 1);
+    group.options.push(option);
+    logCapture(`[${masterSessionId}] Adding option ${option.rank} (${option.slotId}): ${bookingUrl}`);
+    await _prepareOption(group, option, logCapture);
+    if (!option.sessionId) {
+        group.options = group.options.filter(o => o !== option);
+        return bookingFailure(option.errorCode, option.error, { masterSessionId, option: describePredictiveOption(option) });
+    }
+    return { success: true, masterSessionId, option: describePredictiveOption(option), options: group.options.map(describePredictiveOption) };
+}
+
+/**
+ * Moves an option's warm browser to another slot and fills in the form again. The option
+ * keeps its rank and gets a new slotId; completing with the old one fails.
+ * @param {string} masterSessionId
+ * @param {string} slotId - Option to move
+ * @param {string} bookingUrl - New slot booking URL (same event type as the group)
+ * @param {Function} [logCapture=console.log]
+ * @returns {Promise<Object>} Same shape as addPredictiveOption, plus previousSlotId and previousStartTime
+ */
+async function repointPredictiveOption(masterSessionId, slotId, bookingUrl, logCapture = console.log) {
+    const target = _predictiveChangeTarget(masterSessionId, slotId);
+    if (!target.option) return target;
+    const { group, option } = target;
+    if (['queued', 'starting', 'preparing'].includes(option.state)) {
+        return bookingFailure('OPTION_BUSY', `Option ${option.rank} (${slotId}) is still being prepared (${option.state}).`);
+    }
+    if (!option.sessionId || !activeSessions[option.sessionId]) {
+        return bookingFailure('SESSION_NOT_FOUND', `Option ${option.rank} (${slotId}) has no live browser to re-point. Add a new option instead.`);
+    }
+    const conflict = _slotConflict(group, bookingUrl, option);
+    if (conflict) return bookingFailure('VALIDATION_ERROR', conflict);
+
+    const previous = { previousSlotId: option.slotId, previousStartTime: option.startTime };
+    Object.assign(option, _newPredictiveOption(bookingUrl, option.rank), { sessionId: option.sessionId });
+    const log = (msg) => logCapture(`[Option${option.rank}] ${msg}`);
+    log(`Re-pointing session ${option.sessionId} from ${previous.previousStartTime} to ${option.startTime} (slotId ${option.slotId})`);
+    await _fillOption(group, option, { browse: false }, log);
+    return { success: true, masterSessionId, ...previous, option: describePredictiveOption(option), options: group.options.map(describePredictiveOption) };
+}
+
+/**
+ * Removes an option from a live predictive session and closes its browser.
+ * @param {string} masterSessionId
+ * @param {string} slotId - Option to drop
+ * @param {Function} [logCapture=console.log]
+ * @returns {Promise<Object>} { success, masterSessionId, option (as it was), options } or a failed result
+ */
+async function dropPredictiveOption(masterSessionId, slotId, logCapture = console.log) {
+    const target = _predictiveChangeTarget(masterSessionId, slotId);
+    if (!target.option) return target;
+    const { group, option } = target;
+    if (['queued', 'starting', 'preparing'].includes(option.state)) {
+        return bookingFailure('OPTION_BUSY', `Option ${option.rank} (${slotId}) is still being prepared (${option.state}).`);
+    }
+    const dropped = describePredictiveOption(option);
+    group.options = group.options.filter(o => o !== option);
+    if (option.sessionId && activeSessions[option.sessionId]) {
+        logCapture(`[${masterSessionId}] Dropping option ${option.rank} (${slotId}), closing session ${option.sessionId}...`);
+        await closeSession(option.sessionId);
+    }
+    return { success: true, masterSessionId, option: dropped, options: group.options.map(describePredictiveOption) };
+}
+
+/**
+ * Public view of a predictive group: overall state plus every option with its prep result.
+ * @param {Object} group - Predictive group
+ * @returns {{masterSessionId: string, baseUrl: string, createdAt: string, state: string, readyCount: number, options: Array<Object>}}
+ *  state: 'starting' (options still launching), 'ready' (at least one option ready), 'not-ready',
+ *  'submitting', 'booked' or 'closed' (no browser left). Options add prepResult
+ *  ({success, error, errorCode, navigationTime, totalTime}) to describePredictiveOption.
+ */
+function describePredictiveGroup(group) {
+    const options = group.options.map(option => ({
+        ...describePredictiveOption(option),
+        prepResult: option.prepResult
+            ? {
+                success: option.prepResult.success,
+                error: option.prepResult.error || null,
+                errorCode: option.prepResult.success ? null : errorFields(option.prepResult).errorCode,
+                navigationTime: option.prepResult.navigationTime ?? null,
+                totalTime: option.prepResult.totalTime ?? null
+            }
+            : null
+    }));
+    const has = (...states) => options.some(option => states.includes(option.state));
+    const readyCount = options.filter(option => option.ready).length;
+    let state = 'closed';
+    if (has('booked')) state = 'booked';
+    else if (has('submitting')) state = 'submitting';
+    else if (has('queued', 'starting')) state = 'starting';
+    else if (readyCount > 0) state = 'ready';
+    else if (has('preparing', 'prepared', 'not-ready')) state = 'not-ready';
+    return {
+        masterSessionId: group.masterSessionId,
+        baseUrl: group.baseUrl,
+        createdAt: new Date(group.createdAt).toISOString(),
+        state,
+        readyCount,
+        options
+    };
+}
+
+/**
+ * Abandons a predictive session (the lead declined every time): closes all of its
+ * browsers and forgets the group. Options still launching close as soon as they start.
+ * @param {string} masterSessionId
+ * @param {Function} [logCapture=console.log]
+ * @returns {Promise<{success: boolean, masterSessionId?: string, closedSessions?: string[], options?: Array<Object>, error?: string, errorCode?: string, retryable?: boolean}>}
+ *  options is how each option stood when the session was cancelled.
+ */
+async function cancelPredictiveSession(masterSessionId, logCapture = console.log) {
+    const group = predictiveGroups[masterSessionId];
+    if (!group) {
+        return bookingFailure('SESSION_NOT_FOUND', `Predictive session ${masterSessionId} not found or has expired.`);
+    }
+    if (group.options.some(option => option.state === 'submitting')) {
+        return bookingFailure('OPTION_BUSY', `Predictive session ${masterSessionId} is submitting a booking; it can't be cancelled now.`);
+    }
+    const options = describePredictiveGroup(group).options;
+    group.cancelled = true;
+    delete predictiveGroups[masterSessionId];
+
+    const closedSessions = [];
+    for (const option of group.options) {
+        if (option.sessionId && activeSessions[option.sessionId]) {
+            logCapture(`[${masterSessionId}] Closing session ${option.sessionId} (option ${option.rank})...`);
+            await closeSession(option.sessionId);
+            closedSessions.push(option.sessionId);
+        }
+        if (option.state !== 'booked') option.state = 'closed';
+    }
+    logCapture(`[${masterSessionId}] Predictive session cancelled; closed ${closedSessions.length} browser(s).`);
+    return { success: true, masterSessionId, closedSessions, options };
+}
+
+/**
+ * Every predictive group held by this process.
+ * @returns {Object[]}
+ */
+function listPredictiveGroups() {
+    return Object.values(predictiveGroups);
+}
+
+/**
+ * Reloads an option's slot in its browser and fills in the form again (the keep-alive
+ * does this when a prepared form has gone stale).
+ * @param {Object} group - Predictive group
+ * @param {Object} option - Option with a live, idle session
+ * @param {Function} [logCapture=console.log]
+ */
+async function refillPredictiveOption(group, option, logCapture = console.log) {
+    const log = (msg) => logCapture(`[Option${option.rank}] ${msg}`);
+    log(`Re-preparing the form in session ${option.sessionId}...`);
+    await _fillOption(group, option, { browse: false }, log);
+}
+
+/**
+ * Drops predictive groups whose browsers are all gone.
+ */
+function _prunePredictiveGroups() {
+    for (const [masterSessionId, group] of Object.entries(predictiveGroups)) {
+        const settled = group.options.every(option => !['queued', 'starting'].includes(option.state));
+        if (settled && !group.options.some(option => option.sessionId && activeSessions[option.sessionId])) {
+            delete predictiveGroups[masterSessionId];
+        }
+    }
+}
@@ -2,6 +2,7 @@ const { chromium } = require('playwright');
 const axios = require('axios'); // Import axios
 require('dotenv').config();
 const { bookMeeting } = require('./services/bookingService');
+const config = require('./config');
 
 // --- Configuration ---
 // URL of your running IP Pool API Server
@@ -15,7 +16,7 @@ const TEST_SPECIFIC_TIME_URL = "https://calendly.com/zachderhake/30min/YYYY-MM-D
 // Read booking details from .env (provide fallbacks just in case)
 const TEST_NAME = process.env.NAME || "Test Env Booker";
 const TEST_EMAIL = process.env.EMAIL || "test.env@example.com";
-const TEST_PHONE = "+13109122212"; // Read from .env or use fallback
+const TEST_PHONE = config.DEFAULT_PHONE; // PHONE from .env, or the config fallback
 
 async function runTestBooking() {
   console.log('[TestingScript] Starting test using IP Pool API Server...');
@@ -0,0 +1,126 @@
+// utils/apiAuth.js
+//
+// Express middleware for API-key authentication, per-key scopes and per-key limits
+// (requests per minute and concurrent browser launches).
+
+const config = require('../config');
+const { findKey, hasKeys } = require('../services/apiKeyStore');
+const { sendError } = require('./bookingErrors');
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// keyId -> { windowStart, count }
+const requestWindows = new Map();
+// keyId -> browser launches currently in flight
+const launchesInFlight = new Map();
+
+function _readKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Counts the request against the key's per-minute budget.
+ * @returns {number} Seconds until the window resets if the key is over its limit, else 0
+ */
+function _consumeRequest(res, apiKey) {
+    if (!apiKey.rateLimitPerMinute) return 0;
+
+    const now = Date.now();
+    let window = requestWindows.get(apiKey.id);
+    if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+        window = { windowStart: now, count: 0 };
+        requestWindows.set(apiKey.id, window);
+    }
+    window.count++;
+
+    res.set('X-RateLimit-Limit', String(apiKey.rateLimitPerMinute));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, apiKey.rateLimitPerMinute - window.count)));
+    if (window.count > apiKey.rateLimitPerMinute) {
+        return Math.ceil((window.windowStart + RATE_WINDOW_MS - now) / 1000);
+    }
+    return 0;
+}
+
+/**
+ * Requires a valid API key (X-API-Key header or Authorization: Bearer) and applies
+ * its rate limit. The key record is attached as req.apiKey.
+ * Does nothing when API_AUTH=false.
+ */
+function authenticate(req, res, next) {
+    if (!config.API_AUTH_ENABLED) return next();
+
+    const apiKey = findKey(_readKey(req));
+    if (!apiKey) {
+        const message = hasKeys()
+            ? 'Missing or invalid API key. Send it in the X-API-Key header.'
+            : 'API authentication is enabled but no API keys are configured on the server.';
+        return sendError(res, 'UNAUTHORIZED', message);
+    }
+
+    const retryAfter = _consumeRequest(res, apiKey);
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return sendError(res, 'RATE_LIMITED', `Rate limit of ${apiKey.rateLimitPerMinute} requests per minute exceeded for key "${apiKey.name}". Retry in ${retryAfter}s.`);
+    }
+
+    req.apiKey = apiKey;
+    next();
+}
+
+/**
+ * Rejects the request unless the authenticated key has the given scope.
+ * Keys with the admin scope can call everything.
+ * @param {string} scope - One of start, book, predictive, admin
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!config.API_AUTH_ENABLED) return next();
+        const scopes = req.apiKey ? req.apiKey.scopes : [];
+        if (scopes.includes(scope) || scopes.includes('admin')) return next();
+        sendError(res, 'FORBIDDEN', `API key "${req.apiKey?.name}" lacks the '${scope}' scope.`);
+    };
+}
+
+/**
+ * Reserves one of the key's concurrent browser launch slots.
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Function|null} Idempotent release function, or null if the key is at its limit
+ */
+function acquireLaunchSlot(req) {
+    const apiKey = req.apiKey;
+    if (!config.API_AUTH_ENABLED || !apiKey || !apiKey.maxConcurrentLaunches) return () => {};
+
+    const inFlight = launchesInFlight.get(apiKey.id) || 0;
+    if (inFlight >= apiKey.maxConcurrentLaunches) return null;
+    launchesInFlight.set(apiKey.id, inFlight + 1);
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        launchesInFlight.set(apiKey.id, Math.max(0, (launchesInFlight.get(apiKey.id) || 1) - 1));
+    };
+}
+
+/**
+ * Current usage per key, for the admin keys endpoint.
+ * @param {string} keyId
+ */
+function getKeyUsage(keyId) {
+    const window = requestWindows.get(keyId);
+    const windowActive = window && Date.now() - window.windowStart < RATE_WINDOW_MS;
+    return {
+        requestsThisMinute: windowActive ? window.count : 0,
+        launchesInFlight: launchesInFlight.get(keyId) || 0
+    };
+}
+
+module.exports = {
+    authenticate,
+    requireScope,
+    acquireLaunchSlot,
+    getKeyUsage
+};
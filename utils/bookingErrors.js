@@ -0,0 +1,179 @@
+// utils/bookingErrors.js
+//
+// Error codes shared by the booking services and the API. Services keep returning
+// { success: false, error } result objects, tagged with an errorCode; routes turn the
+// code into the HTTP status and tell the caller whether retrying can help.
+
+/**
+ * Every code the API returns. retryable means the same request may succeed if sent
+ * again (after Retry-After, or with a fresh session); false means something has to change first.
+ */
+const ERROR_CODES = {
+    VALIDATION_ERROR: { status: 400, retryable: false, description: 'The request is missing fields or has invalid values.' },
+    UNAUTHORIZED: { status: 401, retryable: false, description: 'Missing or invalid API key.' },
+    FORBIDDEN: { status: 403, retryable: false, description: 'The API key lacks the scope for this route.' },
+    NOT_FOUND: { status: 404, retryable: false, description: 'The job, booking, key or pool does not exist (or is not visible to this key).' },
+    SESSION_NOT_FOUND: { status: 404, retryable: false, description: 'The session does not exist or has expired. Start a new one.' },
+    SESSION_ELSEWHERE: { status: 409, retryable: false, description: 'The session lives on another replica that this one cannot forward to.' },
+    SESSION_LOST: { status: 410, retryable: false, description: 'The replica holding the session restarted; its browser is gone.' },
+    FORM_NOT_READY: { status: 409, retryable: false, description: 'The predictive form has not been prepared.' },
+    OPTION_BUSY: { status: 409, retryable: true, description: 'The predictive option is still being prepared or re-pointed.' },
+    BOOKING_STATE_CONFLICT: { status: 409, retryable: false, description: 'The booking cannot be changed in its current state.' },
+    IDEMPOTENCY_IN_PROGRESS: { status: 409, retryable: true, description: 'A request with the same Idempotency-Key is still running.' },
+    IDEMPOTENCY_KEY_REUSED: { status: 422, retryable: false, description: 'The Idempotency-Key was used for a different request.' },
+    SLOT_TAKEN: { status: 409, retryable: false, description: 'The requested time is not (or no longer) offered. Pick another slot.' },
+    DAY_UNAVAILABLE: { status: 409, retryable: false, description: 'The requested day has no availability. Pick another day.' },
+    NO_AVAILABILITY: { status: 409, retryable: false, description: 'The event type has no open slots in the searched range.' },
+    INVALID_FORM_INPUT: { status: 422, retryable: false, description: 'The booking form rejected or could not take the values sent.' },
+    API_PATH_UNSUPPORTED: { status: 422, retryable: false, description: 'The event type needs the browser path (e.g. required custom questions).' },
+    RATE_LIMITED: { status: 429, retryable: true, description: 'The API key is over its request or launch limit.' },
+    FORM_NOT_FOUND: { status: 502, retryable: true, description: 'The booking form or one of its fields did not render.' },
+    SUBMIT_FAILED: { status: 502, retryable: true, description: 'The submit button could not be found or clicked; nothing was submitted.' },
+    NAVIGATION_FAILED: { status: 502, retryable: true, description: 'The Calendly page did not load.' },
+    PROXY_BLOCKED: { status: 502, retryable: true, description: 'Calendly refused the connection (403/429 or a block page); retry on another session.' },
+    UPSTREAM_ERROR: { status: 502, retryable: true, description: 'A call to Calendly or another replica failed.' },
+    BROWSER_LAUNCH_FAILED: { status: 503, retryable: true, description: 'No browser could be started.' },
+    CONFIRMATION_TIMEOUT: { status: 504, retryable: false, description: 'The form was submitted but no confirmation appeared; the booking may exist. Check before retrying.' },
+    INTERNAL_ERROR: { status: 500, retryable: false, description: 'Unexpected server error.' }
+};
+
+// Fallback for failures that only carry a message (thrown errors, older code paths)
+const MESSAGE_PATTERNS = [
+    [/no longer available|became unavailable|time .* not found|not found with any selector|target date is in the past/i, 'SLOT_TAKEN'],
+    [/^day \d+ .*unavailable|day .* is unavailable/i, 'DAY_UNAVAILABLE'],
+    [/timed out waiting for confirmation/i, 'CONFIRMATION_TIMEOUT'],
+    [/submit button/i, 'SUBMIT_FAILED'],
+    [/status code (403|429)|access denied|captcha|blocked/i, 'PROXY_BLOCKED'],
+    [/form container|field after \d+ retries|parallel field find|failed to find .* field/i, 'FORM_NOT_FOUND'],
+    [/navigation|navigate|net::err|failed to click 'next'|month navigation/i, 'NAVIGATION_FAILED'],
+    [/session .*(not found|expired)/i, 'SESSION_NOT_FOUND'],
+    [/explicit error detected|phone field could not|could not add guests|required question|not a valid phone/i, 'INVALID_FORM_INPUT'],
+    [/failed to launch|browser.*(launch|start)/i, 'BROWSER_LAUNCH_FAILED'],
+    [/api booking failed|status code \d+|econn|etimedout/i, 'UPSTREAM_ERROR']
+];
+
+/**
+ * Works out the code for a failure message.
+ * @param {string} message
+ * @returns {string} An ERROR_CODES key (INTERNAL_ERROR when nothing matches)
+ */
+function classifyError(message) {
+    const match = MESSAGE_PATTERNS.find(([pattern]) => pattern.test(message || ''));
+    return match ? match[1] : 'INTERNAL_ERROR';
+}
+
+/**
+ * Code for a failed HTTP call to Calendly (axios error).
+ * @param {Error} error
+ * @returns {string}
+ */
+function httpErrorCode(error) {
+    const status = error.response?.status;
+    if (status === 403 || status === 429) return 'PROXY_BLOCKED';
+    if (status === 404) return 'NOT_FOUND';
+    if (status === 400 || status === 422) return 'INVALID_FORM_INPUT';
+    return 'UPSTREAM_ERROR';
+}
+
+/**
+ * Code and retryable flag for a failed result or a thrown error.
+ * @param {Object|Error} failure - Has errorCode (results) or code (coded errors), and error or message
+ * @returns {{errorCode: string, retryable: boolean}}
+ */
+function errorFields(failure = {}) {
+    const explicit = [failure.errorCode, failure.code].find(code => ERROR_CODES[code]);
+    const errorCode = explicit || classifyError(typeof failure.error === 'string' ? failure.error : failure.message);
+    return { errorCode, retryable: ERROR_CODES[errorCode].retryable };
+}
+
+/**
+ * HTTP status for a code.
+ * @param {string} code
+ * @returns {number}
+ */
+function errorStatus(code) {
+    return (ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR).status;
+}
+
+/**
+ * Failed service result, tagged with its code.
+ * @param {string} code - ERROR_CODES key
+ * @param {string} message
+ * @param {Object} [extra] - Other result fields (phone, guests, duration...)
+ * @returns {{success: false, error: string, errorCode: string, retryable: boolean}}
+ */
+function bookingFailure(code, message, extra = {}) {
+    return { success: false, error: message, ...extra, errorCode: code, retryable: ERROR_CODES[code].retryable };
+}
+
+/**
+ * Error to throw inside a service when the catch block should report a specific code.
+ * @param {string} code - ERROR_CODES key
+ * @param {string} message
+ * @returns {Error}
+ */
+function codedError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Body for an API error response.
+ * @param {string} code - ERROR_CODES key
+ * @param {string} message
+ * @param {Object} [extra] - Other fields (logs, sessionId...)
+ */
+function errorBody(code, message, extra = {}) {
+    return { success: false, message, ...extra, errorCode: code, retryable: ERROR_CODES[code].retryable };
+}
+
+/**
+ * Sends an API error response with the code's status.
+ * @param {import('express').Response} res
+ * @param {string} code - ERROR_CODES key
+ * @param {string} message
+ * @param {Object} [extra] - Other fields (logs, sessionId...)
+ */
+function sendError(res, code, message, extra = {}) {
+    return res.status(errorStatus(code)).json(errorBody(code, message, extra));
+}
+
+/**
+ * Status and body for a failed booking result, keeping the result's own fields.
+ * @param {Object} result - Failed service result
+ * @param {Object} [extra] - Fields to add to the body
+ * @returns {{status: number, body: Object}}
+ */
+function failureResponse(result, extra = {}) {
+    const fields = errorFields(result);
+    return {
+        status: errorStatus(fields.errorCode),
+        body: { ...result, message: result.message || result.error, ...extra, ...fields }
+    };
+}
+
+/**
+ * Sends a failed booking result with its code's status.
+ * @param {import('express').Response} res
+ * @param {Object} result - Failed service result
+ * @param {Object} [extra] - Fields to add to the body (logs, phone...)
+ */
+function sendFailure(res, result, extra = {}) {
+    const { status, body } = failureResponse(result, extra);
+    return res.status(status).json(body);
+}
+
+module.exports = {
+    ERROR_CODES,
+    classifyError,
+    httpErrorCode,
+    errorFields,
+    errorStatus,
+    bookingFailure,
+    codedError,
+    errorBody,
+    sendError,
+    failureResponse,
+    sendFailure
+};
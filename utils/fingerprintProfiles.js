@@ -0,0 +1,271 @@
+// utils/fingerprintProfiles.js
+//
+// Named browser fingerprints. Each profile is one believable machine: user agent,
+// client hints, platform, screen, GPU strings, fonts, timezone and locale all agree
+// with each other. A session is given one profile when its browser launches, and
+// every layer (context options, init script, request headers, the scheduling API
+// client) applies that same profile, so nothing changes between reads or navigations.
+
+const config = require('../config');
+
+const CHROME_VERSION = '124';
+const CHROME_FULL_VERSION = '124.0.6367.119';
+const BRANDS = [
+    { brand: 'Chromium', version: CHROME_VERSION },
+    { brand: 'Google Chrome', version: CHROME_VERSION },
+    { brand: 'Not-A.Brand', version: '99' }
+];
+
+const MAC_FONTS = ['Helvetica Neue', 'Helvetica', 'Arial', 'Menlo', 'Monaco', 'Courier New', 'Georgia', 'Times New Roman', 'Avenir', 'Futura', 'Gill Sans', 'Lucida Grande'];
+const WINDOWS_FONTS = ['Segoe UI', 'Arial', 'Calibri', 'Cambria', 'Consolas', 'Courier New', 'Georgia', 'Tahoma', 'Times New Roman', 'Trebuchet MS', 'Verdana'];
+
+const LA_GEOLOCATION = { latitude: 34.052235, longitude: -118.243683, accuracy: 100 };
+
+const PROFILES = {
+    'mac-chrome-macbook-pro': {
+        userAgent: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION}.0.0.0 Safari/537.36`,
+        platform: 'MacIntel',
+        clientHints: { platform: 'macOS', platformVersion: '14.4.1', architecture: 'arm', bitness: '64', model: '' },
+        screen: { width: 1512, height: 982, availWidth: 1512, availHeight: 944, colorDepth: 30 },
+        viewport: { width: 1512, height: 859 },
+        deviceScaleFactor: 2,
+        hardwareConcurrency: 10,
+        deviceMemory: 8,
+        webgl: { vendor: 'Google Inc. (Apple)', renderer: 'ANGLE (Apple, Apple M1 Pro, OpenGL 4.1)' },
+        fonts: MAC_FONTS
+    },
+    'mac-chrome-imac': {
+        userAgent: `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION}.0.0.0 Safari/537.36`,
+        platform: 'MacIntel',
+        clientHints: { platform: 'macOS', platformVersion: '13.6.6', architecture: 'x86', bitness: '64', model: '' },
+        screen: { width: 2560, height: 1440, availWidth: 2560, availHeight: 1415, colorDepth: 24 },
+        viewport: { width: 1440, height: 900 },
+        deviceScaleFactor: 1,
+        hardwareConcurrency: 8,
+        deviceMemory: 8,
+        webgl: { vendor: 'Google Inc. (Intel Inc.)', renderer: 'ANGLE (Intel Inc., Intel(R) UHD Graphics 630, OpenGL 4.1)' },
+        fonts: MAC_FONTS
+    },
+    'windows-chrome-desktop': {
+        userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION}.0.0.0 Safari/537.36`,
+        platform: 'Win32',
+        clientHints: { platform: 'Windows', platformVersion: '15.0.0', architecture: 'x86', bitness: '64', model: '' },
+        screen: { width: 1920, height: 1080, availWidth: 1920, availHeight: 1032, colorDepth: 24 },
+        viewport: { width: 1920, height: 945 },
+        deviceScaleFactor: 1,
+        hardwareConcurrency: 12,
+        deviceMemory: 8,
+        webgl: { vendor: 'Google Inc. (NVIDIA)', renderer: 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)' },
+        fonts: WINDOWS_FONTS
+    },
+    'windows-chrome-laptop': {
+        userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_VERSION}.0.0.0 Safari/537.36`,
+        platform: 'Win32',
+        clientHints: { platform: 'Windows', platformVersion: '10.0.0', architecture: 'x86', bitness: '64', model: '' },
+        screen: { width: 1536, height: 864, availWidth: 1536, availHeight: 816, colorDepth: 24 },
+        viewport: { width: 1536, height: 730 },
+        deviceScaleFactor: 1.25,
+        hardwareConcurrency: 8,
+        deviceMemory: 8,
+        webgl: { vendor: 'Google Inc. (Intel)', renderer: 'ANGLE (Intel, Intel(R) Iris(R) Xe Graphics Direct3D11 vs_5_0 ps_5_0, D3D11)' },
+        fonts: WINDOWS_FONTS
+    }
+};
+
+// Where the browser claims to be when its exit IP's location is unknown. Sessions
+// normally get their proxy IP's location instead (services/geoLocation.js).
+const DEFAULT_LOCATION = {
+    timezone: 'America/Los_Angeles',
+    locale: 'en-US',
+    languages: ['en-US', 'en'],
+    geolocation: LA_GEOLOCATION
+};
+
+const DEFAULT_PROFILE_NAME = 'mac-chrome-macbook-pro';
+
+function _enabledNames() {
+    const names = config.FINGERPRINT_PROFILES.filter(name => PROFILES[name]);
+    return names.length ? names : Object.keys(PROFILES);
+}
+
+/**
+ * Builds a session's fingerprint from a named profile.
+ * @param {string} [name] - Profile name; a random enabled profile (FINGERPRINT_PROFILES) when omitted
+ * @param {Object} [location] - Overrides for timezone, locale, languages and geolocation (see services/geoLocation.js)
+ * @returns {Object} Frozen fingerprint: the profile's fields plus name and location
+ */
+function buildProfile(name, location = {}) {
+    const enabled = _enabledNames();
+    const profileName = PROFILES[name] ? name : enabled[Math.floor(Math.random() * enabled.length)];
+    const profile = PROFILES[profileName];
+    return Object.freeze({
+        name: profileName,
+        ...profile,
+        ...DEFAULT_LOCATION,
+        ...location,
+        brands: BRANDS,
+        fullVersion: CHROME_FULL_VERSION
+    });
+}
+
+/**
+ * Accept-Language header value for a list of languages, e.g. "en-US,en;q=0.9".
+ */
+function acceptLanguage(languages) {
+    return languages.map((language, i) => i === 0 ? language : `${language};q=${Math.max(0.9 - (i - 1) * 0.1, 0.1).toFixed(1)}`).join(',');
+}
+
+/**
+ * Request headers the profile's browser would send (user agent, language, client hints).
+ * @param {Object} fingerprint - From buildProfile
+ * @returns {Object}
+ */
+function profileHeaders(fingerprint) {
+    return {
+        'User-Agent': fingerprint.userAgent,
+        'Accept-Language': acceptLanguage(fingerprint.languages),
+        'Sec-Ch-Ua': fingerprint.brands.map(({ brand, version }) => `"${brand}";v="${version}"`).join(', '),
+        'Sec-Ch-Ua-Mobile': '?0',
+        'Sec-Ch-Ua-Platform': `"${fingerprint.clientHints.platform}"`
+    };
+}
+
+/**
+ * Options for browser.newContext() that match the profile.
+ * @param {Object} fingerprint - From buildProfile
+ * @returns {Object}
+ */
+function contextOptions(fingerprint) {
+    return {
+        userAgent: fingerprint.userAgent,
+        locale: fingerprint.locale,
+        timezoneId: fingerprint.timezone,
+        viewport: fingerprint.viewport,
+        screen: { width: fingerprint.screen.width, height: fingerprint.screen.height },
+        deviceScaleFactor: fingerprint.deviceScaleFactor,
+        hasTouch: false,
+        isMobile: false,
+        extraHTTPHeaders: profileHeaders(fingerprint),
+        geolocation: fingerprint.geolocation,
+        permissions: ['geolocation']
+    };
+}
+
+/**
+ * Runs in every page before its own scripts (context.addInitScript(applyFingerprint, fingerprint)).
+ * Only plain values are read from the fingerprint; every getter returns the same value on
+ * every read.
+ * @param {Object} fp - From buildProfile
+ */
+function applyFingerprint(fp) {
+    const define = (target, property, value) => {
+        try {
+            Object.defineProperty(target, property, { get: () => value, configurable: true });
+        } catch (e) { /* Read-only in this page */ }
+    };
+
+    define(Navigator.prototype, 'webdriver', false);
+    define(Navigator.prototype, 'userAgent', fp.userAgent);
+    define(Navigator.prototype, 'appVersion', fp.userAgent.replace(/^Mozilla\//, ''));
+    define(Navigator.prototype, 'platform', fp.platform);
+    define(Navigator.prototype, 'language', fp.languages[0]);
+    define(Navigator.prototype, 'languages', Object.freeze([...fp.languages]));
+    define(Navigator.prototype, 'hardwareConcurrency', fp.hardwareConcurrency);
+    define(Navigator.prototype, 'deviceMemory', fp.deviceMemory);
+    define(Navigator.prototype, 'maxTouchPoints', 0);
+
+    const highEntropy = {
+        architecture: fp.clientHints.architecture,
+        bitness: fp.clientHints.bitness,
+        model: fp.clientHints.model,
+        platformVersion: fp.clientHints.platformVersion,
+        uaFullVersion: fp.fullVersion,
+        fullVersionList: fp.brands.map(({ brand, version }) => ({ brand, version: version === '99' ? '99.0.0.0' : fp.fullVersion }))
+    };
+    const userAgentData = {
+        brands: fp.brands,
+        mobile: false,
+        platform: fp.clientHints.platform,
+        getHighEntropyValues: (hints) => Promise.resolve({
+            brands: fp.brands,
+            mobile: false,
+            platform: fp.clientHints.platform,
+            ...Object.fromEntries((hints || []).filter(hint => hint in highEntropy).map(hint => [hint, highEntropy[hint]]))
+        }),
+        toJSON: () => ({ brands: fp.brands, mobile: false, platform: fp.clientHints.platform })
+    };
+    define(Navigator.prototype, 'userAgentData', userAgentData);
+
+    for (const [property, value] of Object.entries(fp.screen)) {
+        define(Screen.prototype, property, value);
+    }
+    define(Screen.prototype, 'pixelDepth', fp.screen.colorDepth);
+
+    // GPU strings (UNMASKED_VENDOR_WEBGL / UNMASKED_RENDERER_WEBGL)
+    for (const glContext of [window.WebGLRenderingContext, window.WebGL2RenderingContext].filter(Boolean)) {
+        const getParameter = glContext.prototype.getParameter;
+        glContext.prototype.getParameter = function (parameter) {
+            if (parameter === 37445) return fp.webgl.vendor;
+            if (parameter === 37446) return fp.webgl.renderer;
+            return getParameter.apply(this, arguments);
+        };
+    }
+
+    // Font probes only find the profile's fonts (and generic families)
+    if (document.fonts && document.fonts.check) {
+        const installed = new Set(fp.fonts.map(font => font.toLowerCase()));
+        const generic = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+        const check = document.fonts.check.bind(document.fonts);
+        document.fonts.check = function (font, text) {
+            // "italic 16px/1.2 'Helvetica Neue', sans-serif" -> ['helvetica neue', 'sans-serif']
+            const families = String(font).replace(/^.*?\d[\w.%]*(?:\/[\w.%]+)?\s+/, '').split(',')
+                .map(family => family.trim().replace(/^["']|["']$/g, '').toLowerCase());
+            if (families.every(family => !installed.has(family) && !generic.includes(family))) return false;
+            return check(font, text);
+        };
+    }
+
+    // Geolocation always answers with the profile's position
+    if (navigator.geolocation) {
+        const position = () => ({
+            coords: { ...fp.geolocation, altitude: null, altitudeAccuracy: null, heading: null, speed: null },
+            timestamp: Date.now()
+        });
+        navigator.geolocation.getCurrentPosition = (success) => success(position());
+        navigator.geolocation.watchPosition = (success) => { success(position()); return 1; };
+    }
+
+    if (!window.chrome) {
+        window.chrome = { runtime: {}, loadTimes: function () {}, csi: function () {}, app: {} };
+    }
+
+    const plugins = ['PDF Viewer', 'Chrome PDF Viewer', 'Chromium PDF Viewer', 'Microsoft Edge PDF Viewer', 'WebKit built-in PDF']
+        .map(name => ({ name, filename: 'internal-pdf-viewer', description: 'Portable Document Format', length: 1 }));
+    plugins.forEach(plugin => { plugin.item = () => plugin; plugin.namedItem = () => plugin; });
+    define(Navigator.prototype, 'plugins', Object.assign([...plugins], { item: i => plugins[i], namedItem: n => plugins.find(p => p.name === n) || null, refresh: () => {} }));
+
+    if (navigator.permissions) {
+        const query = navigator.permissions.query.bind(navigator.permissions);
+        navigator.permissions.query = (parameters) => parameters && parameters.name === 'notifications'
+            ? Promise.resolve({ state: 'prompt', onchange: null })
+            : query(parameters);
+    }
+}
+
+/**
+ * One-line summary for logs.
+ */
+function describeProfile(fingerprint) {
+    const { name, clientHints, screen, viewport, hardwareConcurrency, timezone, locale } = fingerprint;
+    return `${name} (${clientHints.platform}, screen ${screen.width}x${screen.height}, viewport ${viewport.width}x${viewport.height}, ${hardwareConcurrency} cores, ${timezone}, ${locale})`;
+}
+
+module.exports = {
+    PROFILES,
+    DEFAULT_PROFILE_NAME,
+    buildProfile,
+    profileHeaders,
+    contextOptions,
+    applyFingerprint,
+    describeProfile
+};
@@ -0,0 +1,100 @@
+// utils/idempotency.js
+//
+// Express middleware that records booking calls in the booking ledger and honours
+// the Idempotency-Key header: a repeated key gets the original response back instead
+// of a second booking. Finished attempts also feed the session's proxy score.
+
+const { hashRequest, beginAttempt, recordAttemptResponse } = require('../services/bookingLedger');
+const proxyManager = require('../services/proxyManager');
+const { sendError } = require('./bookingErrors');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Records a response on the attempt and, once it has finished, scores the proxy its
+ * session used. Never throws: the ledger must not stop a response reaching the caller.
+ */
+function _recordResponse(attemptId, status, body) {
+    try {
+        const finished = recordAttemptResponse(attemptId, status, body);
+        if (finished && finished.finishedAt && finished.sessionId) {
+            proxyManager.recordOutcome({ sessionId: finished.sessionId }, {
+                success: finished.status === 'succeeded',
+                latencyMs: finished.durationMs,
+                kind: 'booking',
+                errorCode: body?.errorCode,
+                error: finished.error
+            });
+        }
+    } catch (e) {
+        console.warn(`[BookingLedger] Failed to record attempt ${attemptId}: ${e.message}`);
+    }
+}
+
+/**
+ * Records the call as a booking attempt and replays earlier results for a reused
+ * Idempotency-Key. Keys are scoped to the API key, and apply across all booking
+ * routes (so /api/book-session and /api/book-session-dom share them).
+ * The attempt is attached as req.bookingAttempt; its id is sent in the
+ * Booking-Attempt-Id header.
+ * @param {string} type - Operation name recorded in the ledger, e.g. 'book-session'
+ */
+function bookingAttempt(type) {
+    return (req, res, next) => {
+        const idempotencyKey = (req.get('Idempotency-Key') || '').trim() || null;
+        if (idempotencyKey && idempotencyKey.length > MAX_KEY_LENGTH) {
+            return sendError(res, 'VALIDATION_ERROR', `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.`);
+        }
+
+        const body = req.body || {};
+        const requestHash = hashRequest(req.params, body);
+        const { attempt, existing } = beginAttempt({
+            type,
+            idempotencyKey,
+            requestHash,
+            apiKeyId: req.apiKey?.id || null,
+            sessionId: body.sessionId || null,
+            bookingUrl: body.fullBookingUrl || null,
+            invitee: body.email ? { name: body.name, email: body.email, phone: body.phone } : null,
+            input: { params: req.params, body },
+            bookingId: req.params.bookingId || null
+        });
+        res.set('Booking-Attempt-Id', attempt.id);
+
+        if (existing) {
+            if (existing.requestHash !== requestHash) {
+                return sendError(res, 'IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used for a different request.', { attemptId: existing.id });
+            }
+            if (!existing.response) {
+                res.set('Retry-After', '5');
+                return sendError(res, 'IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is still in progress.', { attemptId: existing.id });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.httpStatus).json(existing.response);
+        }
+
+        req.bookingAttempt = attempt;
+        const json = res.json.bind(res);
+        res.json = (responseBody) => {
+            _recordResponse(attempt.id, res.statusCode, responseBody);
+            return json(responseBody);
+        };
+        next();
+    };
+}
+
+/**
+ * Records the result of a booking that ran as a background job.
+ * @param {import('express').Request} req - The request that queued the job
+ * @param {number} status - HTTP status the synchronous call would have returned
+ * @param {Object} body - Result body
+ */
+function finishJobAttempt(req, status, body) {
+    if (!req.bookingAttempt) return;
+    _recordResponse(req.bookingAttempt.id, status, body);
+}
+
+module.exports = {
+    bookingAttempt,
+    finishJobAttempt
+};
@@ -0,0 +1,164 @@
+// utils/phoneUtils.js
+//
+// Phone number normalisation (E.164 per country) and filling Calendly's phone field,
+// including its country-code dropdown.
+
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js');
+
+const PHONE_INPUT_SELECTOR = 'input[type="tel"]';
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function digitsOf(text) {
+    return (text || '').replace(/\D/g, '');
+}
+
+/**
+ * Parses and validates a phone number.
+ * @param {string} input - Number as given by the caller, e.g. "+1 3109122380" or "+44 20 7946 0958"
+ * @param {string} [defaultCountry] - ISO 3166-1 alpha-2 country used when the number has no "+" prefix
+ * @returns {{valid: boolean, input: string, error?: string, e164?: string, country?: string, countryName?: string,
+ *   countryCallingCode?: string, nationalNumber?: string, international?: string}}
+ */
+function normalizePhone(input, defaultCountry) {
+    if (!input || typeof input !== 'string') {
+        return { valid: false, input, error: 'Phone number is required.' };
+    }
+    if (defaultCountry !== undefined && defaultCountry !== null && defaultCountry !== ''
+        && (typeof defaultCountry !== 'string' || !/^[a-z]{2}$/i.test(defaultCountry) || !isSupportedCountry(defaultCountry.toUpperCase()))) {
+        return { valid: false, input, error: `phoneCountry must be an ISO 3166-1 alpha-2 country code, e.g. "US" (got ${JSON.stringify(defaultCountry)}).` };
+    }
+    const parsed = parsePhoneNumberFromString(input.trim(), defaultCountry ? defaultCountry.toUpperCase() : undefined);
+    if (!parsed) {
+        return { valid: false, input, error: `Could not parse phone "${input}". Use international format (e.g. +1 310 912 2380) or pass phoneCountry.` };
+    }
+    if (!parsed.isValid()) {
+        return { valid: false, input, error: `Phone "${input}" is not a valid number for ${parsed.country || `+${parsed.countryCallingCode}`}.` };
+    }
+    return {
+        valid: true,
+        input,
+        e164: parsed.number,
+        country: parsed.country,
+        countryName: parsed.country ? regionNames.of(parsed.country) : null,
+        countryCallingCode: parsed.countryCallingCode,
+        nationalNumber: parsed.nationalNumber,
+        international: parsed.formatInternational()
+    };
+}
+
+/**
+ * Whether the value shown in the phone input represents the normalised number. Without
+ * the dial code it only counts when the dropdown is known to show the number's country
+ * (the dial code is then outside the input); otherwise the form may send it under another.
+ * @param {string} value - Value read from the input
+ * @param {Object} phone - Result of normalizePhone
+ * @param {boolean} [countrySelected=false] - Whether the dropdown shows the number's country
+ */
+function phoneValueMatches(value, phone, countrySelected = false) {
+    const digits = digitsOf(value);
+    if (digits === digitsOf(phone.e164)) return true;
+    return countrySelected && digits.replace(/^0+/, '') === phone.nationalNumber;
+}
+
+/**
+ * Opens the country-code dropdown next to the phone input and picks the number's country.
+ * @returns {Promise<boolean>} True if the dropdown shows the right country afterwards
+ */
+async function _selectPhoneCountry(page, phone, log) {
+    const container = page.locator('div[data-component="phone-field"]')
+        .or(page.locator(PHONE_INPUT_SELECTOR).locator('xpath=ancestor::div[.//button][1]'))
+        .first();
+    const toggle = container.locator('button, [role="combobox"]').first();
+    if (!(await toggle.isVisible({ timeout: 1000 }).catch(() => false))) {
+        log('No country-code dropdown next to the phone field.');
+        return false;
+    }
+
+    const describeToggle = async () => [
+        await toggle.getAttribute('aria-label').catch(() => null),
+        await toggle.getAttribute('title').catch(() => null),
+        await toggle.textContent().catch(() => null)
+    ].filter(Boolean).join(' ');
+
+    if ((await describeToggle()).includes(phone.countryName)) {
+        log(`Country dropdown already set to ${phone.countryName}.`);
+        return true;
+    }
+
+    log(`Selecting ${phone.countryName} (+${phone.countryCallingCode}) in the country dropdown...`);
+    await toggle.click();
+
+    // Some dropdowns have a search box; narrowing the list keeps the option in view
+    const search = page.locator('input[type="search"], [role="listbox"] input, [role="dialog"] input[type="text"]').first();
+    if (await search.isVisible({ timeout: 500 }).catch(() => false)) {
+        await search.fill(phone.countryName);
+    }
+
+    const option = page.getByRole('option', { name: new RegExp(escapeRegExp(phone.countryName), 'i') }).first();
+    await option.waitFor({ state: 'visible', timeout: 3000 });
+    await option.click();
+
+    const selected = (await describeToggle()).includes(phone.countryName);
+    log(selected ? `Country dropdown set to ${phone.countryName}.` : `⚠️ Country dropdown does not show ${phone.countryName} after selection.`);
+    return selected;
+}
+
+/**
+ * Fills Calendly's phone field with a normalised number: drives the country-code
+ * dropdown to the number's country, types the number and reads it back.
+ * @param {import('playwright').Page} page - Page with the booking form open
+ * @param {Object} phone - Result of normalizePhone (must be valid)
+ * @param {Function} [log=console.log] - Logging function
+ * @returns {Promise<{e164: string, country: string, countryCallingCode: string, countrySelected: boolean, filledValue: string|null, verified: boolean}>}
+ */
+async function fillPhoneField(page, phone, log = console.log) {
+    const report = {
+        e164: phone.e164,
+        country: phone.country,
+        countryCallingCode: phone.countryCallingCode,
+        countrySelected: false,
+        filledValue: null,
+        verified: false
+    };
+
+    try {
+        report.countrySelected = await _selectPhoneCountry(page, phone, log);
+    } catch (e) {
+        log(`⚠️ Could not drive the country dropdown: ${e.message}`);
+        await page.keyboard.press('Escape').catch(() => {});
+    }
+
+    const fillAndRead = async (text) => {
+        await page.focus(PHONE_INPUT_SELECTOR);
+        await page.click(PHONE_INPUT_SELECTOR, { clickCount: 3 });
+        await page.keyboard.press('Backspace');
+        await page.fill(PHONE_INPUT_SELECTOR, text);
+        return page.$eval(PHONE_INPUT_SELECTOR, el => el.value);
+    };
+
+    // International format lets the field pick the country itself if the dropdown didn't work
+    report.filledValue = await fillAndRead(phone.international);
+    report.verified = phoneValueMatches(report.filledValue, phone, report.countrySelected);
+
+    if (!report.verified) {
+        log(`Phone field shows "${report.filledValue}" after international fill, retrying with the national number...`);
+        report.filledValue = await fillAndRead(phone.nationalNumber);
+        report.verified = phoneValueMatches(report.filledValue, phone, report.countrySelected);
+    }
+
+    log(report.verified
+        ? `Phone field filled with ${phone.e164} (shows "${report.filledValue}").`
+        : `⚠️ Phone field shows "${report.filledValue}", which does not match ${phone.e164}.`);
+    return report;
+}
+
+module.exports = {
+    normalizePhone,
+    fillPhoneField,
+    phoneValueMatches
+};
@@ -0,0 +1,141 @@
+// utils/sessionRouting.js
+//
+// Sends session-bound API requests to the replica that owns the browser.
+
+const axios = require('axios');
+const config = require('../config');
+const sessionRegistry = require('../services/sessionRegistry');
+const { activeSessions } = require('../sessionManager');
+const { sendError } = require('./bookingErrors');
+const { releaseAttemptKey } = require('../services/bookingLedger');
+
+// Header used to mark forwarded requests so they are never bounced twice
+const FORWARDED_HEADER = 'x-session-forwarded-by';
+// Bookings can hold the request open for a long time on the owning replica
+const FORWARD_TIMEOUT_MS = 5 * 60 * 1000;
+// Hop-by-hop headers that must not be copied onto the forwarded request
+const SKIPPED_HEADERS = ['host', 'connection', 'content-length', 'transfer-encoding'];
+
+/**
+ * Makes sure a session-bound request is handled by the process that owns the session.
+ * If the session is local (or unknown) nothing happens and the caller continues.
+ * Otherwise the request is forwarded to the owning replica, or answered with a clear
+ * "session lives elsewhere" / "session lost" error.
+ *
+ * @param {import('express').Request} req - Incoming request
+ * @param {import('express').Response} res - Response to write to if the request is routed away
+ * @param {string} sessionId - Session the request targets
+ * @param {Function} logCapture - Logging function
+ * @param {string[]} logs - Collected logs to include in any response sent from here
+ * @returns {Promise<boolean>} True if a response has been sent and the caller must stop
+ */
+async function routeToSessionOwner(req, res, sessionId, logCapture, logs) {
+    if (!sessionId || activeSessions[sessionId]) {
+        return false;
+    }
+
+    const { location, record } = await sessionRegistry.locateSession(sessionId);
+
+    if (location === 'orphaned') {
+        logCapture(`[${sessionId}] Session was owned by ${record.ownerId} but its browser is gone.`);
+        sendError(res, 'SESSION_LOST', `Session ${sessionId} was lost when replica ${record.ownerId} restarted or stopped. Start a new session.`, {
+            sessionId,
+            sessionOwner: { ownerId: record.ownerId, state: record.state },
+            logs
+        });
+        return true;
+    }
+
+    if (location !== 'remote') {
+        return false; // Local or unknown: let the normal handler report on it
+    }
+
+    const sessionOwner = { ownerId: record.ownerId, ownerUrl: record.ownerUrl };
+    const alreadyForwarded = req.get(FORWARDED_HEADER);
+
+    if (!config.SESSION_FORWARDING || !record.ownerUrl || alreadyForwarded) {
+        const reason = alreadyForwarded
+            ? `request was already forwarded by ${alreadyForwarded}`
+            : (!record.ownerUrl ? 'owner has no INSTANCE_URL' : 'forwarding is disabled');
+        logCapture(`[${sessionId}] Session lives on ${record.ownerId}; not forwarding (${reason}).`);
+        sendError(res, 'SESSION_ELSEWHERE', `Session ${sessionId} lives on replica ${record.ownerId}. Send the request there.`, {
+            sessionId,
+            sessionOwner,
+            logs
+        });
+        return true;
+    }
+
+    // The owner runs the booking, so it owns the Idempotency-Key; holding it here as well
+    // would make a shared ledger answer the forwarded request with IDEMPOTENCY_IN_PROGRESS
+    if (req.bookingAttempt) releaseAttemptKey(req.bookingAttempt.id);
+
+    await _forwardToOwner(req, res, record, { label: `Session ${sessionId}`, logPrefix: `[${sessionId}]`, extra: { sessionId } }, logCapture, logs);
+    return true;
+}
+
+/**
+ * Relays a request to the replica in `record` and sends its response back.
+ * @param {Object} record - Registry record with ownerId and ownerUrl
+ * @param {Object} target
+ * @param {string} target.label - What lives there, for error messages ("Session abc")
+ * @param {string} target.logPrefix
+ * @param {Object} [target.extra] - Fields added to an error response
+ */
+async function _forwardToOwner(req, res, record, { label, logPrefix, extra = {} }, logCapture, logs) {
+    const sessionOwner = { ownerId: record.ownerId, ownerUrl: record.ownerUrl };
+    const targetUrl = new URL(req.originalUrl, record.ownerUrl).toString();
+    logCapture(`${logPrefix} ${label} lives on ${record.ownerId}. Forwarding to ${targetUrl}...`);
+
+    const headers = {};
+    for (const [name, value] of Object.entries(req.headers)) {
+        if (!SKIPPED_HEADERS.includes(name)) headers[name] = value;
+    }
+    headers[FORWARDED_HEADER] = sessionRegistry.INSTANCE_ID;
+
+    try {
+        const response = await axios({
+            method: req.method,
+            url: targetUrl,
+            data: req.body,
+            headers,
+            timeout: FORWARD_TIMEOUT_MS,
+            validateStatus: () => true // Relay whatever status the owner returns
+        });
+        const body = response.data && typeof response.data === 'object'
+            ? { ...response.data, forwardedTo: sessionOwner }
+            : response.data;
+        res.status(response.status).json(body);
+    } catch (error) {
+        logCapture(`${logPrefix} ❌ Forwarding to ${record.ownerId} failed: ${error.message}`);
+        sendError(res, 'UPSTREAM_ERROR', `${label} lives on replica ${record.ownerId}, which could not be reached: ${error.message}`, {
+            ...extra,
+            sessionOwner,
+            logs
+        });
+    }
+}
+
+/**
+ * Forwards a job poll to the replica running the job, when it isn't this one.
+ * @param {import('express').Request} req - Request for /api/jobs/:jobId
+ * @param {import('express').Response} res
+ * @param {string} jobId
+ * @returns {Promise<boolean>} True if a response has been sent and the caller must stop
+ */
+async function routeToJobOwner(req, res, jobId) {
+    const { location, record } = await sessionRegistry.locateJob(jobId);
+    if (location !== 'remote') return false;
+
+    const alreadyForwarded = req.get(FORWARDED_HEADER);
+    if (!config.SESSION_FORWARDING || !record.ownerUrl || alreadyForwarded) {
+        sendError(res, 'NOT_FOUND', `Job ${jobId} runs on replica ${record.ownerId}. Poll it there.`, {
+            jobOwner: { ownerId: record.ownerId, ownerUrl: record.ownerUrl }
+        });
+        return true;
+    }
+    await _forwardToOwner(req, res, record, { label: `Job ${jobId}`, logPrefix: `[Jobs] ${jobId}` }, console.log, undefined);
+    return true;
+}
+
+module.exports = { routeToSessionOwner, routeToJobOwner };